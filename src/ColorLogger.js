@@ -1,20 +1,33 @@
-import TraceFilter from './TraceFilter.js';
+import NamespaceLevels    from './NamespaceLevels.js';
+import Redactor           from './Redactor.js';
+import TraceFilter        from './TraceFilter.js';
+import themes             from './themes.js';
+import ConsoleTransport   from './transports/ConsoleTransport.js';
+import formatJSON         from './utils/formatJSON.js';
+import inspect            from './utils/inspect.js';
+
+import { ANSI_RESET, COLOR_DEPTHS, colorToANSI, detectColorDepth, styleToANSI }       from './utils/ansi.js';
+import { condenseTrace, getFramePackage, isInternalFrame }                            from './utils/condenseTrace.js';
+import { LOCATION_PATHS, RATE_LIMIT_KEYS, parseEnvConfig, toEnvName, validateConfig } from './utils/config.js';
+import { fileURLToPath, pathToFileURL }                                               from './utils/fileURL.js';
+import { parseStackFrame }                                                            from './utils/parseStack.js';
+import { TIME_FORMATS, formatTime, hrtime }                                           from './utils/timestamp.js';
 
 /**
- * Provides a color coded logger for ANSI terminal usage. In addition to providing a global scope logger
+ * Provides a color coded logger for ANSI terminal and browser usage. In addition to providing a global scope logger
  * `typhonjs-color-logger` is optionally plugin enabled via `typhonjs-plugin-manager` and can self-register on an
  * eventbus with all methods exposed as event bindings.
  *
- * In the future an option to use CSS colors for browser usage will be enabled.
- *
- * There are several format options to display additional data / info including location where the log method is
- * invoked in addition to a time stamp. By default the time stamp option is disabled.
+ * Output is configured by {@link ColorLoggerOptions} which cover the format, time stamp, location info, object
+ * inspection, redaction, stack trace condensing, duplicate suppression and rate limiting. In the browser, detected when
+ * `process` is absent, the default console transport outputs `%c` format strings styled with CSS colors.
  *
  * When passing in an Error for logging the stack trace of the error will be used for info and trace creation. The
- * `trace` method will automatically generate a stack trace.
+ * `trace` method will automatically generate a stack trace. Errors are output with their own properties, nested errors
+ * and `cause` chain.
  *
  * format:
- * ``[LogLevel] [Time] [File] log text``
+ * ``[LogLevel] [Time] [File] [namespace] log text``
  *
  * Log level and color:
  * - fatal: light red
@@ -25,6 +38,8 @@ import TraceFilter from './TraceFilter.js';
  * - verbose: purple
  * - trace: light cyan
  *
+ * Colors are defined by a theme set with `setTheme` and custom log levels may be added with `addLogLevel`.
+ *
  * Each log method for the log levels above have two alternate versions that are accessed by appending `Compact`,
  * `NoColor` or `Raw` to the method name. Or if using event bindings appending `:compact`, `:nocolor` or `:raw`. The no
  * color option with, well, no color outputting the message with the current log format and the raw format will output
@@ -36,7 +51,14 @@ import TraceFilter from './TraceFilter.js';
  * filters from plugins added & removed via the event bindings: `typhonjs:plugin:manager:plugin:added`,
  * `typhonjs:plugin:manager:eventbus:changed`, and `typhonjs:plugin:manager:plugin:removed`. To skip auto
  * filter registration for a particular plugin set `logAutoFilter` to false in the associated plugins options.
-
+ *
+ * All output is sent to transports which receive a structured {@link LogRecord}; by default a
+ * {@link ConsoleTransport} named `console`. Child loggers created with `child` bind a namespace and fields and share
+ * trace filters and transports with their parent.
+ *
+ * The default logger reads its configuration from environment variables once when imported; other loggers only when
+ * `loadEnv` is invoked. See {@link parseEnvConfig}, {@link ConfigFile} and {@link ConfigWatcher}.
+ *
  * @example
  * import logger from 'typhonjs-color-logger';
  *
@@ -77,17 +99,108 @@ export class ColorLogger
       this._options =
       {
          autoPluginFilters: false,
+         colorDepth: 'auto',
          consoleEnabled: true,
+         dedupe: false,
          filtersEnabled: true,
+         format: null,
+         highlight: false,
+         hyperlinks: false,
+         json: false,
+         lazyArgs: false,
+         locationFunction: false,
+         locationLevels: null,
+         locationPath: 'basename',
+         maxArrayLength: 100,
+         maxDepth: 10,
+         maxStringLength: 10000,
+         rateLimit: null,
+         redact: null,
          showDate: false,
-         showInfo: true
+         showInfo: true,
+         theme: 'default',
+         timeFormat: 'iso',
+         traceCollapseModules: false,
+         traceDimExternal: false,
+         traceHideInternals: false,
+         traceMaxFrames: null
       };
 
+      /**
+       * The high resolution creation time of the logger and time of the last log message; shared with child loggers.
+       * @type {{start: number, last: number|undefined}}
+       * @private
+       */
+      this._clock = { start: hrtime(), last: void 0 };
+
+      /**
+       * The parsed `format` option template or formatter function; undefined for the default format.
+       * @type {Array<string|{token: string}>|Function|undefined}
+       * @private
+       */
+      this._format = void 0;
+
+      /**
+       * Resolves stack trace locations to original source positions; undefined when disabled.
+       * @type {{resolve: Function}|undefined}
+       * @private
+       */
+      this._sourceMapResolver = void 0;
+
+      /**
+       * The redactor of the `redact` option; undefined when redaction is disabled.
+       * @type {Redactor|undefined}
+       * @private
+       */
+      this._redactor = void 0;
+
+      /**
+       * The resolved color depth: `none`, `16`, `256` or `truecolor`.
+       * @type {string}
+       * @private
+       */
+      this._colorDepth = detectColorDepth();
+
+      /**
+       * The current theme and a cache of the ANSI escape sequences of the theme by color depth.
+       * @type {{name: string, data: ThemeData, cache: Map<string, object>}}
+       * @private
+       */
+      this._theme = { name: 'default', data: themes.default, cache: new Map() };
+
+      /**
+       * Stores all log levels by name including any custom log levels; shared with child loggers.
+       * @type {Map<string, LogLevelData>}
+       * @private
+       */
+      this._logLevels = new Map(s_LOG_LEVELS.map((data) => [data.name, data]));
+
       /**
        * @type number
        * @private
        */
-      this._logLevel = s_LOG_LEVELS['info'];
+      this._logLevel = this._logLevels.get('info').severity;
+
+      /**
+       * The parent logger of a child logger.
+       * @type {ColorLogger|undefined}
+       * @private
+       */
+      this._parent = void 0;
+
+      /**
+       * The namespace of a child logger; namespaces of nested children are joined by `:`.
+       * @type {string}
+       * @private
+       */
+      this._namespace = '';
+
+      /**
+       * Fields bound to a child logger which are merged into every log record.
+       * @type {object}
+       * @private
+       */
+      this._bindings = {};
 
       /**
        * Stores all exclusive trace filters.
@@ -103,6 +216,40 @@ export class ColorLogger
        */
       this._inclusiveTraceFilters = new Map();
 
+      /**
+       * Stores log levels by namespace pattern; shared with all child loggers.
+       * @type {NamespaceLevels}
+       * @private
+       */
+      this._namespaceLevels = new NamespaceLevels();
+
+      /**
+       * Stores all transports which receive log records.
+       * @type {Map<string, Transport>}
+       * @private
+       */
+      this._transports = new Map();
+
+      /**
+       * Caches the locations of log method callsites by the top frames of the stack trace and the trace filters sorted
+       * by priority; shared
+       * with all child loggers and cleared when trace filters change.
+       * @type {{callsites: Map<string, object>, sortedFilters: object[]|undefined}}
+       * @private
+       */
+      this._traceCache = { callsites: new Map(), sortedFilters: void 0 };
+
+      /**
+       * The state of duplicate message suppression and rate limiting: the `last` message, the rate limit `windows` by
+       * key, the total `duplicates` and `rateLimited` counts, whether suppressed messages are being `reporting` and
+       * the `timer` reporting pending counts. Each child logger has its own state.
+       * @type {object}
+       * @private
+       */
+      this._suppression = s_CREATE_SUPPRESSION();
+
+      this.addTransport(new ConsoleTransport());
+
       this.addFilter({ type: 'exclusive', name: 'typhonjs-color-logger', filterString: 'typhonjs-color-logger' });
       this.addFilter({ type: 'exclusive', name: 'backbone-esnext-events', filterString: 'backbone-esnext-events' });
 
@@ -120,7 +267,26 @@ export class ColorLogger
    {
       if (typeof config !== 'object') { throw new TypeError(`'filterConfig' is not an 'object'.`); }
       if (typeof config.name !== 'string') { throw new TypeError(`'config.name' is not a 'string'.`); }
-      if (typeof config.filterString !== 'string') { throw new TypeError(`'config.filterString' is not a 'string'.`); }
+      if (typeof config.filterString !== 'string' && !(config.filterString instanceof RegExp))
+      {
+         throw new TypeError(`'config.filterString' is not a 'string' or 'RegExp'.`);
+      }
+
+      if (typeof config.flags !== 'undefined' && typeof config.flags !== 'string')
+      {
+         throw new TypeError(`'config.flags' is not a 'string'.`);
+      }
+
+      if (typeof config.glob !== 'undefined' && typeof config.glob !== 'boolean')
+      {
+         throw new TypeError(`'config.glob' is not a 'boolean'.`);
+      }
+
+      if (typeof config.priority !== 'undefined' && (typeof config.priority !== 'number' ||
+       !Number.isFinite(config.priority)))
+      {
+         throw new TypeError(`'config.priority' is not a finite 'number'.`);
+      }
 
       if (config.type !== 'exclusive' && config.type !== 'inclusive')
       {
@@ -138,12 +304,15 @@ export class ColorLogger
          return false;
       }
 
-      const filter = new TraceFilter(config.name, config.filterString);
+      const filter = new TraceFilter(config.name, config.filterString,
+       { flags: config.flags, glob: config.glob, priority: config.priority });
 
       if (typeof config.enabled === 'boolean') { filter.enabled = config.enabled; }
 
       filterMap.set(config.name, filter);
 
+      this._clearTraceCache();
+
       return true;
    }
 
@@ -169,358 +338,1334 @@ export class ColorLogger
    }
 
    /**
-    * Applies any exclusive then inclusive filters against a given value.
+    * Adds a custom log level. The log methods `<name>`, `<name>Compact`, `<name>NoColor`, `<name>Raw` and `<name>Time`
+    * are generated for the new level and are available on all child loggers. When the default logger is loaded as a
+    * plugin the event bindings `log:<name>`, `log:<name>:compact`, `log:<name>:nocolor`, `log:<name>:raw` and
+    * `log:<name>:time` are also added.
     *
-    * @param {string}   value - A value to test against all filters.
+    * @param {LogLevelData}   config - The log level config to add.
     *
-    * @returns {boolean} If true then the value matched a filter.
-    * @private
+    * @returns {boolean} True if the log level was added.
     */
-   _applyFilters(value)
+   addLogLevel(config)
    {
-      // Early out if there are no trace filters.
-      if (this._exclusiveTraceFilters.size === 0 && this._inclusiveTraceFilters.size === 0) { return false; }
+      if (typeof config !== 'object' || config === null) { throw new TypeError(`'config' is not an 'object'.`); }
 
-      // Start filtered as false and if an exclusive filter matches then set it to true..
-      let filtered = false;
-
-      for (const filter of this._exclusiveTraceFilters.values())
+      if (typeof config.name !== 'string' || !(/^[a-zA-Z_$][\w$]*$/).test(config.name))
       {
-         if (filter.test(value)) { filtered = true; break; }
+         throw new TypeError(`'config.name' is not a valid identifier 'string'.`);
       }
 
-      // If an exclusive filter matched then exit early.
-      if (filtered) { return filtered; }
+      if (typeof config.severity !== 'number' || !(config.severity > 0 && config.severity < 8))
+      {
+         throw new TypeError(`'config.severity' is not a 'number' between 0 and 8 exclusive.`);
+      }
 
-      // Invert filtered to being true if there are any inclusive filters. If an inclusive filter matches then set
-      // it to false.
-      filtered = this._inclusiveTraceFilters.size > 0;
+      if (typeof config.color !== 'undefined')
+      {
+         // Throws a TypeError for invalid colors.
+         colorToANSI(config.color);
+      }
 
-      for (const filter of this._inclusiveTraceFilters.values())
+      if (typeof config.css !== 'undefined' && typeof config.css !== 'string')
       {
-         if (filter.test(value)) { filtered = false; break; }
+         throw new TypeError(`'config.css' is not a 'string'.`);
       }
 
-      return filtered;
-   }
+      if (typeof config.label !== 'undefined' && typeof config.label !== 'string')
+      {
+         throw new TypeError(`'config.label' is not a 'string'.`);
+      }
 
+      const name = config.name;
 
-   /**
-    * Gets the filter data for a trace filter by name.
-    *
-    * @param {boolean|undefined} enabled - If enabled is a boolean it will return filters given their enabled state.
-    *
-    * @returns {Array<TraceFilterData>}
-    */
-   getAllFilterData(enabled = void 0)
-   {
-      if (typeof enabled !== 'boolean' && typeof enabled !== 'undefined')
+      if (this._logLevels.has(name))
       {
-         throw new TypeError(`'enabled' is not a 'boolean' or 'undefined'.`);
+         this.warn(`A log level with name: '${name}' already exists.`);
+
+         return false;
       }
 
-      const results = [];
+      // Generated log methods are added to the root logger, so they are available to all child loggers.
+      let root = this;
 
-      // Return all filter data if enabled is not defined.
-      const allFilters = typeof enabled === 'undefined';
+      while (typeof root._parent !== 'undefined') { root = root._parent; }
 
-      for (const filter of this._exclusiveTraceFilters.values())
+      for (const variant of s_LEVEL_VARIANTS)
       {
-         if (allFilters || filter.enabled === enabled)
+         if (`${name}${variant.method}` in root)
          {
-            results.push(
-            {
-               enabled: filter.enabled,
-               filterString: filter.filterString,
-               name: filter.name,
-               type: 'exclusive'
-            });
+            this.warn(`A method with name: '${name}${variant.method}' already exists.`);
+
+            return false;
          }
       }
 
-      for (const filter of this._inclusiveTraceFilters.values())
+      this._logLevels.set(name,
       {
-         if (allFilters || filter.enabled === enabled)
+         name,
+         severity: config.severity,
+         color: config.color,
+         label: typeof config.label === 'string' ? config.label : name.charAt(0).toUpperCase(),
+         css: typeof config.css === 'string' ? config.css : ''
+      });
+
+      this._theme.cache.clear();
+
+      for (const variant of s_LEVEL_VARIANTS)
+      {
+         root[`${name}${variant.method}`] = function(...msg)
          {
-            results.push(
-            {
-               enabled: filter.enabled,
-               filterString: filter.filterString,
-               name: filter.name,
-               type: 'inclusive'
-            });
-         }
+            return this._output(name, variant.compact, variant.nocolor, variant.raw, variant.time, ...msg);
+         };
       }
 
-      return results;
+      if (root === logger && typeof s_EVENTBUS === 'object') { s_ADD_LEVEL_EVENTS(s_EVENTBUS, s_EVENT_PREPEND, name); }
+
+      return true;
    }
 
    /**
-    * Gets the filter data for a trace filter by name.
-    *
-    * @param {string}   type - The type of filter; must be 'exclusive' or 'inclusive'.
+    * Adds a new transport which receives all log records that pass the current log level.
     *
-    * @param {string}   name - The name of the filter.
+    * @param {Transport}   transport - The transport to add.
     *
-    * @returns {TraceFilterData|undefined}
+    * @returns {boolean} True if the transport was added.
     */
-   getFilterData(type, name)
+   addTransport(transport)
    {
-      if (type !== 'exclusive' && type !== 'inclusive')
+      if (typeof transport !== 'object' || transport === null)
       {
-         throw new Error(`'type' must be 'exclusive' or 'inclusive'`);
+         throw new TypeError(`'transport' is not an 'object'.`);
       }
 
-      const filterMap = type === 'exclusive' ? this._exclusiveTraceFilters : this._inclusiveTraceFilters;
-
-      const filter = filterMap.get(name);
+      if (typeof transport.name !== 'string') { throw new TypeError(`'transport.name' is not a 'string'.`); }
+      if (typeof transport.log !== 'function') { throw new TypeError(`'transport.log' is not a 'function'.`); }
 
-      if (filter instanceof TraceFilter)
+      if (this._transports.has(transport.name))
       {
-         return {
-            enabled: filter.enabled,
-            filterString: filter.filterString,
-            name: filter.name,
-            type
-         };
+         this.warn(`A transport with name: '${transport.name}' already exists.`);
+
+         return false;
       }
 
-      return void 0;
+      this._transports.set(transport.name, transport);
+
+      return true;
    }
 
    /**
-    * Gets a trace filter enabled state.
+    * Applies any exclusive then inclusive filters against a given value.
     *
-    * @param {string}   type - The type of filter; must be 'exclusive' or 'inclusive'.
+    * @param {string}      value - A value to test against all filters.
     *
-    * @param {string}   name - The name of the filter.
+    * @param {TraceFilter[]} [hits] - Receives the filter which decided the value.
     *
-    * @returns {boolean} True if the filter enabled state was modified.
+    * @returns {boolean} If true then the value matched a filter.
+    * @private
     */
-   getFilterEnabled(type, name)
+   _applyFilters(value, hits = void 0)
    {
-      if (type !== 'exclusive' && type !== 'inclusive')
-      {
-         throw new Error(`'type' must be 'exclusive' or 'inclusive'`);
-      }
+      // Early out if there are no trace filters.
+      if (this._exclusiveTraceFilters.size === 0 && this._inclusiveTraceFilters.size === 0) { return false; }
 
-      const filterMap = type === 'exclusive' ? this._exclusiveTraceFilters : this._inclusiveTraceFilters;
+      // The first matching filter by priority decides; a matching exclusive filter filters the value and a matching
+      // inclusive filter keeps it. Exclusive filters are tested before inclusive filters of the same priority.
+      for (const entry of this._getSortedFilters())
+      {
+         if (entry.filter.test(value))
+         {
+            entry.filter.hit();
 
-      const filter = filterMap.get(name);
+            if (Array.isArray(hits)) { hits.push(entry.filter); }
 
-      if (filter instanceof TraceFilter)
-      {
-         return filter.enabled;
+            return entry.type === 'exclusive';
+         }
       }
 
-      return false;
-   }
-
-   /**
-    * Get the log level
-    *
-    * @returns {*}
-    */
-   getLogLevel()
-   {
-      return this._logLevel;
+      // When no filter matches the value is filtered if there are any inclusive filters.
+      return this._inclusiveTraceFilters.size > 0;
    }
 
-   /**
-    * Returns a copy of the logger options.
-    *
-    * @returns {ColorLoggerOptions} - Logger options.
-    */
-   getOptions()
-   {
-      return JSON.parse(JSON.stringify(this._options));
-   }
 
    /**
-    * Generates log information from where the logger invocation originated.
-    *
-    * @param {Error}    error - An optional Error to trace instead of artificially generating one.
+    * Creates a child logger with a bound namespace and fields. The child shares trace filters and transports with this
+    * logger and inherits the log level and options until overridden on the child.
     *
-    * @param {boolean}  [isFullTrace=true] - If true then process remaining trace.
+    * @param {object}   [bindings] - Fields to merge into every log record; the optional `name` field is appended to
+    *                                the namespace of this logger.
     *
-    * @return {{info: string, trace: String[]}} info: file name and line number; trace: remaining stack trace if
-    *                                           enabled.
+    * @returns {ColorLogger} The child logger.
     */
-   getTraceInfo(error, isFullTrace = true)
+   child(bindings = {})
    {
-      let info = 'no stack trace';
-      const trace = [];
+      if (typeof bindings !== 'object' || bindings === null) { throw new TypeError(`'bindings' is not an 'object'.`); }
 
-      let processError = error;
-
-      if (!(processError instanceof Error))
+      if (typeof bindings.name !== 'undefined' && typeof bindings.name !== 'string')
       {
-         try { throw new Error(); }
-         catch (err) { processError = err; }
+         throw new TypeError(`'bindings.name' is not a 'string'.`);
       }
 
-      // Make sure there is a entry in `processError`.
-      if (typeof processError.stack === 'string')
-      {
-         const lines = processError.stack.split('\n');
+      const child = Object.create(this);
 
-         let cntr = 0;
+      child._parent = this;
 
-         for (; cntr < lines.length; cntr++)
-         {
-            if (this._options.filtersEnabled && this._applyFilters(lines[cntr])) { continue; }
+      if (typeof bindings.name === 'string' && bindings.name !== '')
+      {
+         child._namespace = this._namespace !== '' ? `${this._namespace}:${bindings.name}` : bindings.name;
+      }
 
-            const matched = lines[cntr].match(/([\w\d\-_.]*:\d+:\d+)/);
+      child._bindings = Object.assign({}, this._bindings, bindings);
+      delete child._bindings.name;
 
-            if (matched !== null)
-            {
-               info = matched[1];
-               break;
-            }
-         }
+      // Options not set on the child resolve to the current options of the parent.
+      child._options = Object.create(this._options);
 
-         // If gathering trace info continue to push lines to `trace`. Ignoring any lines that originate from
-         // ColorLogger or `backbone-esnext-events` plus an optional filter.
-         if (isFullTrace)
-         {
-            for (; cntr < lines.length; cntr++)
-            {
-               if (this._options.filtersEnabled && this._applyFilters(lines[cntr])) { continue; }
+      child._suppression = s_CREATE_SUPPRESSION();
 
-               trace.push(lines[cntr]);
-            }
-         }
-      }
+      return child;
+   }
 
-      return { info, trace };
+   /**
+    * Clears the cached callsite locations and sorted trace filters.
+    *
+    * @private
+    */
+   _clearTraceCache()
+   {
+      this._traceCache.callsites.clear();
+      this._traceCache.sortedFilters = void 0;
    }
 
    /**
-    * Returns whether the given log level is enabled.
+    * Writes all messages queued by buffered transports; IE {@link StreamTransport}. Pending counts of suppressed
+    * messages are logged first.
     *
-    * @param {string}   level - log level
-    * @returns {boolean}
+    * @returns {Promise} A promise which resolves when all transports providing a `flush` function have written their
+    *                    queued messages.
     */
-   isLevelEnabled(level)
+   flush()
    {
-      const requestedLevel = s_LOG_LEVELS[level];
+      this._reportSuppressed();
 
-      if (typeof requestedLevel === 'undefined' || requestedLevel === null)
+      const promises = [];
+
+      for (const transport of this._transports.values())
       {
-         console.log(`isLevelEnabled - unknown log level: ${level}`);
-         return false;
+         if (typeof transport.flush === 'function') { promises.push(transport.flush()); }
       }
 
-      return s_IS_LEVEL_ENABLED(this.getLogLevel(), requestedLevel);
+      return Promise.all(promises).then(() => void 0);
    }
 
    /**
-    * Returns true if the given level is a valid log level.
-    *
-    * @param {string}   level - The log level string to test.
-    *
-    * @returns {boolean}
+    * Synchronously writes all messages queued by buffered transports providing a `flushSync` function. This is invoked
+    * automatically after each `fatal` message which is never suppressed by the `dedupe` and `rateLimit` options.
+    * Pending counts of suppressed messages are logged first.
     */
-   isValidLogLevel(level)
+   flushSync()
    {
-      return typeof level === 'string' && typeof s_LOG_LEVELS[level] === 'number';
+      this._reportSuppressed();
+
+      for (const transport of this._transports.values())
+      {
+         if (typeof transport.flushSync !== 'function') { continue; }
+
+         try
+         {
+            transport.flushSync();
+         }
+         catch (err)
+         {
+            console.log(`flushSync - transport '${transport.name}' failed: ${err.message}`);
+         }
+      }
    }
 
    /**
-    * Display log message.
+    * Formats an Error with its filtered stack trace, any own properties IE `code` / `errno`, the nested errors of an
+    * AggregateError indented and the chain of `cause` errors each prefixed by `Caused by:`.
     *
-    * @param {string}   level - log level: `fatal`, `error`, `warn`, `info`, `debug`, `verbose`, `trace`.
+    * @param {Error}    error - The error to format.
     *
-    * @param {boolean}  [compact=false] - If true then all JSON object conversion is compacted.
+    * @param {object}   context - The formatting context.
     *
-    * @param {boolean}  [nocolor=false] - If true then no color is applied.
+    * @param {object}   context.inspectOptions - The options of `inspect` for plain text.
     *
-    * @param {boolean}  [raw=false] - If true then just the raw message is logged at the given level.
+    * @param {object}   [context.highlightOptions] - The options of `inspect` for syntax highlighting.
     *
-    * @param {boolean}  [time=false] - If true then message is logged at the given level with a timestamp.
+    * @param {Function} context.paint - Applies a theme element style.
     *
-    * @param {...*}     msg - log message.
+    * @param {object}   context.styles - The theme styles.
+    *
+    * @param {string}   [prefix=''] - Text preceding the error message.
+    *
+    * @param {string}   [indent=''] - The indentation of all lines.
+    *
+    * @param {Error[]}  [seen=[]] - The errors currently being formatted; used to detect circular references.
     *
-    * @returns {string|undefined} formatted log message or undefined if log level is not enabled.
+    * @returns {{text: string[], output: string[]}} The plain text and styled lines.
     * @private
     */
-   _output(level, compact = false, nocolor = false, raw = false, time = false,  ...msg)
+   _formatError(error, context, prefix = '', indent = '', seen = [])
    {
-      if (!s_IS_LEVEL_ENABLED(this.getLogLevel(), s_LOG_LEVELS[level])) { return; }
-
       const text = [];
+      const output = [];
 
-      const isTrace = level === 'trace';
-
-      for (const m of msg)
+      const push = (plain, styled = plain) =>
       {
-         if (typeof m === 'object' && !(m instanceof Error))
-         {
-            text.push(compact ? JSON.stringify(m) : JSON.stringify(m, null, 3));
-         }
-         else if (m instanceof Error)
-         {
-            const result = this.getTraceInfo(m);
+         text.push(`${indent}${plain}`);
+         output.push(`${indent}${styled}`);
+      };
 
-            text.push(`${m.message}\n${result.trace.join('\n')}`);
-         }
-         else
-         {
-            text.push(m);
-         }
-      }
+      // The outermost error is displayed by message only; nested errors include the name.
+      const header = seen.length === 0 ? error.message : `${error.name}: ${error.message}`;
 
-      const color = nocolor ? '' : s_LEVEL_TO_COLOR[level];
+      if (seen.indexOf(error) >= 0 || seen.length > context.inspectOptions.maxDepth)
+      {
+         push(`${prefix}${seen.indexOf(error) >= 0 ? '[Circular]' : `[${error.name}]`}`);
+         return { text, output };
+      }
 
-      const spacer = raw ? '' : ' ';
+      seen.push(error);
 
-      let info = '';
-      let trace = '';
+      push(`${prefix}${header}`);
 
-      if (this._options.showInfo && !raw && !time)
+      for (const line of this.getTraceInfo(error).trace)
+      {
+         push(line, this._paintTrace([line], context.paint, context.styles));
+      }
+
+      const properties = {};
+      let hasProperties = false;
+
+      for (const key of Object.keys(error))
+      {
+         if (s_ERROR_KEYS.indexOf(key) >= 0) { continue; }
+
+         properties[key] = error[key];
+         hasProperties = true;
+      }
+
+      if (hasProperties)
+      {
+         const inspectOptions = Object.assign({}, context.inspectOptions, { compact: true });
+         const highlightOptions = context.highlightOptions ?
+          Object.assign({}, context.highlightOptions, { compact: true }) : inspectOptions;
+
+         push(inspect(properties, inspectOptions), inspect(properties, highlightOptions));
+      }
+
+      const append = (lines) =>
+      {
+         for (const line of lines.text) { text.push(`${indent}${line}`); }
+         for (const line of lines.output) { output.push(`${indent}${line}`); }
+      };
+
+      if (Array.isArray(error.errors))
+      {
+         error.errors.forEach((entry, index) =>
+         {
+            if (entry instanceof Error)
+            {
+               append(this._formatError(entry, context, `[${index}] `, '   ', seen));
+            }
+            else
+            {
+               push(`   [${index}] ${inspect(entry, Object.assign({}, context.inspectOptions, { compact: true }))}`);
+            }
+         });
+      }
+
+      if (typeof error.cause !== 'undefined')
+      {
+         if (error.cause instanceof Error)
+         {
+            append(this._formatError(error.cause, context, 'Caused by: ', '', seen));
+         }
+         else
+         {
+            push(`Caused by: ${inspect(error.cause, Object.assign({}, context.inspectOptions, { compact: true }))}`);
+         }
+      }
+
+      seen.pop();
+
+      return { text, output };
+   }
+
+   /**
+    * Formats the location info of a stack frame according to the `locationPath` and `locationFunction` options.
+    *
+    * @param {StackFrame}  frame - A stack frame with file, line and column.
+    *
+    * @returns {string} The location info; IE `app.js:10:5` or `run (src/app.js:10:5)`.
+    * @private
+    */
+   _formatLocation(frame)
+   {
+      let file = frame.file;
+
+      switch (this._options.locationPath)
+      {
+         case 'absolute':
+            file = file.startsWith('file://') ? fileURLToPath(file) : file;
+            break;
+
+         case 'relative':
+            file = s_RELATIVE_PATH(file.startsWith('file://') ? fileURLToPath(file) : file);
+            break;
+
+         default:
+            file = s_BASENAME(file);
+            break;
+      }
+
+      const location = `${file}:${frame.line}:${frame.column}`;
+
+      return this._options.locationFunction && typeof frame['function'] === 'string' ?
+       `${frame['function']} (${location})` : location;
+   }
+
+   /**
+    * Gets the filter data for a trace filter by name.
+    *
+    * @param {boolean|undefined} enabled - If enabled is a boolean it will return filters given their enabled state.
+    *
+    * @returns {Array<TraceFilterData>}
+    */
+   getAllFilterData(enabled = void 0)
+   {
+      if (typeof enabled !== 'boolean' && typeof enabled !== 'undefined')
+      {
+         throw new TypeError(`'enabled' is not a 'boolean' or 'undefined'.`);
+      }
+
+      const results = [];
+
+      // Return all filter data if enabled is not defined.
+      const allFilters = typeof enabled === 'undefined';
+
+      for (const filter of this._exclusiveTraceFilters.values())
+      {
+         if (allFilters || filter.enabled === enabled)
+         {
+            results.push(s_GET_FILTER_DATA(filter, 'exclusive'));
+         }
+      }
+
+      for (const filter of this._inclusiveTraceFilters.values())
+      {
+         if (allFilters || filter.enabled === enabled)
+         {
+            results.push(s_GET_FILTER_DATA(filter, 'inclusive'));
+         }
+      }
+
+      return results;
+   }
+
+   /**
+    * Gets the filter data for a trace filter by name.
+    *
+    * @param {string}   type - The type of filter; must be 'exclusive' or 'inclusive'.
+    *
+    * @param {string}   name - The name of the filter.
+    *
+    * @returns {TraceFilterData|undefined}
+    */
+   getFilterData(type, name)
+   {
+      if (type !== 'exclusive' && type !== 'inclusive')
+      {
+         throw new Error(`'type' must be 'exclusive' or 'inclusive'`);
+      }
+
+      const filterMap = type === 'exclusive' ? this._exclusiveTraceFilters : this._inclusiveTraceFilters;
+
+      const filter = filterMap.get(name);
+
+      if (filter instanceof TraceFilter) { return s_GET_FILTER_DATA(filter, type); }
+
+      return void 0;
+   }
+
+   /**
+    * Gets a trace filter enabled state.
+    *
+    * @param {string}   type - The type of filter; must be 'exclusive' or 'inclusive'.
+    *
+    * @param {string}   name - The name of the filter.
+    *
+    * @returns {boolean} True if the filter enabled state was modified.
+    */
+   getFilterEnabled(type, name)
+   {
+      if (type !== 'exclusive' && type !== 'inclusive')
+      {
+         throw new Error(`'type' must be 'exclusive' or 'inclusive'`);
+      }
+
+      const filterMap = type === 'exclusive' ? this._exclusiveTraceFilters : this._inclusiveTraceFilters;
+
+      const filter = filterMap.get(name);
+
+      if (filter instanceof TraceFilter)
+      {
+         return filter.enabled;
+      }
+
+      return false;
+   }
+
+   /**
+    * Gets the resolved color depth which is either detected automatically or set by the `colorDepth` option.
+    *
+    * @returns {string} The color depth: `none`, `16`, `256` or `truecolor`.
+    */
+   getColorDepth()
+   {
+      return this._colorDepth;
+   }
+
+   /**
+    * Returns the current log level, namespace levels, options and trace filters in the format accepted by `setConfig`,
+    * {@link configToEnv} and {@link ConfigFile}. Formatter functions and custom themes are not included as they can
+    * not be stored.
+    *
+    * @returns {LoggerConfig}
+    */
+   getConfig()
+   {
+      const options = this.getOptions();
+
+      if (options.theme === 'custom') { delete options.theme; }
+
+      let logLevel;
+
+      for (const data of this._logLevels.values())
+      {
+         if (data.severity === this.getLogLevel()) { logLevel = data.name; break; }
+      }
+
+      return {
+         logLevel,
+         namespaceLevels: this.getNamespaceLevels(),
+         options,
+         filters: this.getAllFilterData().map((data) =>
+         {
+            delete data.hits;
+            return data;
+         })
+      };
+   }
+
+   /**
+    * Get the log level. For child loggers without their own log level set the level of the most specific matching
+    * namespace pattern is returned otherwise the log level of the parent.
+    *
+    * @returns {*}
+    */
+   getLogLevel()
+   {
+      if (typeof this._parent === 'undefined' || this.hasOwnProperty('_logLevel')) { return this._logLevel; }
+
+      const namespaceLevel = this._namespaceLevels.match(this._namespace);
+
+      return typeof namespaceLevel === 'string' ? this._getSeverity(namespaceLevel) : this._parent.getLogLevel();
+   }
+
+   /**
+    * Returns the names of all log levels which have log methods including any custom log levels.
+    *
+    * @returns {string[]}
+    */
+   getLogLevels()
+   {
+      const results = [];
+
+      for (const data of this._logLevels.values())
+      {
+         if (typeof data.label === 'string') { results.push(data.name); }
+      }
+
+      return results;
+   }
+
+   /**
+    * Gets the namespace levels as a `DEBUG` style pattern string; IE `db:*=debug,http=warn,*=info`.
+    *
+    * @returns {string}
+    */
+   getNamespaceLevels()
+   {
+      return this._namespaceLevels.toString();
+   }
+
+   /**
+    * Gets the namespace of this logger; an empty string for the root logger.
+    *
+    * @returns {string}
+    */
+   getNamespace()
+   {
+      return this._namespace;
+   }
+
+   /**
+    * Returns a copy of the logger options.
+    *
+    * @returns {ColorLoggerOptions} - Logger options.
+    */
+   getOptions()
+   {
+      // Child logger options inherit from the parent options, so all keys are collected.
+      const options = {};
+
+      for (const key in this._options) { options[key] = this._options[key]; }
+
+      return JSON.parse(JSON.stringify(options));
+   }
+
+   /**
+    * Generates log information from where the logger invocation originated.
+    *
+    * @param {Error}    error - An optional Error to trace instead of artificially generating one.
+    *
+    * @param {boolean}  [isFullTrace=true] - If true then process remaining trace.
+    *
+    * @return {{info: string, trace: String[], frames: StackFrame[]}} info: file name and line number; trace: remaining
+    *         stack trace if enabled; frames: the parsed stack frames of the trace or only the location frame if the
+    *         full trace is not enabled.
+    */
+   getTraceInfo(error, isFullTrace = true)
+   {
+      if (error instanceof Error) { return this._getTraceInfo(error, isFullTrace, false); }
+
+      // Locating the callsite only requires the top frames of the stack which are captured and formatted at a fraction
+      // of the cost of the full stack. The full stack is captured when the location is not among the top frames.
+      if (!isFullTrace)
+      {
+         const result = this._getTraceInfo(s_CAPTURE_ERROR(s_LOCATION_STACK_LIMIT), false, true);
+
+         if (result.frames.length > 0) { return result; }
+      }
+
+      return this._getTraceInfo(s_CAPTURE_ERROR(), isFullTrace, false);
+   }
+
+   /**
+    * Generates log information from the stack trace of an Error.
+    *
+    * @param {Error}    processError - The Error to trace.
+    *
+    * @param {boolean}  isFullTrace - If true then process remaining trace.
+    *
+    * @param {boolean}  cache - If true the location is cached by the stack trace of the Error.
+    *
+    * @returns {{info: string, trace: String[], frames: StackFrame[]}} The log information; see `getTraceInfo`.
+    * @private
+    */
+   _getTraceInfo(processError, isFullTrace, cache)
+   {
+      let info = 'no stack trace';
+      const entries = [];
+
+      // The location of a callsite is cached by the top frames of its stack trace and the location options.
+      const cacheKey = cache && typeof processError.stack === 'string' ?
+       `${this._options.filtersEnabled}|${this._options.locationPath}|${this._options.locationFunction}|`
+        + `${processError.stack}` : void 0;
+
+      if (typeof cacheKey === 'string')
+      {
+         const cached = this._traceCache.callsites.get(cacheKey);
+
+         if (typeof cached === 'object' && cached.resolver === this._sourceMapResolver)
+         {
+            // Filter hits are counted as if the stack trace was filtered.
+            for (const filter of cached.hits) { filter.hit(); }
+
+            return { info: cached.info, trace: [], frames: [cached.frame] };
+         }
+      }
+
+      const hits = typeof cacheKey === 'string' ? [] : void 0;
+
+      // Make sure there is a entry in `processError`.
+      if (typeof processError.stack === 'string')
+      {
+         let found = false;
+
+         for (const text of processError.stack.split('\n'))
+         {
+            // Ignore any lines that originate from ColorLogger or `backbone-esnext-events` plus an optional filter.
+            if (this._options.filtersEnabled && this._applyFilters(text, hits)) { continue; }
+
+            let frame = parseStackFrame(text);
+            let line = text;
+
+            if (typeof frame !== 'undefined' && typeof this._sourceMapResolver !== 'undefined')
+            {
+               const resolved = this._resolveSourceMap(text, frame);
+
+               frame = resolved.frame;
+               line = resolved.line;
+            }
+
+            // The first frame with a location is where the logger invocation originated.
+            if (!found)
+            {
+               if (typeof frame === 'undefined' || typeof frame.file !== 'string' ||
+                typeof frame.line !== 'number' || typeof frame.column !== 'number')
+               {
+                  continue;
+               }
+
+               found = true;
+               info = this._formatLocation(frame);
+
+               if (!isFullTrace)
+               {
+                  if (typeof cacheKey === 'string') { this._setCachedCallsite(cacheKey, { info, frame, hits }); }
+
+                  return { info, trace: [], frames: [frame] };
+               }
+            }
+
+            entries.push({ line, frame });
+         }
+      }
+
+      const condensed = condenseTrace(entries,
+      {
+         collapseModules: this._options.traceCollapseModules,
+         hideInternals: this._options.traceHideInternals,
+         maxFrames: this._options.traceMaxFrames
+      });
+
+      return {
+         info,
+         trace: condensed.map((entry) => entry.line),
+         frames: condensed.filter((entry) => typeof entry.frame !== 'undefined').map((entry) => entry.frame)
+      };
+   }
+
+   /**
+    * Returns the severity of a log level.
+    *
+    * @param {string}   level - The log level name.
+    *
+    * @returns {number|undefined} The severity or undefined if the log level does not exist.
+    * @private
+    */
+   _getSeverity(level)
+   {
+      const data = typeof level === 'string' ? this._logLevels.get(level) : void 0;
+
+      return typeof data === 'object' ? data.severity : void 0;
+   }
+
+   /**
+    * Returns all trace filters sorted by priority in descending order; exclusive filters are sorted before inclusive
+    * filters of the same priority and otherwise the insertion order is kept.
+    *
+    * @returns {Array<{filter: TraceFilter, type: string}>} The sorted trace filters.
+    * @private
+    */
+   _getSortedFilters()
+   {
+      if (Array.isArray(this._traceCache.sortedFilters)) { return this._traceCache.sortedFilters; }
+
+      const entries = [];
+
+      for (const filter of this._exclusiveTraceFilters.values()) { entries.push({ filter, type: 'exclusive' }); }
+      for (const filter of this._inclusiveTraceFilters.values()) { entries.push({ filter, type: 'inclusive' }); }
+
+      // The index keeps the sort stable.
+      this._traceCache.sortedFilters = entries.map((entry, index) => Object.assign(entry, { index })).sort((a, b) =>
+       b.filter.priority - a.filter.priority || a.index - b.index);
+
+      return this._traceCache.sortedFilters;
+   }
+
+   /**
+    * Returns the total number of messages suppressed as duplicates by the `dedupe` option and by the `rateLimit`
+    * option.
+    *
+    * @returns {{duplicates: number, rateLimited: number}} The suppressed message counts.
+    */
+   getSuppressedCounts()
+   {
+      return { duplicates: this._suppression.duplicates, rateLimited: this._suppression.rateLimited };
+   }
+
+   /**
+    * Returns a copy of the current theme data.
+    *
+    * @returns {ThemeData}
+    */
+   getTheme()
+   {
+      return JSON.parse(JSON.stringify(this._theme.data));
+   }
+
+   /**
+    * Returns the ANSI escape sequences of the current theme for the current color depth.
+    *
+    * @returns {{levels: object, tag: string, time: string, location: string, namespace: string, trace: string}}
+    * @private
+    */
+   _getThemeStyles()
+   {
+      const depth = this._colorDepth;
+
+      let styles = this._theme.cache.get(depth);
+
+      if (typeof styles === 'undefined')
+      {
+         const theme = this._theme.data;
+
+         styles = Object.assign({}, s_NO_STYLES, { levels: {} });
+
+         for (const data of this._logLevels.values())
+         {
+            if (typeof data.label !== 'string') { continue; }
+
+            // Log levels not defined by the theme use the color of the log level.
+            const style = s_HAS(theme.levels, data.name) ? theme.levels[data.name] : { fg: data.color };
+
+            styles.levels[data.name] = styleToANSI(style, depth);
+         }
+
+         for (const element of s_THEME_ELEMENTS)
+         {
+            // Syntax highlighting and external trace elements not defined by the theme fall back to the default theme.
+            const style = s_HAS(theme.elements, element) ? theme.elements[element] : themes.default.elements[element];
+
+            if (typeof style === 'object') { styles[element] = styleToANSI(style, depth); }
+         }
+
+         this._theme.cache.set(depth, styles);
+      }
+
+      return styles;
+   }
+
+   /**
+    * Gets a transport by name.
+    *
+    * @param {string}   name - The name of the transport.
+    *
+    * @returns {Transport|undefined}
+    */
+   getTransport(name)
+   {
+      return this._transports.get(name);
+   }
+
+   /**
+    * Wraps the location info in an OSC 8 terminal hyperlink when the `hyperlinks` option is enabled. The link target
+    * is the `file://` URL of the stack frame file suffixed by `:line:column` or the `hyperlinks` URL template with the
+    * `{file}`, `{line}` and `{column}` tokens replaced. Hyperlinks are omitted for the no color variants and when
+    * colors are not supported.
+    *
+    * @param {string}      text - The styled location info.
+    *
+    * @param {StackFrame}  [frame] - The location stack frame.
+    *
+    * @param {boolean}     nocolor - If true the no color variant is output.
+    *
+    * @returns {string} The location info optionally wrapped in a hyperlink.
+    * @private
+    */
+   _hyperlink(text, frame, nocolor)
+   {
+      const hyperlinks = this._options.hyperlinks;
+
+      if (hyperlinks === false || hyperlinks === '' || nocolor || this._colorDepth === 'none' ||
+       typeof frame !== 'object')
+      {
+         return text;
+      }
+
+      const file = frame.file.startsWith('file://') ? fileURLToPath(frame.file) : frame.file;
+
+      let url;
+
+      if (typeof hyperlinks === 'string')
+      {
+         url = hyperlinks.replace(/\{(file|line|column)\}/g, (match, token) =>
+          token === 'file' ? file : String(frame[token]));
+      }
+      else
+      {
+         // Absolute paths are converted to `file://` URLs with the line and column; `http(s)://` URLs of browser stack
+         // frames are kept.
+         if ((/^(\/|[a-z]:[\\/])/i).test(file)) { url = `${pathToFileURL(file)}:${frame.line}:${frame.column}`; }
+         else if ((/^[a-z][\w+.-]+:\/\//i).test(frame.file)) { url = frame.file; }
+         else { return text; }
+      }
+
+      return `\u001b]8;;${url}\u001b\\${text}\u001b]8;;\u001b\\`;
+   }
+
+   /**
+    * Returns whether the given log level is enabled.
+    *
+    * @param {string}   level - log level
+    *
+    * @param {string}   [namespace] - An optional namespace to check against the namespace levels.
+    *
+    * @returns {boolean}
+    */
+   isLevelEnabled(level, namespace = void 0)
+   {
+      const requestedLevel = this._getSeverity(level);
+
+      if (typeof requestedLevel === 'undefined' || requestedLevel === null)
+      {
+         console.log(`isLevelEnabled - unknown log level: ${level}`);
+         return false;
+      }
+
+      if (typeof namespace === 'string')
+      {
+         const namespaceLevel = this._namespaceLevels.match(namespace);
+
+         if (typeof namespaceLevel === 'string')
+         {
+            return s_IS_LEVEL_ENABLED(this._getSeverity(namespaceLevel), requestedLevel);
+         }
+      }
+
+      return s_IS_LEVEL_ENABLED(this.getLogLevel(), requestedLevel);
+   }
+
+   /**
+    * Counts a log message against the `rateLimit` option. When the interval of a rate limit key has passed the number
+    * of messages suppressed during the previous interval is logged. Callsites are keyed by the absolute location of
+    * the log invocation while the formatted location is used in the logged summary.
+    *
+    * @param {string}   level - The log level of the message.
+    *
+    * @returns {boolean} True if the message exceeds the rate limit and is suppressed.
+    * @private
+    */
+   _isRateLimited(level)
+   {
+      const rateLimit = this._options.rateLimit;
+      const windows = this._suppression.windows;
+
+      let key = level;
+      let info = level;
+
+      if (rateLimit.per === 'callsite')
+      {
+         const result = this.getTraceInfo(void 0, false);
+         const frame = result.frames[0];
+
+         info = result.info;
+         key = typeof frame === 'object' ? `${frame.file}:${frame.line}:${frame.column}` : info;
+      }
+
+      const now = Date.now();
+
+      let window = windows.get(key);
+
+      if (typeof window !== 'object' || now - window.start >= rateLimit.interval)
+      {
+         if (typeof window === 'object') { this._reportRateLimited(window); }
+
+         // Intervals of other keys which have passed without suppressed messages are removed.
+         if (windows.size >= s_RATE_LIMIT_KEYS_SIZE)
+         {
+            for (const [entryKey, entry] of windows)
+            {
+               if (entry.suppressed === 0 && now - entry.start >= rateLimit.interval) { windows.delete(entryKey); }
+            }
+         }
+
+         window = { count: 0, info, level, start: now, suppressed: 0 };
+         windows.set(key, window);
+      }
+
+      if (window.count >= rateLimit.limit)
+      {
+         window.level = level;
+         window.suppressed++;
+         this._suppression.rateLimited++;
+
+         this._scheduleSuppressedReport(window.start + rateLimit.interval - now);
+
+         return true;
+      }
+
+      window.count++;
+
+      return false;
+   }
+
+   /**
+    * Returns true if the given level is a valid log level.
+    *
+    * @param {string}   level - The log level string to test.
+    *
+    * @returns {boolean}
+    */
+   isValidLogLevel(level)
+   {
+      return typeof this._getSeverity(level) === 'number';
+   }
+
+   /**
+    * Sets the log level, namespace levels, options and trace filters from environment variables; IE `LOG_LEVEL` and
+    * `LOG_SHOW_DATE`. Errors name the invalid environment variable; IE `'LOG_SHOW_DATE' is not a 'boolean'.`.
+    *
+    * @param {object}   [env] - The environment variables; defaults to `process.env` when available.
+    */
+   loadEnv(env = void 0)
+   {
+      if (typeof env === 'undefined')
+      {
+         env = typeof process === 'object' && process !== null && typeof process.env === 'object' ? process.env : {};
+      }
+
+      if (typeof env !== 'object' || env === null) { throw new TypeError(`'env' is not an 'object'.`); }
+
+      this._setConfig(parseEnvConfig(env), toEnvName);
+   }
+
+   /**
+    * Display log message.
+    *
+    * @param {string}   level - log level: `fatal`, `error`, `warn`, `info`, `debug`, `verbose`, `trace` or a custom
+    *                             log level.
+    *
+    * @param {boolean}  [compact=false] - If true then all JSON object conversion is compacted.
+    *
+    * @param {boolean}  [nocolor=false] - If true then no color is applied.
+    *
+    * @param {boolean}  [raw=false] - If true then just the raw message is logged at the given level.
+    *
+    * @param {boolean}  [time=false] - If true then message is logged at the given level with a timestamp.
+    *
+    * @param {...*}     msg - log message.
+    *
+    * @returns {string|undefined} formatted log message or undefined if log level is not enabled. When the `json` option
+    *                             is enabled the message is a single line of JSON.
+    * @private
+    */
+   _output(level, compact = false, nocolor = false, raw = false, time = false,  ...msg)
+   {
+      const levelData = this._logLevels.get(level);
+
+      if (typeof levelData !== 'object' || !s_IS_LEVEL_ENABLED(this.getLogLevel(), levelData.severity)) { return; }
+
+      const suppression = this._suppression;
+
+      const isFatal = level === 'fatal';
+
+      // Fatal messages are never suppressed; pending counts are reported first as the process may end afterward.
+      if (isFatal && !suppression.reporting)
+      {
+         this._reportSuppressed();
+         suppression.last = void 0;
+      }
+
+      // Rate limiting is applied before formatting, so suppressed messages are inexpensive.
+      if (this._options.rateLimit !== null && !isFatal && !suppression.reporting && this._isRateLimited(level))
+      {
+         return;
+      }
+
+      // Lazy arguments are only evaluated when the log level is enabled.
+      if (this._options.lazyArgs) { msg = msg.map(s_EVALUATE_LAZY); }
+
+      // Redaction is applied before formatting, so neither the log message nor transports receive redacted data.
+      const redactor = this._redactor;
+      const args = typeof redactor !== 'undefined' ? msg.map((value) => redactor.redact(value)) : msg;
+      const bindings = typeof redactor !== 'undefined' ? redactor.redact(this._bindings) : this._bindings;
+
+      const text = [];
+      const output = [];
+
+      const isTrace = level === 'trace';
+
+      const d = new Date();
+
+      const styles = !nocolor && this._colorDepth !== 'none' ? this._getThemeStyles() : s_NO_STYLES;
+
+      const levelStyle = styles.levels[level] || '';
+
+      // Applies an element style to a value restoring the level style afterward.
+      const paint = (value, style) => style !== '' ? `${style}${value}${ANSI_RESET}${levelStyle}` : value;
+
+      const inspectOptions =
+      {
+         compact,
+         maxArrayLength: this._options.maxArrayLength,
+         maxDepth: this._options.maxDepth,
+         maxStringLength: this._options.maxStringLength
+      };
+
+      // Syntax highlighting of logged objects when colors are applied.
+      const highlightOptions = this._options.highlight && styles !== s_NO_STYLES ?
+       Object.assign({}, inspectOptions, { stylize: (value, type) => paint(value, styles[type]) }) : void 0;
+
+      for (const m of args)
+      {
+         const type = typeof m;
+
+         if ((type === 'object' && !(m instanceof Error)) || type === 'function' || type === 'symbol' ||
+          type === 'bigint')
+         {
+            text.push(inspect(m, inspectOptions));
+            output.push(highlightOptions ? inspect(m, highlightOptions) : text[text.length - 1]);
+         }
+         else if (m instanceof Error)
+         {
+            const lines = this._formatError(m, { inspectOptions, highlightOptions, paint, styles });
+
+            text.push(lines.text.join('\n'));
+            output.push(lines.output.join('\n'));
+         }
+         else
+         {
+            text.push(m);
+            output.push(m);
+         }
+      }
+
+      // Identical consecutive messages are counted and logged once a different message is logged.
+      if (this._options.dedupe && !isFatal && !suppression.reporting)
+      {
+         const key = `${level}\n${text.join('\n')}`;
+
+         if (typeof suppression.last === 'object' && suppression.last.key === key)
+         {
+            suppression.last.count++;
+            suppression.duplicates++;
+
+            this._scheduleSuppressedReport(s_DUPLICATES_REPORT_DELAY);
+
+            return;
+         }
+
+         this._reportDuplicates();
+
+         suppression.last = { count: 0, key, level };
+      }
+
+      let tag = '';
+
+      if (!nocolor) { tag = `${levelStyle}${paint(`[${levelData.label}]`, styles.tag)}`; }
+
+      const spacer = raw ? '' : ' ';
+
+      let info = '';
+      let infoText = '';
+      let trace = '';
+
+      let result;
+
+      const locationLevels = this._options.locationLevels;
+
+      if (this._options.showInfo && !raw && !time && (locationLevels === null || locationLevels.indexOf(level) >= 0))
       {
          const infoSpace = nocolor ? '' : ' ';
 
-         const result = this.getTraceInfo(void 0, isTrace);
+         result = this.getTraceInfo(void 0, isTrace);
 
-         info = `${infoSpace}[${result.info}]`;
-         trace = isTrace ? `\n${result.trace.join('\n')}\n` : '';
+         infoText = `[${result.info}]`;
+         info = `${infoSpace}${this._hyperlink(paint(infoText, styles.location), result.frames[0], nocolor)}`;
+         trace = isTrace ? `\n${this._paintTrace(result.trace, paint, styles)}\n` : '';
       }
 
+      const namespaceText = this._namespace !== '' && !raw ? `[${this._namespace}]` : '';
+      const namespace = namespaceText !== '' ? ` ${paint(namespaceText, styles.namespace)}` : '';
+
       let now = '';
+      let nowText = '';
+
+      const hrnow = hrtime();
+
+      const timestamp = formatTime(this._options.timeFormat, d, hrnow - this._clock.start,
+       hrnow - (typeof this._clock.last === 'number' ? this._clock.last : this._clock.start));
+
+      this._clock.last = hrnow;
 
       if (time || (this._options.showDate && !raw))
       {
-         const d = new Date();
+         nowText = `[${timestamp}]`;
+         now = ` ${paint(nowText, styles.time)}`;
+      }
 
-         let month = d.getMonth() + 1;
-         if (month < 10) { month = `0${month}`; }
+      const record =
+      {
+         args,
+         bindings,
+         css: nocolor ? '' : levelData.css,
+         header: [nowText, infoText, namespaceText].filter((value) => value !== '').join(' '),
+         info: typeof result === 'object' ? result.info : void 0,
+         label: nocolor ? '' : `[${levelData.label}]`,
+         level,
+         levelValue: levelData.severity,
+         message: text.join('\n'),
+         namespace: this._namespace,
+         time: d,
+         timestamp,
+         trace: typeof result === 'object' && isTrace ? result.trace : []
+      };
 
-         let date = d.getDate();
-         if (date < 10) { date = `0${date}`; }
+      const reset = this._colorDepth !== 'none' ? ANSI_RESET : '';
 
-         let hour = d.getHours();
-         if (hour < 10) { hour = `0${hour}`; }
+      let log;
 
-         let minutes = d.getMinutes();
-         if (minutes < 10) { minutes = `0${minutes}`; }
+      if (this._options.json)
+      {
+         log = formatJSON(record);
+      }
+      else if (typeof this._format !== 'undefined' && !raw)
+      {
+         const tokens =
+         {
+            level: paint(`[${levelData.label}]`, styles.tag),
+            location: infoText !== '' ? this._hyperlink(paint(infoText, styles.location), result.frames[0], nocolor) :
+             '',
+            message: output.join('\n'),
+            namespace: namespaceText !== '' ? paint(namespaceText, styles.namespace) : '',
+            pid: typeof process === 'object' && process !== null && typeof process.pid === 'number' ?
+             String(process.pid) : '',
+            time: nowText !== '' ? paint(nowText, styles.time) : '',
+            trace: typeof result === 'object' && isTrace ? this._paintTrace(result.trace, paint, styles) : ''
+         };
 
-         let sec = d.getSeconds();
-         if (sec < 10) { sec = `0${sec}`; }
+         const line = typeof this._format === 'function' ? this._format(record, tokens) :
+          s_RENDER_TEMPLATE(this._format, tokens, bindings);
 
-         now = ` [${d.getFullYear()}-${month}-${date}T${hour}:${minutes}:${sec}.${d.getMilliseconds()}Z]`;
+         log = `${levelStyle}${line}${reset}`;
+      }
+      else
+      {
+         log = `${tag}${now}${info}${namespace}${spacer}${trace}${output.join('\n')}${reset}`;
       }
 
-      const log = `${color}${now}${info}${spacer}${trace}${text.join('\n')}[0m`;
-
-      if (this._options.consoleEnabled)
+      for (const transport of this._transports.values())
       {
-         console.log(log);
+         // The default console transport is gated by the `consoleEnabled` option.
+         if (transport.name === 'console' && !this._options.consoleEnabled) { continue; }
+
+         try
+         {
+            transport.log(record, log);
+         }
+         catch (err)
+         {
+            console.log(`_output - transport '${transport.name}' failed: ${err.message}`);
+         }
       }
 
+      // Buffered output is written before a fatal error may end the process.
+      if (isFatal) { this.flushSync(); }
+
       return log;
    }
 
+   /**
+    * Logs a message reporting suppressed messages bypassing duplicate suppression and rate limiting.
+    *
+    * @param {string}   level - The log level.
+    *
+    * @param {string}   message - The message.
+    * @private
+    */
+   _outputSummary(level, message)
+   {
+      this._suppression.reporting = true;
+
+      try
+      {
+         this._output(level, false, false, false, false, message);
+      }
+      finally
+      {
+         this._suppression.reporting = false;
+      }
+   }
+
+   /**
+    * Applies the `trace` theme element style to stack trace lines. When the `traceDimExternal` option is enabled lines
+    * of Node internal and `node_modules` frames and the summary lines of condensed frames are additionally styled by
+    * the `traceExternal` theme element.
+    *
+    * @param {string[]} lines - The stack trace lines.
+    *
+    * @param {Function} paint - Applies a theme element style.
+    *
+    * @param {object}   styles - The theme styles.
+    *
+    * @returns {string} The styled stack trace.
+    * @private
+    */
+   _paintTrace(lines, paint, styles)
+   {
+      if (!this._options.traceDimExternal || styles.traceExternal === '')
+      {
+         return paint(lines.join('\n'), styles.trace);
+      }
+
+      return lines.map((line) => paint(line, s_IS_EXTERNAL_TRACE_LINE(line) ?
+       `${styles.trace}${styles.traceExternal}` : styles.trace)).join('\n');
+   }
+
+   /**
+    * Maps the location of a stack frame to the original source position with the source map resolver. The location of
+    * the stack trace line is replaced when the position is resolved.
+    *
+    * @param {string}      line - A stack trace line.
+    *
+    * @param {StackFrame}  frame - The parsed stack frame of the line.
+    *
+    * @returns {{line: string, frame: StackFrame}} The stack trace line and frame.
+    * @private
+    */
+   _resolveSourceMap(line, frame)
+   {
+      if (typeof frame.file !== 'string' || typeof frame.line !== 'number' || typeof frame.column !== 'number')
+      {
+         return { line, frame };
+      }
+
+      let position;
+
+      try
+      {
+         position = this._sourceMapResolver.resolve(frame.file, frame.line, frame.column);
+      }
+      catch (err)
+      {
+         return { line, frame };
+      }
+
+      if (typeof position !== 'object' || position === null) { return { line, frame }; }
+
+      const location = `${frame.file}:${frame.line}:${frame.column}`;
+      const index = line.lastIndexOf(location);
+
+      const resolved = Object.assign({}, frame, { file: position.file, line: position.line, column: position.column });
+
+      if (typeof position.name === 'string' && typeof frame.function === 'undefined')
+      {
+         resolved.function = position.name;
+      }
+
+      return {
+         line: index >= 0 ? `${line.slice(0, index)}${position.file}:${position.line}:${position.column}`
+          + `${line.slice(index + location.length)}` : line,
+         frame: resolved
+      };
+   }
+
    /**
     * Removes all trace filters.
     */
@@ -528,6 +1673,8 @@ export class ColorLogger
    {
       this._exclusiveTraceFilters.clear();
       this._inclusiveTraceFilters.clear();
+
+      this._clearTraceCache();
    }
 
    /**
@@ -548,7 +1695,209 @@ export class ColorLogger
 
       const filterMap = type === 'exclusive' ? this._exclusiveTraceFilters : this._inclusiveTraceFilters;
 
-      return filterMap.delete(name);
+      const removed = filterMap.delete(name);
+
+      if (removed) { this._clearTraceCache(); }
+
+      return removed;
+   }
+
+   /**
+    * Removes a transport by name. If the transport has a `close` method it is invoked.
+    *
+    * @param {string}   name - The name of the transport.
+    *
+    * @returns {boolean} True if the transport was removed.
+    */
+   removeTransport(name)
+   {
+      const transport = this._transports.get(name);
+
+      if (typeof transport !== 'object') { return false; }
+
+      this._transports.delete(name);
+
+      if (typeof transport.close === 'function') { transport.close(); }
+
+      return true;
+   }
+
+   /**
+    * Logs the number of times the last message was repeated if any duplicates were suppressed.
+    *
+    * @private
+    */
+   _reportDuplicates()
+   {
+      const last = this._suppression.last;
+
+      if (typeof last !== 'object' || last.count === 0) { return; }
+
+      const count = last.count;
+
+      last.count = 0;
+
+      this._outputSummary(last.level, `Last message repeated ${count} time${count > 1 ? 's' : ''}.`);
+   }
+
+   /**
+    * Logs the number of messages suppressed by the rate limit of a key.
+    *
+    * @param {object}   window - The rate limit interval of a key; a log level or callsite.
+    *
+    * @private
+    */
+   _reportRateLimited(window)
+   {
+      if (window.suppressed === 0) { return; }
+
+      const count = window.suppressed;
+
+      window.suppressed = 0;
+
+      const messages = `message${count > 1 ? 's' : ''}`;
+
+      const source = this._options.rateLimit !== null && this._options.rateLimit.per === 'callsite' ?
+       `${messages} from ${window.info}` : `${window.info} ${messages}`;
+
+      this._outputSummary(window.level, `Rate limit exceeded; ${count} ${source} suppressed.`);
+   }
+
+   /**
+    * Logs the pending counts of all suppressed duplicate and rate limited messages.
+    *
+    * @private
+    */
+   _reportSuppressed()
+   {
+      const suppression = this._suppression;
+
+      if (typeof suppression.timer !== 'undefined')
+      {
+         clearTimeout(suppression.timer);
+         suppression.timer = void 0;
+      }
+
+      s_SUPPRESSED_LOGGERS.delete(this);
+
+      this._reportDuplicates();
+
+      for (const window of suppression.windows.values()) { this._reportRateLimited(window); }
+   }
+
+   /**
+    * Resets the hit counters of all trace filters.
+    */
+   resetFilterHits()
+   {
+      for (const filter of this._exclusiveTraceFilters.values()) { filter.resetHits(); }
+      for (const filter of this._inclusiveTraceFilters.values()) { filter.resetHits(); }
+   }
+
+   /**
+    * Schedules logging the pending counts of suppressed messages unless already scheduled so that they are reported
+    * even when no further message is logged. The timer does not keep the process alive; pending counts are also
+    * reported on process exit.
+    *
+    * @param {number}   delay - The delay in milliseconds.
+    * @private
+    */
+   _scheduleSuppressedReport(delay)
+   {
+      const suppression = this._suppression;
+
+      if (typeof suppression.timer !== 'undefined') { return; }
+
+      suppression.timer = setTimeout(() => this._reportSuppressed(), Math.max(delay, 0));
+
+      if (typeof suppression.timer.unref === 'function') { suppression.timer.unref(); }
+
+      s_SUPPRESSED_LOGGERS.add(this);
+      s_ADD_EXIT_HOOK();
+   }
+
+   /**
+    * Caches the location of a callsite removing the oldest cached location when the cache is full.
+    *
+    * @param {string}   key - The cache key; the location options and stack trace of the callsite.
+    *
+    * @param {object}   entry - The location info, stack frame and trace filters which decided stack trace lines.
+    * @private
+    */
+   _setCachedCallsite(key, entry)
+   {
+      const callsites = this._traceCache.callsites;
+
+      if (callsites.size >= s_CALLSITE_CACHE_SIZE) { callsites.delete(callsites.keys().next().value); }
+
+      callsites.set(key, Object.assign({ resolver: this._sourceMapResolver }, entry));
+   }
+
+   /**
+    * Sets the log level, namespace levels, options and trace filters from a config; IE read from environment variables
+    * by {@link parseEnvConfig} or from a JSON file by {@link ConfigFile}. Trace filters are added replacing existing
+    * filters with the same type and name. The config is validated before it is applied and errors name the invalid
+    * key; IE `'config.options.showDate' is not a 'boolean'.`.
+    *
+    * @param {LoggerConfig}   config - The config to set.
+    */
+   setConfig(config)
+   {
+      this._setConfig(config, (path) => `config.${path}`);
+   }
+
+   /**
+    * Validates and sets a config.
+    *
+    * @param {LoggerConfig}   config - The config to set.
+    *
+    * @param {Function}       label - Returns the name of a config key path used in error messages.
+    * @private
+    */
+   _setConfig(config, label)
+   {
+      validateConfig(config, label);
+
+      if (typeof config.logLevel === 'string' && !this.isValidLogLevel(config.logLevel))
+      {
+         throw new TypeError(`'${label('logLevel')}' is not a valid log level: ${config.logLevel}`);
+      }
+
+      if (typeof config.namespaceLevels === 'string')
+      {
+         let entries;
+
+         try
+         {
+            entries = NamespaceLevels.parse(config.namespaceLevels);
+         }
+         catch (err)
+         {
+            throw new TypeError(`'${label('namespaceLevels')}' is not valid: ${err.message}`);
+         }
+
+         for (const entry of entries)
+         {
+            if (!this.isValidLogLevel(entry.level))
+            {
+               throw new TypeError(`'${label('namespaceLevels')}' has an unknown log level: ${entry.level}`);
+            }
+         }
+      }
+
+      if (typeof config.options === 'object') { this.setOptions(config.options); }
+
+      if (Array.isArray(config.filters))
+      {
+         for (const filter of config.filters)
+         {
+            this.removeFilter(filter.type, filter.name);
+            this.addFilter(filter);
+         }
+      }
+
+      if (typeof config.logLevel === 'string') { this.setLogLevel(config.logLevel); }
+      if (typeof config.namespaceLevels === 'string') { this.setNamespaceLevels(config.namespaceLevels); }
    }
 
    /**
@@ -576,6 +1925,7 @@ export class ColorLogger
       if (filter instanceof TraceFilter)
       {
          filter.enabled = enabled;
+         this._clearTraceCache();
          return true;
       }
 
@@ -590,7 +1940,7 @@ export class ColorLogger
     */
    setLogLevel(level)
    {
-      const requestedLevel = s_LOG_LEVELS[level];
+      const requestedLevel = this._getSeverity(level);
 
       if (typeof requestedLevel === 'undefined' || requestedLevel === null)
       {
@@ -602,6 +1952,110 @@ export class ColorLogger
       return true;
    }
 
+   /**
+    * Sets the namespace levels from a `DEBUG` style pattern string replacing any existing namespace levels. Pass an
+    * empty string to remove all namespace levels.
+    *
+    * @param {string}   spec - The namespace level string; IE `db:*=debug,http=warn,*=info`.
+    *
+    * @returns {boolean} True if the namespace levels were set.
+    */
+   setNamespaceLevels(spec)
+   {
+      let entries;
+
+      try
+      {
+         entries = NamespaceLevels.parse(spec);
+      }
+      catch (err)
+      {
+         console.log(`setNamespaceLevels - ${err.message}`);
+         return false;
+      }
+
+      for (const entry of entries)
+      {
+         if (!this.isValidLogLevel(entry.level))
+         {
+            console.log(`setNamespaceLevels - unknown log level: ${entry.level}`);
+            return false;
+         }
+      }
+
+      this._namespaceLevels.set(entries);
+
+      return true;
+   }
+
+   /**
+    * Sets the color theme by built-in theme name or theme data. Log levels not defined by theme data use the color of
+    * the log level and elements not defined use the style of the log level.
+    *
+    * @param {string|ThemeData}  theme - A built-in theme name: `default`, `dark`, `light`, `solarized` or theme data.
+    *
+    * @returns {boolean} True if the theme was set.
+    */
+   setTheme(theme)
+   {
+      let name = 'custom';
+
+      if (typeof theme === 'string')
+      {
+         if (!s_HAS(themes, theme))
+         {
+            console.log(`setTheme - unknown theme: ${theme}`);
+            return false;
+         }
+
+         name = theme;
+         theme = themes[theme];
+      }
+
+      if (typeof theme !== 'object' || theme === null)
+      {
+         throw new TypeError(`'theme' is not a 'string' or 'object'.`);
+      }
+
+      const data = { levels: Object.assign({}, theme.levels), elements: Object.assign({}, theme.elements) };
+
+      for (const level of Object.keys(data.levels)) { s_VALIDATE_STYLE(data.levels[level], `theme.levels.${level}`); }
+
+      for (const element of Object.keys(data.elements))
+      {
+         if (s_THEME_ELEMENTS.indexOf(element) < 0)
+         {
+            throw new TypeError(`'theme.elements.${element}' is not one of: ${s_THEME_ELEMENTS.join(', ')}.`);
+         }
+
+         s_VALIDATE_STYLE(data.elements[element], `theme.elements.${element}`);
+      }
+
+      this._theme = { name, data, cache: new Map() };
+      this._options.theme = name;
+
+      return true;
+   }
+
+   /**
+    * Sets the source map resolver which maps stack trace locations of transpiled code to original source positions.
+    * On Node use {@link SourceMapResolver}. Pass null to disable source map resolution.
+    *
+    * @param {{resolve: Function}|null} resolver - An object with a `resolve(file, line, column)` method returning the
+    *                                             original `{file, line, column}` or undefined.
+    */
+   setSourceMapResolver(resolver)
+   {
+      if (resolver !== null && (typeof resolver !== 'object' || typeof resolver.resolve !== 'function'))
+      {
+         throw new TypeError(`'resolver' does not have a 'resolve' function and is not null.`);
+      }
+
+      this._sourceMapResolver = resolver !== null ? resolver : void 0;
+
+      this._clearTraceCache();
+   }
+
    /**
     * Set optional parameters.
     *
@@ -616,10 +2070,161 @@ export class ColorLogger
          this._options.autoPluginFilters = options.autoPluginFilters;
       }
 
+      if (typeof options.colorDepth === 'string')
+      {
+         if (options.colorDepth !== 'auto' && COLOR_DEPTHS.indexOf(options.colorDepth) < 0)
+         {
+            throw new TypeError(`'options.colorDepth' must be 'auto', 'none', '16', '256' or 'truecolor'.`);
+         }
+
+         this._options.colorDepth = options.colorDepth;
+         this._colorDepth = options.colorDepth === 'auto' ? detectColorDepth() : options.colorDepth;
+      }
+
       if (typeof options.consoleEnabled === 'boolean') { this._options.consoleEnabled = options.consoleEnabled; }
+
+      if (typeof options.dedupe === 'boolean')
+      {
+         this._reportDuplicates();
+         this._suppression.last = void 0;
+         this._options.dedupe = options.dedupe;
+      }
+
       if (typeof options.filtersEnabled === 'boolean') { this._options.filtersEnabled = options.filtersEnabled; }
+      if (typeof options.format !== 'undefined')
+      {
+         if (options.format !== null && typeof options.format !== 'string' && typeof options.format !== 'function')
+         {
+            throw new TypeError(`'options.format' is not a 'string', 'function' or null.`);
+         }
+
+         this._options.format = options.format;
+         this._format = typeof options.format === 'string' ? s_PARSE_TEMPLATE(options.format) :
+          options.format !== null ? options.format : void 0;
+      }
+
+      if (typeof options.highlight === 'boolean') { this._options.highlight = options.highlight; }
+
+      if (typeof options.hyperlinks !== 'undefined')
+      {
+         if (typeof options.hyperlinks !== 'boolean' && typeof options.hyperlinks !== 'string')
+         {
+            throw new TypeError(`'options.hyperlinks' is not a 'boolean' or 'string'.`);
+         }
+
+         this._options.hyperlinks = options.hyperlinks;
+      }
+
+      if (typeof options.json === 'boolean') { this._options.json = options.json; }
+      if (typeof options.lazyArgs === 'boolean') { this._options.lazyArgs = options.lazyArgs; }
+      if (typeof options.locationFunction === 'boolean') { this._options.locationFunction = options.locationFunction; }
+
+      if (typeof options.locationLevels !== 'undefined')
+      {
+         if (options.locationLevels !== null && (!Array.isArray(options.locationLevels) ||
+          options.locationLevels.some((level) => !this.isValidLogLevel(level))))
+         {
+            throw new TypeError(`'options.locationLevels' is not an 'array' of valid log levels or null.`);
+         }
+
+         this._options.locationLevels = options.locationLevels !== null ? options.locationLevels.slice() : null;
+      }
+
+      if (typeof options.locationPath !== 'undefined')
+      {
+         if (LOCATION_PATHS.indexOf(options.locationPath) < 0)
+         {
+            throw new TypeError(`'options.locationPath' must be one of: ${LOCATION_PATHS.join(', ')}.`);
+         }
+
+         this._options.locationPath = options.locationPath;
+      }
+
+      for (const key of ['maxArrayLength', 'maxDepth', 'maxStringLength'])
+      {
+         if (typeof options[key] === 'undefined') { continue; }
+
+         if (typeof options[key] !== 'number' || isNaN(options[key]) || options[key] < 0)
+         {
+            throw new TypeError(`'options.${key}' is not a non-negative 'number'.`);
+         }
+
+         this._options[key] = options[key];
+      }
+
+      if (typeof options.rateLimit !== 'undefined')
+      {
+         const rateLimit = options.rateLimit;
+
+         if (typeof rateLimit !== 'object') { throw new TypeError(`'options.rateLimit' is not an 'object' or null.`); }
+
+         if (rateLimit !== null)
+         {
+            if (!Number.isInteger(rateLimit.limit) || rateLimit.limit < 1)
+            {
+               throw new TypeError(`'options.rateLimit.limit' is not a positive 'integer'.`);
+            }
+
+            if (typeof rateLimit.interval !== 'number' || !Number.isFinite(rateLimit.interval) ||
+             rateLimit.interval <= 0)
+            {
+               throw new TypeError(`'options.rateLimit.interval' is not a positive 'number'.`);
+            }
+
+            if (typeof rateLimit.per !== 'undefined' && RATE_LIMIT_KEYS.indexOf(rateLimit.per) < 0)
+            {
+               throw new TypeError(`'options.rateLimit.per' must be one of: ${RATE_LIMIT_KEYS.join(', ')}.`);
+            }
+         }
+
+         // Messages suppressed by the previous rate limit are reported before it is replaced.
+         this._reportSuppressed();
+         this._suppression.windows.clear();
+
+         this._options.rateLimit = rateLimit !== null ? { interval: rateLimit.interval, limit: rateLimit.limit,
+          per: typeof rateLimit.per === 'string' ? rateLimit.per : 'level' } : null;
+      }
+
+      if (typeof options.redact !== 'undefined')
+      {
+         if (typeof options.redact !== 'object')
+         {
+            throw new TypeError(`'options.redact' is not an 'object' or null.`);
+         }
+
+         this._redactor = options.redact !== null ? new Redactor(options.redact) : void 0;
+         this._options.redact = options.redact !== null ? this._redactor.toJSON() : null;
+      }
+
       if (typeof options.showDate === 'boolean') { this._options.showDate = options.showDate; }
       if (typeof options.showInfo === 'boolean') { this._options.showInfo = options.showInfo; }
+      if (typeof options.theme === 'string') { this.setTheme(options.theme); }
+
+      if (typeof options.timeFormat === 'string')
+      {
+         if (TIME_FORMATS.indexOf(options.timeFormat) < 0)
+         {
+            throw new TypeError(`'options.timeFormat' must be one of: ${TIME_FORMATS.join(', ')}.`);
+         }
+
+         this._options.timeFormat = options.timeFormat;
+      }
+
+      for (const key of ['traceCollapseModules', 'traceDimExternal', 'traceHideInternals'])
+      {
+         if (typeof options[key] === 'boolean') { this._options[key] = options[key]; }
+      }
+
+      if (typeof options.traceMaxFrames !== 'undefined')
+      {
+         if (options.traceMaxFrames !== null && (!Number.isInteger(options.traceMaxFrames) ||
+          options.traceMaxFrames < 0))
+         {
+            throw new TypeError(`'options.traceMaxFrames' is not a non-negative 'integer' or null.`);
+         }
+
+         this._options.traceMaxFrames = options.traceMaxFrames;
+      }
    }
 
    // Logging methods -----------------------------------------------------------------------------------------------
@@ -871,35 +2476,318 @@ export class ColorLogger
 }
 
 /**
- * ASCII ESCAPE SEQUENCE https://en.wikipedia.org/wiki/ANSI_escape_code#Colors
- * @type {{n: string, v: string, d: string, i: string, w: string, e: string}}
+ * Stores the built-in log levels. `severity` is the level value where higher values are more severe, `color` is the
+ * default ANSI color, `label` is displayed in the level tag and `css` is the style used in the browser. The `off` and
+ * `all` levels only set the log level and have no log methods.
+ * @type {Array<LogLevelData>}
+ * @see https://en.wikipedia.org/wiki/ANSI_escape_code#Colors
+ */
+const s_LOG_LEVELS =
+[
+   { name: 'off', severity: 8 },
+   { name: 'fatal', severity: 7, color: 'lightRed', label: 'F', css: 'color: #ff5555; font-weight: bold' },
+   { name: 'error', severity: 6, color: 'red', label: 'E', css: 'color: #cc0000' },
+   { name: 'warn', severity: 5, color: 'yellow', label: 'W', css: 'color: #c08000' },
+   { name: 'info', severity: 4, color: 'green', label: 'I', css: 'color: #008000' },
+   { name: 'verbose', severity: 3, color: 'purple', label: 'V', css: 'color: #a000a0' },
+   { name: 'debug', severity: 2, color: 'blue', label: 'D', css: 'color: #0050d0' },
+   { name: 'trace', severity: 1, color: 'lightCyan', label: 'T', css: 'color: #00a0a0; font-weight: bold' },
+   { name: 'all', severity: 0 }
+];
+
+/**
+ * Defines the log method variants of each log level. `method` is appended to the log level name for the log method and
+ * `event` to the event binding.
+ * @type {Array<{method: string, event: string, compact: boolean, nocolor: boolean, raw: boolean, time: boolean}>}
+ */
+const s_LEVEL_VARIANTS =
+[
+   { method: '', event: '', compact: false, nocolor: false, raw: false, time: false },
+   { method: 'Compact', event: ':compact', compact: true, nocolor: false, raw: false, time: false },
+   { method: 'NoColor', event: ':nocolor', compact: false, nocolor: true, raw: false, time: false },
+   { method: 'Raw', event: ':raw', compact: false, nocolor: true, raw: true, time: false },
+   { method: 'Time', event: ':time', compact: false, nocolor: false, raw: false, time: true }
+];
+
+/**
+ * Returns the file name of a path or URL.
+ *
+ * @param {string}   file - A path or URL.
+ *
+ * @returns {string} The file name.
+ */
+const s_BASENAME = (file) => file.slice(Math.max(file.lastIndexOf('/'), file.lastIndexOf('\\')) + 1);
+
+/**
+ * Returns the filter data of a trace filter.
+ *
+ * @param {TraceFilter} filter - The trace filter.
+ *
+ * @param {string}      type - The filter type: 'exclusive' or 'inclusive'.
+ *
+ * @returns {TraceFilterData} The filter data.
+ */
+const s_GET_FILTER_DATA = (filter, type) =>
+{
+   return {
+      enabled: filter.enabled,
+      filterString: filter.filterString,
+      flags: filter.flags,
+      glob: filter.glob,
+      hits: filter.hits,
+      name: filter.name,
+      priority: filter.priority,
+      type
+   };
+};
+
+/**
+ * Evaluates a lazy log method argument; functions are invoked and replaced by their result or the thrown error.
+ *
+ * @param {*}  value - A log method argument.
+ *
+ * @returns {*} The evaluated argument.
  */
-const s_LEVEL_TO_COLOR =
+const s_EVALUATE_LAZY = (value) =>
 {
-   fatal: '[1;31m[F]', // light red
-   error: '[31m[E]',   // red
-   warn: '[33m[W]',    // yellow
-   info: '[32m[I]',    // green
-   debug: '[34m[D]',   // blue
-   verbose: '[35m[V]', // purple
-   trace: '[1;36m[T]'  // light cyan
+   if (typeof value !== 'function') { return value; }
+
+   try
+   {
+      return value();
+   }
+   catch (err)
+   {
+      return err;
+   }
 };
 
 /**
- * Stores the log level name to level value.
- * @type {{off: number, fatal: number, error: number, warn: number, info: number, verbose: number, debug: number, trace: number, all: number}}
+ * Returns true if a stack trace line is a Node internal or `node_modules` frame or a summary line of condensed frames.
+ *
+ * @param {string}   line - A stack trace line.
+ *
+ * @returns {boolean}
  */
-const s_LOG_LEVELS =
+const s_IS_EXTERNAL_TRACE_LINE = (line) =>
+{
+   if (line.trim().startsWith('…')) { return true; }
+
+   const frame = parseStackFrame(line);
+
+   return isInternalFrame(frame) || typeof getFramePackage(frame) === 'string';
+};
+
+/**
+ * Returns the path of a stack frame file relative to the current working directory. Files outside of the current
+ * working directory, URLs other than `file://` and all files in the browser keep their full path.
+ *
+ * @param {string}   file - A path or URL.
+ *
+ * @returns {string} The relative path.
+ */
+const s_RELATIVE_PATH = (file) =>
+{
+   if (typeof process !== 'object' || process === null || typeof process.cwd !== 'function') { return file; }
+
+   const cwd = process.cwd();
+
+   for (const separator of ['/', '\\'])
+   {
+      const prefix = cwd.endsWith(separator) ? cwd : `${cwd}${separator}`;
+
+      if (file.startsWith(prefix)) { return file.slice(prefix.length); }
+   }
+
+   return file;
+};
+
+/**
+ * Creates the state of duplicate message suppression and rate limiting.
+ *
+ * @returns {object} The state.
+ */
+const s_CREATE_SUPPRESSION = () => ({ last: void 0, windows: new Map(), duplicates: 0, rateLimited: 0,
+ reporting: false, timer: void 0 });
+
+/**
+ * The delay in milliseconds after the first suppressed duplicate message at which the pending count is logged.
+ * @type {number}
+ */
+const s_DUPLICATES_REPORT_DELAY = 1000;
+
+/**
+ * The loggers with pending counts of suppressed messages which are logged on process exit.
+ * @type {Set<ColorLogger>}
+ */
+const s_SUPPRESSED_LOGGERS = new Set();
+
+/**
+ * True once the process exit hook logging pending counts of suppressed messages is added.
+ * @type {boolean}
+ */
+let s_EXIT_HOOK_ADDED = false;
+
+/**
+ * Adds a single process exit hook which logs the pending counts of suppressed messages of all loggers and flushes
+ * their transports. Nothing is added when `process` is not available; IE in the browser.
+ */
+const s_ADD_EXIT_HOOK = () =>
+{
+   if (s_EXIT_HOOK_ADDED || typeof process !== 'object' || process === null || typeof process.on !== 'function')
+   {
+      return;
+   }
+
+   s_EXIT_HOOK_ADDED = true;
+
+   process.on('exit', () =>
+   {
+      for (const suppressedLogger of s_SUPPRESSED_LOGGERS) { suppressedLogger.flushSync(); }
+   });
+};
+
+/**
+ * The number of rate limit keys above which keys without suppressed messages are removed.
+ * @type {number}
+ */
+const s_RATE_LIMIT_KEYS_SIZE = 1000;
+
+/**
+ * The maximum number of cached callsite locations.
+ * @type {number}
+ */
+const s_CALLSITE_CACHE_SIZE = 1000;
+
+/**
+ * The number of stack frames captured to locate the callsite of a log method; the frames of ColorLogger itself and a
+ * few frames of filtered code such as an eventbus.
+ * @type {number}
+ */
+const s_LOCATION_STACK_LIMIT = 8;
+
+/**
+ * Creates an Error capturing the current stack trace.
+ *
+ * @param {number}   [limit] - The maximum number of captured stack frames; defaults to `Error.stackTraceLimit`.
+ *
+ * @returns {Error} The Error.
+ */
+const s_CAPTURE_ERROR = (limit = void 0) =>
+{
+   const stackTraceLimit = Error.stackTraceLimit;
+
+   if (typeof limit === 'number' && typeof stackTraceLimit === 'number' && stackTraceLimit > limit)
+   {
+      Error.stackTraceLimit = limit;
+   }
+
+   try
+   {
+      throw new Error();
+   }
+   catch (err)
+   {
+      return err;
+   }
+   finally
+   {
+      Error.stackTraceLimit = stackTraceLimit;
+   }
+};
+
+/**
+ * The keys of Error properties which are not displayed as additional properties.
+ * @type {string[]}
+ */
+const s_ERROR_KEYS = ['cause', 'errors', 'message', 'name', 'stack'];
+
+/**
+ * The theme elements which may be styled separately from the log level. The `key`, `string`, `number`, `boolean` and
+ * `null` elements style the values of logged objects when the `highlight` option is enabled.
+ * @type {string[]}
+ */
+const s_THEME_ELEMENTS = ['tag', 'time', 'location', 'namespace', 'trace', 'traceExternal', 'key', 'string', 'number',
+ 'boolean', 'null'];
+
+/**
+ * The theme styles used when no color is applied.
+ * @type {object}
+ */
+const s_NO_STYLES =
+{
+   'levels': {},
+   'tag': '',
+   'time': '',
+   'location': '',
+   'namespace': '',
+   'trace': '',
+   'traceExternal': '',
+   'key': '',
+   'string': '',
+   'number': '',
+   'boolean': '',
+   'null': ''
+};
+
+/**
+ * Returns true if the object has the given own property.
+ *
+ * @param {object}   object - The object to test.
+ *
+ * @param {string}   key - The property key.
+ *
+ * @returns {boolean}
+ */
+const s_HAS = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Validates a theme style throwing a TypeError naming the style for invalid styles.
+ *
+ * @param {StyleData}   style - The style to validate.
+ *
+ * @param {string}      name - The name of the style.
+ */
+const s_VALIDATE_STYLE = (style, name) =>
+{
+   try
+   {
+      styleToANSI(style, '16');
+      styleToANSI(style, 'truecolor');
+   }
+   catch (err)
+   {
+      throw new TypeError(`'${name}' is not a valid style: ${err.message}`);
+   }
+};
+
+/**
+ * The eventbus the default logger is wired to when loaded as a plugin.
+ * @type {EventProxy|undefined}
+ */
+let s_EVENTBUS = void 0;
+
+/**
+ * The event binding prepend of the default logger when loaded as a plugin.
+ * @type {string}
+ */
+let s_EVENT_PREPEND = '';
+
+/**
+ * Adds the event bindings for all log method variants of a log level of the default logger.
+ *
+ * @param {EventProxy}  eventbus - The plugin eventbus.
+ *
+ * @param {string}      eventPrepend - A string prepended to all event bindings.
+ *
+ * @param {string}      name - The log level name.
+ */
+const s_ADD_LEVEL_EVENTS = (eventbus, eventPrepend, name) =>
 {
-   off: 8,
-   fatal: 7,
-   error: 6,
-   warn: 5,
-   info: 4,
-   verbose: 3,
-   debug: 2,
-   trace: 1,
-   all: 0
+   for (const variant of s_LEVEL_VARIANTS)
+   {
+      eventbus.on(`${eventPrepend}log:${name}${variant.event}`, logger[`${name}${variant.method}`], logger);
+   }
 };
 
 /**
@@ -913,7 +2801,65 @@ const s_LOG_LEVELS =
  */
 const s_IS_LEVEL_ENABLED = (currentLevel, requestedLevel) =>
 {
-   return Number.isInteger(currentLevel) && Number.isInteger(requestedLevel) && currentLevel <= requestedLevel;
+   return Number.isFinite(currentLevel) && Number.isFinite(requestedLevel) && currentLevel <= requestedLevel;
+};
+
+/**
+ * Parses a `format` template string into literal text and tokens; IE `{level} {time} {message}`.
+ *
+ * @param {string}   template - The template to parse.
+ *
+ * @returns {Array<string|{token: string}>} The literal text and tokens of the template.
+ */
+const s_PARSE_TEMPLATE = (template) =>
+{
+   return template.split(/\{([A-Za-z_$][\w$]*)\}/).map((part, index) => index % 2 === 1 ? { token: part } : part)
+    .filter((part) => part !== '');
+};
+
+/**
+ * Renders a parsed `format` template. Tokens which are not element tokens resolve to the bound field of the same name.
+ * The whitespace following a token which resolves to an empty string is removed, so IE `{level} {time} {message}`
+ * renders without a double space when the time stamp is not displayed.
+ *
+ * @param {Array<string|{token: string}>} parts - The parsed template.
+ *
+ * @param {object}   tokens - The element token values.
+ *
+ * @param {object}   bindings - The fields bound to the logger.
+ *
+ * @returns {string} The rendered template.
+ */
+const s_RENDER_TEMPLATE = (parts, tokens, bindings) =>
+{
+   let result = '';
+   let skipSpace = false;
+
+   for (const part of parts)
+   {
+      if (typeof part === 'string')
+      {
+         result += skipSpace ? part.replace(/^[ \t]+/, '') : part;
+         skipSpace = false;
+         continue;
+      }
+
+      let value = s_HAS(tokens, part.token) ? tokens[part.token] : bindings[part.token];
+
+      value = typeof value === 'undefined' || value === null ? '' : String(value);
+
+      if (value === '')
+      {
+         // Remove trailing whitespace when the template ends with an empty token.
+         if (part === parts[parts.length - 1]) { result = result.replace(/[ \t]+$/, ''); }
+
+         skipSpace = true;
+      }
+
+      result += value;
+   }
+
+   return result;
 };
 
 /**
@@ -922,6 +2868,16 @@ const s_IS_LEVEL_ENABLED = (currentLevel, requestedLevel) =>
  */
 const logger = new ColorLogger();
 
+// Only the default logger reads environment variables automatically; invalid values leave the defaults in effect.
+try
+{
+   logger.loadEnv();
+}
+catch (err)
+{
+   logger.warn(`Environment variables ignored: ${err.message}`);
+}
+
 export default logger;
 
 /**
@@ -952,56 +2908,41 @@ export function onPluginLoad(ev)
       if (Array.isArray(options.filterConfigs)) { logger.addFilters(options.filterConfigs); }
    }
 
-   eventbus.on(`${eventPrepend}log:fatal`, logger.fatal, logger);
-   eventbus.on(`${eventPrepend}log:fatal:compact`, logger.fatalCompact, logger);
-   eventbus.on(`${eventPrepend}log:fatal:nocolor`, logger.fatalNoColor, logger);
-   eventbus.on(`${eventPrepend}log:fatal:raw`, logger.fatalRaw, logger);
-   eventbus.on(`${eventPrepend}log:fatal:time`, logger.fatalTime, logger);
-   eventbus.on(`${eventPrepend}log:error`, logger.error, logger);
-   eventbus.on(`${eventPrepend}log:error:compact`, logger.errorCompact, logger);
-   eventbus.on(`${eventPrepend}log:error:nocolor`, logger.errorNoColor, logger);
-   eventbus.on(`${eventPrepend}log:error:raw`, logger.errorRaw, logger);
-   eventbus.on(`${eventPrepend}log:error:time`, logger.errorTime, logger);
-   eventbus.on(`${eventPrepend}log:warn`, logger.warn, logger);
-   eventbus.on(`${eventPrepend}log:warn:compact`, logger.warnCompact, logger);
-   eventbus.on(`${eventPrepend}log:warn:nocolor`, logger.warnNoColor, logger);
-   eventbus.on(`${eventPrepend}log:warn:raw`, logger.warnRaw, logger);
-   eventbus.on(`${eventPrepend}log:warn:time`, logger.warnTime, logger);
-   eventbus.on(`${eventPrepend}log:info`, logger.info, logger);
-   eventbus.on(`${eventPrepend}log:info:compact`, logger.infoCompact, logger);
-   eventbus.on(`${eventPrepend}log:info:nocolor`, logger.infoNoColor, logger);
-   eventbus.on(`${eventPrepend}log:info:raw`, logger.infoRaw, logger);
-   eventbus.on(`${eventPrepend}log:info:time`, logger.infoTime, logger);
-   eventbus.on(`${eventPrepend}log:debug`, logger.debug, logger);
-   eventbus.on(`${eventPrepend}log:debug:compact`, logger.debugCompact, logger);
-   eventbus.on(`${eventPrepend}log:debug:nocolor`, logger.debugNoColor, logger);
-   eventbus.on(`${eventPrepend}log:debug:raw`, logger.debugRaw, logger);
-   eventbus.on(`${eventPrepend}log:debug:time`, logger.debugTime, logger);
-   eventbus.on(`${eventPrepend}log:verbose`, logger.verbose, logger);
-   eventbus.on(`${eventPrepend}log:verbose:compact`, logger.verboseCompact, logger);
-   eventbus.on(`${eventPrepend}log:verbose:nocolor`, logger.verboseNoColor, logger);
-   eventbus.on(`${eventPrepend}log:verbose:raw`, logger.verboseRaw, logger);
-   eventbus.on(`${eventPrepend}log:verbose:time`, logger.verboseTime, logger);
-   eventbus.on(`${eventPrepend}log:trace`, logger.trace, logger);
-   eventbus.on(`${eventPrepend}log:trace:compact`, logger.traceCompact, logger);
-   eventbus.on(`${eventPrepend}log:trace:nocolor`, logger.traceNoColor, logger);
-   eventbus.on(`${eventPrepend}log:trace:raw`, logger.traceRaw, logger);
-   eventbus.on(`${eventPrepend}log:trace:time`, logger.traceTime, logger);
+   s_EVENTBUS = eventbus;
+   s_EVENT_PREPEND = eventPrepend;
 
+   for (const name of logger.getLogLevels()) { s_ADD_LEVEL_EVENTS(eventbus, eventPrepend, name); }
+
+   eventbus.on(`${eventPrepend}log:color:depth:get`, logger.getColorDepth, logger);
+   eventbus.on(`${eventPrepend}log:config:get`, logger.getConfig, logger);
+   eventbus.on(`${eventPrepend}log:config:set`, logger.setConfig, logger);
    eventbus.on(`${eventPrepend}log:filter:add`, logger.addFilter, logger);
    eventbus.on(`${eventPrepend}log:filter:data:get:all`, logger.getAllFilterData, logger);
    eventbus.on(`${eventPrepend}log:filter:data:get`, logger.getFilterData, logger);
    eventbus.on(`${eventPrepend}log:filter:enabled:get`, logger.getFilterEnabled, logger);
    eventbus.on(`${eventPrepend}log:filter:enabled:set`, logger.setFilterEnabled, logger);
+   eventbus.on(`${eventPrepend}log:filter:hits:reset`, logger.resetFilterHits, logger);
    eventbus.on(`${eventPrepend}log:filter:remove`, logger.removeFilter, logger);
    eventbus.on(`${eventPrepend}log:filter:remove:all`, logger.removeAllFilters, logger);
+   eventbus.on(`${eventPrepend}log:flush`, logger.flush, logger);
+   eventbus.on(`${eventPrepend}log:flush:sync`, logger.flushSync, logger);
+   eventbus.on(`${eventPrepend}log:level:add`, logger.addLogLevel, logger);
    eventbus.on(`${eventPrepend}log:level:get`, logger.getLogLevel, logger);
+   eventbus.on(`${eventPrepend}log:level:get:all`, logger.getLogLevels, logger);
    eventbus.on(`${eventPrepend}log:level:is:enabled`, logger.isLevelEnabled, logger);
    eventbus.on(`${eventPrepend}log:level:is:valid`, logger.isValidLogLevel, logger);
+   eventbus.on(`${eventPrepend}log:level:namespace:get`, logger.getNamespaceLevels, logger);
+   eventbus.on(`${eventPrepend}log:level:namespace:set`, logger.setNamespaceLevels, logger);
    eventbus.on(`${eventPrepend}log:level:set`, logger.setLogLevel, logger);
    eventbus.on(`${eventPrepend}log:options:get`, logger.getOptions, logger);
    eventbus.on(`${eventPrepend}log:options:set`, logger.setOptions, logger);
+   eventbus.on(`${eventPrepend}log:suppressed:counts:get`, logger.getSuppressedCounts, logger);
+   eventbus.on(`${eventPrepend}log:theme:get`, logger.getTheme, logger);
+   eventbus.on(`${eventPrepend}log:theme:set`, logger.setTheme, logger);
    eventbus.on(`${eventPrepend}log:trace:info:get`, logger.getTraceInfo, logger);
+   eventbus.on(`${eventPrepend}log:transport:add`, logger.addTransport, logger);
+   eventbus.on(`${eventPrepend}log:transport:get`, logger.getTransport, logger);
+   eventbus.on(`${eventPrepend}log:transport:remove`, logger.removeTransport, logger);
 
    // Add plugin auto filter support for added plugins.
    eventbus.on('typhonjs:plugin:manager:plugin:added', (data) =>
@@ -1074,4 +3015,7 @@ export function onPluginLoad(ev)
 export function onPluginUnload()
 {
    logger.removeAllFilters();
+
+   s_EVENTBUS = void 0;
+   s_EVENT_PREPEND = '';
 }
@@ -0,0 +1,115 @@
+import fs     from 'fs';
+import path   from 'path';
+
+import { mergeConfigs, parseEnvConfig, serializeConfig, validateConfig } from './utils/config.js';
+
+/**
+ * Reads and writes a {@link LoggerConfig} as a JSON file.
+ *
+ * Configuration is applied in order of increasing precedence: the logger defaults, the constructor options, the config
+ * file and the environment variables read by {@link parseEnvConfig}. `load` merges the config file with the environment
+ * variables accordingly, so `logger.setConfig(configFile.load())` keeps environment variables in effect. Options set
+ * at runtime with `setOptions` and `setLogLevel` take precedence until the next config is set.
+ *
+ * Validation errors are prefixed by the file path and name the invalid key; IE
+ * `./log.json: 'config.options.showDate' is not a 'boolean'.`.
+ *
+ * Note: This class is only available on Node.
+ *
+ * @example
+ * import logger      from 'typhonjs-color-logger';
+ * import ConfigFile  from 'typhonjs-color-logger/dist/ConfigFile.js';
+ *
+ * const configFile = new ConfigFile('./log.json');
+ *
+ * logger.setConfig(configFile.load());
+ *
+ * // Export the current configuration.
+ * configFile.write(logger.getConfig());
+ */
+export default class ConfigFile
+{
+   /**
+    * Instantiates ConfigFile.
+    *
+    * @param {string}   filePath - The path of the JSON config file.
+    */
+   constructor(filePath)
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+      /**
+       * The path of the config file as given.
+       * @type {string}
+       * @private
+       */
+      this._filePath = filePath;
+   }
+
+   /**
+    * Get the path of the config file.
+    *
+    * @returns {string}
+    */
+   get filePath() { return this._filePath; }
+
+   /**
+    * Returns the config of the file merged with the config of the environment variables which take precedence. A
+    * missing config file is treated as an empty config.
+    *
+    * @param {object<string, string>}  [env=process.env] - The environment variables.
+    *
+    * @returns {LoggerConfig} The merged config.
+    */
+   load(env = process.env)
+   {
+      const fileConfig = fs.existsSync(this._filePath) ? this.read() : {};
+
+      return mergeConfigs(fileConfig, parseEnvConfig(env));
+   }
+
+   /**
+    * Reads and validates the config file.
+    *
+    * @returns {LoggerConfig} The config of the file.
+    */
+   read()
+   {
+      const json = fs.readFileSync(this._filePath, 'utf8');
+
+      let config;
+
+      try
+      {
+         config = JSON.parse(json);
+      }
+      catch (err)
+      {
+         throw new TypeError(`${this._filePath}: is not valid JSON: ${err.message}`);
+      }
+
+      try
+      {
+         validateConfig(config);
+      }
+      catch (err)
+      {
+         throw new TypeError(`${this._filePath}: ${err.message}`);
+      }
+
+      return config;
+   }
+
+   /**
+    * Writes a config to the file as formatted JSON creating missing directories.
+    *
+    * @param {LoggerConfig}   config - The config to write; IE from `logger.getConfig()`.
+    */
+   write(config)
+   {
+      const json = JSON.stringify(serializeConfig(config), null, 3);
+
+      fs.mkdirSync(path.dirname(path.resolve(this._filePath)), { recursive: true });
+      fs.writeFileSync(this._filePath, `${json}\n`);
+   }
+}
@@ -0,0 +1,352 @@
+import fs     from 'fs';
+import path   from 'path';
+
+import ConfigFile from './ConfigFile.js';
+
+/**
+ * Reconfigures a running process without code changes. When started the config file is watched and the log level,
+ * namespace levels, options and trace filters are re-applied with `setConfig` whenever the file changes. Environment
+ * variables keep precedence over the config file; see {@link ConfigFile}.
+ *
+ * In addition a POSIX signal, `SIGUSR2` by default, cycles the log level through the `levels` option and then restores
+ * the original log level; IE `kill -USR2 <pid>` sets `debug`, a second signal sets `trace` and a third restores `info`.
+ * The original log level is the log level when the watcher is started or the log level of the last reloaded config.
+ *
+ * Each change is announced with a log message at the `announceLevel`; invalid config files are reported as errors and
+ * leave the current configuration in place. The file watcher and timers do not keep the process alive.
+ *
+ * Note: This class is only available on Node. Signals are not available on Windows.
+ *
+ * @example
+ * import logger         from 'typhonjs-color-logger';
+ * import ConfigFile     from 'typhonjs-color-logger/dist/ConfigFile.js';
+ * import ConfigWatcher  from 'typhonjs-color-logger/dist/ConfigWatcher.js';
+ *
+ * const configFile = new ConfigFile('./log.json');
+ *
+ * logger.setConfig(configFile.load());
+ *
+ * new ConfigWatcher(logger, { configFile }).start();
+ */
+export default class ConfigWatcher
+{
+   /**
+    * Instantiates ConfigWatcher.
+    *
+    * @param {ColorLogger}          logger - The logger to reconfigure.
+    *
+    * @param {ConfigWatcherOptions} [options] - Optional parameters.
+    */
+   constructor(logger, options = {})
+   {
+      if (typeof logger !== 'object' || logger === null || typeof logger.setConfig !== 'function')
+      {
+         throw new TypeError(`'logger' is not a 'ColorLogger'.`);
+      }
+
+      if (typeof options !== 'object' || options === null) { throw new TypeError(`'options' is not an 'object'.`); }
+
+      const configFile = typeof options.configFile === 'string' ? new ConfigFile(options.configFile) :
+       options.configFile;
+
+      if (typeof configFile !== 'undefined' && !(configFile instanceof ConfigFile))
+      {
+         throw new TypeError(`'options.configFile' is not a 'string' or 'ConfigFile'.`);
+      }
+
+      const signal = typeof options.signal !== 'undefined' ? options.signal : 'SIGUSR2';
+
+      if (signal !== null && (typeof signal !== 'string' || !signal.startsWith('SIG')))
+      {
+         throw new TypeError(`'options.signal' is not a signal name or null.`);
+      }
+
+      const levels = typeof options.levels !== 'undefined' ? options.levels : ['debug', 'trace'];
+
+      if (!Array.isArray(levels) || levels.some((level) => !logger.isValidLogLevel(level)))
+      {
+         throw new TypeError(`'options.levels' is not an 'array' of valid log levels.`);
+      }
+
+      const announceLevel = typeof options.announceLevel !== 'undefined' ? options.announceLevel : 'warn';
+
+      if (!logger.isValidLogLevel(announceLevel) || typeof logger[announceLevel] !== 'function')
+      {
+         throw new TypeError(`'options.announceLevel' is not a valid log level.`);
+      }
+
+      const debounce = typeof options.debounce !== 'undefined' ? options.debounce : 100;
+
+      if (!Number.isInteger(debounce) || debounce < 0)
+      {
+         throw new TypeError(`'options.debounce' is not a non-negative 'integer'.`);
+      }
+
+      if (typeof options.env !== 'undefined' && (typeof options.env !== 'object' || options.env === null))
+      {
+         throw new TypeError(`'options.env' is not an 'object'.`);
+      }
+
+      /**
+       * The log level of announcements.
+       * @type {string}
+       * @private
+       */
+      this._announceLevel = announceLevel;
+
+      /**
+       * The watched config file.
+       * @type {ConfigFile|undefined}
+       * @private
+       */
+      this._configFile = configFile;
+
+      /**
+       * The delay in milliseconds before a changed config file is reloaded.
+       * @type {number}
+       * @private
+       */
+      this._debounce = debounce;
+
+      /**
+       * The environment variables merged with the config file.
+       * @type {object<string, string>}
+       * @private
+       */
+      this._env = typeof options.env === 'object' ? options.env : process.env;
+
+      /**
+       * The index of the current level of the signal cycle; -1 when the original log level is set.
+       * @type {number}
+       * @private
+       */
+      this._levelIndex = -1;
+
+      /**
+       * The log levels the signal cycles through.
+       * @type {string[]}
+       * @private
+       */
+      this._levels = levels.slice();
+
+      /**
+       * The JSON of the last applied config; used to skip file changes which do not change the config.
+       * @type {string|undefined}
+       * @private
+       */
+      this._lastConfig = void 0;
+
+      /**
+       * The logger to reconfigure.
+       * @type {ColorLogger}
+       * @private
+       */
+      this._logger = logger;
+
+      /**
+       * The log level restored by the signal cycle.
+       * @type {string|undefined}
+       * @private
+       */
+      this._originalLevel = void 0;
+
+      /**
+       * The signal which cycles the log level.
+       * @type {string|null}
+       * @private
+       */
+      this._signal = signal;
+
+      /**
+       * The bound signal listener.
+       * @type {Function}
+       * @private
+       */
+      this._signalListener = () => { this._cycleLevel(` by ${signal}`); };
+
+      /**
+       * The pending debounce timer of a config file change.
+       * @type {*}
+       * @private
+       */
+      this._timer = void 0;
+
+      /**
+       * The directory watcher of the config file.
+       * @type {fs.FSWatcher|undefined}
+       * @private
+       */
+      this._watcher = void 0;
+
+      /**
+       * True when started.
+       * @type {boolean}
+       * @private
+       */
+      this._watching = false;
+   }
+
+   /**
+    * Get whether the watcher is started.
+    *
+    * @returns {boolean}
+    */
+   get isWatching() { return this._watching; }
+
+   /**
+    * Sets the next log level of the signal cycle or restores the original log level after the last one and announces
+    * the change.
+    *
+    * @returns {string} The new log level.
+    */
+   cycleLevel()
+   {
+      return this._cycleLevel('');
+   }
+
+   /**
+    * Reloads the config file and applies it if it changed since it was last applied. The change is announced; errors
+    * are logged and leave the current configuration in place.
+    *
+    * @returns {boolean} True if the config was applied.
+    */
+   reload()
+   {
+      if (typeof this._configFile === 'undefined') { return false; }
+
+      try
+      {
+         const config = this._configFile.load(this._env);
+
+         const json = JSON.stringify(config);
+
+         if (json === this._lastConfig) { return false; }
+
+         const previousLevel = this._getLevel();
+
+         this._logger.setConfig(config);
+         this._lastConfig = json;
+
+         // The reloaded log level is the new original log level of the signal cycle.
+         this._originalLevel = this._getLevel();
+         this._levelIndex = -1;
+
+         const levelText = previousLevel !== this._originalLevel ?
+          `; log level changed from ${previousLevel} to ${this._originalLevel}` : '';
+
+         this._announce(`Log configuration reloaded from ${this._configFile.filePath}${levelText}.`);
+      }
+      catch (err)
+      {
+         this._logger.error(`Log configuration not reloaded: ${err.message}`);
+         return false;
+      }
+
+      return true;
+   }
+
+   /**
+    * Starts watching the config file and listening for the signal.
+    */
+   start()
+   {
+      if (this._watching) { return; }
+
+      this._watching = true;
+      this._originalLevel = this._getLevel();
+      this._levelIndex = -1;
+
+      if (typeof this._configFile !== 'undefined')
+      {
+         const filePath = path.resolve(this._configFile.filePath);
+         const fileName = path.basename(filePath);
+
+         // The directory is watched as editors often replace the file which ends watching the file itself.
+         this._watcher = fs.watch(path.dirname(filePath), { persistent: false }, (eventType, changed) =>
+         {
+            if (changed !== null && changed !== fileName) { return; }
+
+            if (typeof this._timer !== 'undefined') { clearTimeout(this._timer); }
+
+            this._timer = setTimeout(() =>
+            {
+               this._timer = void 0;
+               this.reload();
+            }, this._debounce);
+
+            if (typeof this._timer.unref === 'function') { this._timer.unref(); }
+         });
+      }
+
+      if (this._signal !== null) { process.on(this._signal, this._signalListener); }
+   }
+
+   /**
+    * Stops watching the config file and listening for the signal.
+    */
+   stop()
+   {
+      if (!this._watching) { return; }
+
+      this._watching = false;
+
+      if (typeof this._watcher !== 'undefined')
+      {
+         this._watcher.close();
+         this._watcher = void 0;
+      }
+
+      if (typeof this._timer !== 'undefined')
+      {
+         clearTimeout(this._timer);
+         this._timer = void 0;
+      }
+
+      if (this._signal !== null) { process.removeListener(this._signal, this._signalListener); }
+   }
+
+   /**
+    * Logs an announcement at the announce level.
+    *
+    * @param {string}   message - The message.
+    * @private
+    */
+   _announce(message)
+   {
+      this._logger[this._announceLevel](message);
+   }
+
+   /**
+    * Sets the next log level of the signal cycle and announces the change.
+    *
+    * @param {string}   cause - Appended to the announcement; IE ` by SIGUSR2`.
+    *
+    * @returns {string} The new log level.
+    * @private
+    */
+   _cycleLevel(cause)
+   {
+      if (typeof this._originalLevel === 'undefined') { this._originalLevel = this._getLevel(); }
+
+      this._levelIndex = this._levelIndex + 1 < this._levels.length ? this._levelIndex + 1 : -1;
+
+      const level = this._levelIndex >= 0 ? this._levels[this._levelIndex] : this._originalLevel;
+
+      this._logger.setLogLevel(level);
+
+      this._announce(`Log level ${this._levelIndex >= 0 ? 'set' : 'restored'} to ${level}${cause}.`);
+
+      return level;
+   }
+
+   /**
+    * Returns the name of the current log level of the logger.
+    *
+    * @returns {string} The log level name.
+    * @private
+    */
+   _getLevel()
+   {
+      return this._logger.getConfig().logLevel;
+   }
+}
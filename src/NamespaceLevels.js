@@ -0,0 +1,146 @@
+/**
+ * Stores log levels for namespace patterns in the style of the `DEBUG` environment variable. A pattern may contain `*`
+ * wildcards. Multiple entries are separated by commas or whitespace and each entry assigns a log level with `=`.
+ *
+ * When several patterns match a namespace the most specific pattern wins; specificity is the number of non wildcard
+ * characters in the pattern. Patterns with equal specificity are evaluated in the order they are defined.
+ *
+ * @example
+ * const namespaceLevels = new NamespaceLevels();
+ *
+ * namespaceLevels.set(NamespaceLevels.parse('db:*=debug,http=warn,*=info'));
+ *
+ * namespaceLevels.match('db:pool');   // 'debug'
+ * namespaceLevels.match('http');      // 'warn'
+ * namespaceLevels.match('cache');     // 'info'
+ */
+export default class NamespaceLevels
+{
+   /**
+    * Instantiates NamespaceLevels with no entries.
+    */
+   constructor()
+   {
+      /**
+       * Stores the namespace level entries sorted by specificity.
+       * @type {Array<{pattern: string, level: string, regex: RegExp}>}
+       * @private
+       */
+      this._entries = [];
+
+      /**
+       * Caches the matched level by namespace.
+       * @type {Map<string, string|undefined>}
+       * @private
+       */
+      this._cache = new Map();
+   }
+
+   /**
+    * Parses a namespace level string into entries.
+    *
+    * @param {string}   spec - The namespace level string; IE `db:*=debug,http=warn,*=info`.
+    *
+    * @returns {Array<{pattern: string, level: string}>} The parsed entries.
+    */
+   static parse(spec)
+   {
+      if (typeof spec !== 'string') { throw new TypeError(`'spec' is not a 'string'.`); }
+
+      const entries = [];
+
+      for (const entry of spec.split(/[\s,]+/))
+      {
+         if (entry === '') { continue; }
+
+         const index = entry.lastIndexOf('=');
+
+         if (index <= 0 || index === entry.length - 1)
+         {
+            throw new TypeError(`'spec' entry '${entry}' is not in the format 'pattern=level'.`);
+         }
+
+         entries.push({ pattern: entry.slice(0, index), level: entry.slice(index + 1) });
+      }
+
+      return entries;
+   }
+
+   /**
+    * Get the number of entries.
+    *
+    * @returns {number}
+    */
+   get size() { return this._entries.length; }
+
+   /**
+    * Removes all entries.
+    */
+   clear()
+   {
+      this._entries = [];
+      this._cache.clear();
+   }
+
+   /**
+    * Returns the level of the most specific pattern matching the given namespace.
+    *
+    * @param {string}   namespace - The namespace to match.
+    *
+    * @returns {string|undefined} The matched level or undefined if no pattern matches.
+    */
+   match(namespace)
+   {
+      if (this._entries.length === 0) { return void 0; }
+
+      if (this._cache.has(namespace)) { return this._cache.get(namespace); }
+
+      let level;
+
+      for (const entry of this._entries)
+      {
+         if (entry.regex.test(namespace)) { level = entry.level; break; }
+      }
+
+      this._cache.set(namespace, level);
+
+      return level;
+   }
+
+   /**
+    * Replaces all entries.
+    *
+    * @param {Array<{pattern: string, level: string}>} entries - The entries to set.
+    */
+   set(entries)
+   {
+      if (!Array.isArray(entries)) { throw new TypeError(`'entries' is not an 'array'.`); }
+
+      this._entries = entries.map((entry, index) =>
+      {
+         const escaped = entry.pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*?');
+
+         return {
+            pattern: entry.pattern,
+            level: entry.level,
+            regex: new RegExp(`^${escaped}$`),
+            specificity: entry.pattern.replace(/\*/g, '').length,
+            index
+         };
+      }).sort((a, b) => b.specificity - a.specificity || a.index - b.index);
+
+      this._cache.clear();
+   }
+
+   /**
+    * Returns the entries in the namespace level string format.
+    *
+    * @returns {string}
+    */
+   toString()
+   {
+      const entries = this._entries.slice().sort((a, b) => a.index - b.index);
+
+      return entries.map((entry) => `${entry.pattern}=${entry.level}`).join(',');
+   }
+}
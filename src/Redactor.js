@@ -0,0 +1,313 @@
+/**
+ * Redacts sensitive data from logged values. Values are copied when redacted, so the original values are not
+ * modified.
+ *
+ * Key paths are dot separated keys relative to each logged value and to the fields bound to a child logger. A `*`
+ * segment matches any single key or array index and a `**` segment matches any number of keys; IE
+ * `headers.authorization` matches only the `authorization` key of a top level `headers` object, `*.password` matches
+ * `password` keys one level deep and `**.password` matches `password` keys at any depth. The values of matching keys
+ * are replaced by the censor string.
+ *
+ * Patterns are regular expressions applied to all strings including log messages; matching text is replaced by the
+ * censor string. A pattern string in the form `/source/flags` is parsed as a regular expression literal, any other
+ * string is used as the source of a regular expression.
+ *
+ * @example
+ * const redactor = new Redactor({ paths: ['headers.authorization', '**.password'], patterns: [/Bearer \S+/] });
+ *
+ * redactor.redact({ headers: { authorization: 'Bearer abc' }, user: { name: 'Jane', password: '1234' } });
+ * // { headers: { authorization: '[REDACTED]' }, user: { name: 'Jane', password: '[REDACTED]' } }
+ *
+ * redactor.redact('Authorized with Bearer abc');  // 'Authorized with [REDACTED]'
+ */
+export default class Redactor
+{
+   /**
+    * Instantiates Redactor.
+    *
+    * @param {RedactData}  config - The key paths, patterns and censor string.
+    */
+   constructor(config)
+   {
+      if (typeof config !== 'object' || config === null) { throw new TypeError(`'config' is not an 'object'.`); }
+
+      const paths = typeof config.paths !== 'undefined' ? config.paths : [];
+      const patterns = typeof config.patterns !== 'undefined' ? config.patterns : [];
+
+      if (!Array.isArray(paths)) { throw new TypeError(`'config.paths' is not an 'array'.`); }
+      if (!Array.isArray(patterns)) { throw new TypeError(`'config.patterns' is not an 'array'.`); }
+
+      if (typeof config.censor !== 'undefined' && typeof config.censor !== 'string')
+      {
+         throw new TypeError(`'config.censor' is not a 'string'.`);
+      }
+
+      /**
+       * The replacement of redacted values.
+       * @type {string}
+       * @private
+       */
+      this._censor = typeof config.censor === 'string' ? config.censor : '[REDACTED]';
+
+      /**
+       * The key paths split into segments.
+       * @type {Array<string[]>}
+       * @private
+       */
+      this._paths = paths.map((path, index) =>
+      {
+         if (typeof path !== 'string' || path === '')
+         {
+            throw new TypeError(`'config.paths[${index}]' is not a non-empty 'string'.`);
+         }
+
+         return path.split('.');
+      });
+
+      /**
+       * The global regular expressions applied to strings.
+       * @type {RegExp[]}
+       * @private
+       */
+      this._patterns = patterns.map((pattern, index) => s_TO_GLOBAL_REGEX(pattern, `config.patterns[${index}]`));
+   }
+
+   /**
+    * Returns a redacted copy of a value or the value itself when there is nothing to redact.
+    *
+    * @param {*}  value - The value to redact.
+    *
+    * @returns {*} The redacted value.
+    */
+   redact(value)
+   {
+      return this._redact(value, [], new Map());
+   }
+
+   /**
+    * Returns the config in a JSON compatible format; regular expressions are converted to `/source/flags` strings.
+    *
+    * @returns {{paths: string[], patterns: string[], censor: string}}
+    */
+   toJSON()
+   {
+      return {
+         paths: this._paths.map((segments) => segments.join('.')),
+         patterns: this._patterns.map((pattern) => String(pattern)),
+         censor: this._censor
+      };
+   }
+
+   /**
+    * Returns true if a key path matches any of the redacted key paths.
+    *
+    * @param {string[]} path - The key path.
+    *
+    * @returns {boolean}
+    * @private
+    */
+   _isRedactedPath(path)
+   {
+      return this._paths.some((segments) => s_MATCH_PATH(segments, 0, path, 0));
+   }
+
+   /**
+    * Redacts a value.
+    *
+    * @param {*}                 value - The value to redact.
+    *
+    * @param {string[]}          path - The key path of the value.
+    *
+    * @param {Map<object, *>}    copies - The copies of objects already redacted; handles circular references.
+    *
+    * @returns {*} The redacted value.
+    * @private
+    */
+   _redact(value, path, copies)
+   {
+      if (typeof value === 'string') { return this._redactString(value); }
+
+      if (typeof value !== 'object' || value === null || value instanceof Date || value instanceof RegExp ||
+       ArrayBuffer.isView(value))
+      {
+         return value;
+      }
+
+      if (copies.has(value)) { return copies.get(value); }
+
+      const tag = Object.prototype.toString.call(value);
+
+      let copy;
+
+      if (tag === '[object Map]')
+      {
+         copy = new Map();
+         copies.set(value, copy);
+
+         for (const entry of value)
+         {
+            copy.set(entry[0], this._redactProperty(entry[1], path, String(entry[0]), copies));
+         }
+      }
+      else if (tag === '[object Set]')
+      {
+         copy = new Set();
+         copies.set(value, copy);
+
+         for (const entry of value) { copy.add(this._redact(entry, path, copies)); }
+      }
+      else if (Array.isArray(value))
+      {
+         copy = [];
+         copies.set(value, copy);
+
+         for (let cntr = 0; cntr < value.length; cntr++)
+         {
+            copy.push(this._redactProperty(value[cntr], path, String(cntr), copies));
+         }
+      }
+      else
+      {
+         // Class instances and errors keep their prototype; errors include the non-enumerable message and stack.
+         copy = Object.create(Object.getPrototypeOf(value));
+         copies.set(value, copy);
+
+         const keys = value instanceof Error ? Object.getOwnPropertyNames(value) : Object.keys(value);
+
+         for (const key of keys)
+         {
+            let property;
+
+            try { property = value[key]; }
+            catch (err) { continue; }
+
+            Object.defineProperty(copy, key,
+            {
+               configurable: true,
+               enumerable: Object.prototype.propertyIsEnumerable.call(value, key),
+               value: this._redactProperty(property, path, key, copies),
+               writable: true
+            });
+         }
+      }
+
+      return copy;
+   }
+
+   /**
+    * Redacts the value of a key; the value is censored when the key path is redacted.
+    *
+    * @param {*}                 value - The value of the key.
+    *
+    * @param {string[]}          path - The key path of the parent object.
+    *
+    * @param {string}            key - The key.
+    *
+    * @param {Map<object, *>}    copies - The copies of objects already redacted.
+    *
+    * @returns {*} The redacted value.
+    * @private
+    */
+   _redactProperty(value, path, key, copies)
+   {
+      const keyPath = path.concat(key);
+
+      return this._isRedactedPath(keyPath) ? this._censor : this._redact(value, keyPath, copies);
+   }
+
+   /**
+    * Replaces all pattern matches of a string by the censor string.
+    *
+    * @param {string}   value - The string to redact.
+    *
+    * @returns {string} The redacted string.
+    * @private
+    */
+   _redactString(value)
+   {
+      let result = value;
+
+      for (const pattern of this._patterns)
+      {
+         pattern.lastIndex = 0;
+         result = result.replace(pattern, this._censor);
+      }
+
+      return result;
+   }
+}
+
+/**
+ * Returns true if the key path from `pathIndex` matches the redacted key path segments from `index`.
+ *
+ * @param {string[]} segments - The redacted key path segments.
+ *
+ * @param {number}   index - The current segment index.
+ *
+ * @param {string[]} path - The key path.
+ *
+ * @param {number}   pathIndex - The current key path index.
+ *
+ * @returns {boolean}
+ */
+const s_MATCH_PATH = (segments, index, path, pathIndex) =>
+{
+   if (index === segments.length) { return pathIndex === path.length; }
+
+   const segment = segments[index];
+
+   if (segment === '**')
+   {
+      for (let cntr = pathIndex; cntr <= path.length; cntr++)
+      {
+         if (s_MATCH_PATH(segments, index + 1, path, cntr)) { return true; }
+      }
+
+      return false;
+   }
+
+   if (pathIndex === path.length) { return false; }
+
+   return (segment === '*' || segment === path[pathIndex]) && s_MATCH_PATH(segments, index + 1, path, pathIndex + 1);
+};
+
+/**
+ * Converts a pattern to a global regular expression.
+ *
+ * @param {RegExp|string}  pattern - A regular expression, a `/source/flags` string or a regular expression source.
+ *
+ * @param {string}         name - The name of the pattern for error messages.
+ *
+ * @returns {RegExp} A global regular expression.
+ */
+const s_TO_GLOBAL_REGEX = (pattern, name) =>
+{
+   let source;
+   let flags;
+
+   if (pattern instanceof RegExp)
+   {
+      source = pattern.source;
+      flags = pattern.flags;
+   }
+   else if (typeof pattern === 'string' && pattern !== '')
+   {
+      const match = (/^\/(.+)\/([a-z]*)$/).exec(pattern);
+
+      source = match !== null ? match[1] : pattern;
+      flags = match !== null ? match[2] : '';
+   }
+   else
+   {
+      throw new TypeError(`'${name}' is not a 'RegExp' or non-empty 'string'.`);
+   }
+
+   try
+   {
+      return new RegExp(source, flags.indexOf('g') >= 0 ? flags : `${flags}g`);
+   }
+   catch (err)
+   {
+      throw new TypeError(`'${name}' is not a valid regular expression: ${err.message}`);
+   }
+};
@@ -0,0 +1,316 @@
+import fs     from 'fs';
+import path   from 'path';
+
+import { fileURLToPath } from './utils/fileURL.js';
+
+/**
+ * Resolves positions in transpiled files to original source positions with source maps. Source maps are read from an
+ * inline `data:` URL or from the file referenced by the `sourceMappingURL` comment of the transpiled file. When there
+ * is no comment an adjacent `<file>.map` file is used if it exists.
+ *
+ * Parsed source maps and resolved positions are cached, so repeated lookups of the same stack frames do not read any
+ * files. Invoke `clear` to reset the caches when files change. Index source maps with `sections` are not supported.
+ *
+ * Note: This resolver is only available on Node.
+ *
+ * @example
+ * import logger            from 'typhonjs-color-logger';
+ * import SourceMapResolver from 'typhonjs-color-logger/dist/SourceMapResolver.js';
+ *
+ * logger.setSourceMapResolver(new SourceMapResolver());
+ */
+export default class SourceMapResolver
+{
+   /**
+    * Instantiates SourceMapResolver.
+    */
+   constructor()
+   {
+      /**
+       * Caches the parsed source map by transpiled file path; null when the file has no source map.
+       * @type {Map<string, object|null>}
+       * @private
+       */
+      this._maps = new Map();
+
+      /**
+       * Caches resolved positions by `file:line:column`; null when a position can not be resolved.
+       * @type {Map<string, {file: string, line: number, column: number, name: string|undefined}|null>}
+       * @private
+       */
+      this._positions = new Map();
+   }
+
+   /**
+    * Clears all cached source maps and positions.
+    */
+   clear()
+   {
+      this._maps.clear();
+      this._positions.clear();
+   }
+
+   /**
+    * Resolves a position in a transpiled file to the original source position.
+    *
+    * @param {string}   file - The path or `file://` URL of the transpiled file.
+    *
+    * @param {number}   line - The 1-based line number.
+    *
+    * @param {number}   column - The 1-based column number.
+    *
+    * @returns {object|undefined} The original source position `{file, line, column, name}` with a 1-based line and
+    *                              column or undefined if the position can not be resolved.
+    */
+   resolve(file, line, column)
+   {
+      if (typeof file !== 'string') { throw new TypeError(`'file' is not a 'string'.`); }
+      if (!Number.isInteger(line)) { throw new TypeError(`'line' is not an 'integer'.`); }
+      if (!Number.isInteger(column)) { throw new TypeError(`'column' is not an 'integer'.`); }
+
+      const key = `${file}:${line}:${column}`;
+
+      if (this._positions.has(key)) { return this._positions.get(key) || void 0; }
+
+      const map = this._getMap(file.startsWith('file://') ? fileURLToPath(file) : file);
+
+      const position = map !== null ? s_FIND_POSITION(map, line - 1, column - 1) : null;
+
+      this._positions.set(key, position);
+
+      return position || void 0;
+   }
+
+   /**
+    * Returns the parsed source map of a transpiled file loading it when not cached.
+    *
+    * @param {string}   filePath - The path of the transpiled file.
+    *
+    * @returns {object|null} The parsed source map or null if the file has no source map.
+    * @private
+    */
+   _getMap(filePath)
+   {
+      if (this._maps.has(filePath)) { return this._maps.get(filePath); }
+
+      let map = null;
+
+      try
+      {
+         map = s_LOAD_MAP(filePath);
+      }
+      catch (err)
+      {
+         // Missing files and invalid source maps are not resolved.
+      }
+
+      this._maps.set(filePath, map);
+
+      return map;
+   }
+}
+
+/**
+ * Loads and parses the source map of a transpiled file.
+ *
+ * @param {string}   filePath - The path of the transpiled file.
+ *
+ * @returns {object|null} The parsed source map or null if the file has no source map.
+ */
+const s_LOAD_MAP = (filePath) =>
+{
+   if (!path.isAbsolute(filePath) || !fs.existsSync(filePath)) { return null; }
+
+   const source = fs.readFileSync(filePath, 'utf8');
+
+   let url;
+
+   // The last `sourceMappingURL` comment applies.
+   const regex = /\/[/*][#@]\s*sourceMappingURL=([^\s*]+)/g;
+
+   for (let match = regex.exec(source); match !== null; match = regex.exec(source)) { url = match[1]; }
+
+   let json;
+   let mapDir = path.dirname(filePath);
+
+   if (typeof url === 'string' && url.startsWith('data:'))
+   {
+      const comma = url.indexOf(',');
+      const data = url.slice(comma + 1);
+
+      json = (/;base64$/).test(url.slice(0, comma)) ? Buffer.from(data, 'base64').toString('utf8') :
+       decodeURIComponent(data);
+   }
+   else
+   {
+      const mapPath = typeof url === 'string' ? path.resolve(mapDir, decodeURIComponent(url)) : `${filePath}.map`;
+
+      if (!fs.existsSync(mapPath)) { return null; }
+
+      json = fs.readFileSync(mapPath, 'utf8');
+      mapDir = path.dirname(mapPath);
+   }
+
+   const data = JSON.parse(json.replace(/^\)]}'[^\n]*\n/, ''));
+
+   if (typeof data.mappings !== 'string' || !Array.isArray(data.sources)) { return null; }
+
+   const sourceRoot = typeof data.sourceRoot === 'string' ? data.sourceRoot : '';
+
+   return {
+      lines: s_DECODE_MAPPINGS(data.mappings),
+      names: Array.isArray(data.names) ? data.names : [],
+      sources: data.sources.map((sourcePath) =>
+      {
+         const joined = sourceRoot !== '' ? `${sourceRoot.replace(/\/$/, '')}/${sourcePath}` : sourcePath;
+
+         if (joined.startsWith('file://')) { return fileURLToPath(joined); }
+
+         // Keep URLs and webpack style paths as is.
+         return (/^[a-z][\w+.-]*:/i).test(joined) ? joined : path.resolve(mapDir, joined);
+      })
+   };
+};
+
+/**
+ * Decodes the `mappings` of a source map into segments by generated line. Each segment is an array of the generated
+ * column, source index, source line, source column and optional name index; all 0-based.
+ *
+ * @param {string}   mappings - The Base64 VLQ encoded mappings.
+ *
+ * @returns {Array<Array<number[]>>} The segments by generated line sorted by generated column.
+ */
+const s_DECODE_MAPPINGS = (mappings) =>
+{
+   const lines = [];
+
+   // Source index, source line, source column and name index are relative to the previous segment of any line.
+   const state = [0, 0, 0, 0];
+
+   for (const lineText of mappings.split(';'))
+   {
+      const segments = [];
+
+      // The generated column is relative to the previous segment of the same line.
+      let column = 0;
+
+      for (const segmentText of lineText.split(','))
+      {
+         if (segmentText === '') { continue; }
+
+         const values = s_DECODE_VLQ(segmentText);
+
+         column += values[0];
+
+         if (values.length >= 4)
+         {
+            for (let cntr = 1; cntr < values.length && cntr < 5; cntr++) { state[cntr - 1] += values[cntr]; }
+
+            segments.push(values.length >= 5 ? [column, state[0], state[1], state[2], state[3]] :
+             [column, state[0], state[1], state[2]]);
+         }
+         else
+         {
+            segments.push([column]);
+         }
+      }
+
+      segments.sort((a, b) => a[0] - b[0]);
+
+      lines.push(segments);
+   }
+
+   return lines;
+};
+
+/**
+ * Decodes a Base64 VLQ encoded segment.
+ *
+ * @param {string}   text - The encoded segment.
+ *
+ * @returns {number[]} The decoded values.
+ */
+const s_DECODE_VLQ = (text) =>
+{
+   const values = [];
+
+   let value = 0;
+   let shift = 0;
+
+   for (let cntr = 0; cntr < text.length; cntr++)
+   {
+      const digit = s_BASE64.indexOf(text[cntr]);
+
+      if (digit < 0) { throw new TypeError(`Invalid Base64 VLQ character: ${text[cntr]}`); }
+
+      value += (digit & 31) * Math.pow(2, shift);
+
+      if (digit & 32)
+      {
+         shift += 5;
+      }
+      else
+      {
+         values.push(value % 2 === 1 ? -Math.floor(value / 2) : value / 2);
+         value = 0;
+         shift = 0;
+      }
+   }
+
+   return values;
+};
+
+/**
+ * Finds the original position of a generated position; the nearest mapped segment at or before the column is used.
+ *
+ * @param {object}   map - The parsed source map.
+ *
+ * @param {number}   line - The 0-based generated line.
+ *
+ * @param {number}   column - The 0-based generated column.
+ *
+ * @returns {object|null} The original position `{file, line, column, name}` or null if not mapped.
+ */
+const s_FIND_POSITION = (map, line, column) =>
+{
+   const segments = map.lines[line];
+
+   if (!Array.isArray(segments) || segments.length === 0) { return null; }
+
+   let low = 0;
+   let high = segments.length - 1;
+   let found = -1;
+
+   while (low <= high)
+   {
+      const middle = Math.floor((low + high) / 2);
+
+      if (segments[middle][0] <= column)
+      {
+         found = middle;
+         low = middle + 1;
+      }
+      else
+      {
+         high = middle - 1;
+      }
+   }
+
+   // Columns before the first segment use the first segment of the line.
+   const segment = segments[found >= 0 ? found : 0];
+
+   if (segment.length < 4 || typeof map.sources[segment[1]] !== 'string') { return null; }
+
+   return {
+      file: map.sources[segment[1]],
+      line: segment[2] + 1,
+      column: segment[3] + 1,
+      name: segment.length >= 5 ? map.names[segment[4]] : void 0
+   };
+};
+
+/**
+ * The Base64 digits of VLQ encoding.
+ * @type {string}
+ */
+const s_BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
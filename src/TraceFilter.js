@@ -1,17 +1,60 @@
 /**
  * Defines a trace filter to apply against stack traces allowing inclusive / exclusive filtering.
+ *
+ * The filter is a RegExp source string, a RegExp object with flags or a glob pattern. Glob patterns match anywhere in a
+ * stack trace line where `**` matches any characters, `*` any characters except path separators and `?` a single
+ * character except path separators; IE `node_modules/express/**` or `src/legacy/*.js`.
+ *
+ * Filters with a higher priority are tested first. Each filter counts the stack trace lines it decided; see `hits`.
  */
 export default class TraceFilter
 {
    /**
     * Instantiates the filter.
     *
-    * @param {string}   name - The name of the filter.
+    * @param {string}         name - The name of the filter.
     *
-    * @param {string}   filterString - The raw filter string.
+    * @param {string|RegExp}  filterString - The raw filter string, a RegExp or a glob pattern when `options.glob` is
+    *                                        true.
+    *
+    * @param {object}         [options] - Optional parameters.
+    *
+    * @param {string}         [options.flags=''] - The RegExp flags of a raw filter string.
+    *
+    * @param {boolean}        [options.glob=false] - If true the filter string is a glob pattern.
+    *
+    * @param {number}         [options.priority=0] - The priority of the filter.
     */
-   constructor(name, filterString)
+   constructor(name, filterString, options = {})
    {
+      if (typeof options !== 'object' || options === null) { throw new TypeError(`'options' is not an 'object'.`); }
+
+      const priority = typeof options.priority !== 'undefined' ? options.priority : 0;
+
+      if (typeof priority !== 'number' || !Number.isFinite(priority))
+      {
+         throw new TypeError(`'options.priority' is not a finite 'number'.`);
+      }
+
+      let filter;
+
+      if (filterString instanceof RegExp)
+      {
+         filter = new RegExp(filterString.source, filterString.flags);
+      }
+      else if (typeof filterString === 'string')
+      {
+         filter = options.glob === true ? s_GLOB_TO_REGEX(filterString) :
+          new RegExp(filterString, typeof options.flags === 'string' ? options.flags : '');
+      }
+      else
+      {
+         throw new TypeError(`'filterString' is not a 'string' or 'RegExp'.`);
+      }
+
+      // Global and sticky filters would keep `lastIndex` between tests.
+      if (filter.global || filter.sticky) { filter = new RegExp(filter.source, filter.flags.replace(/[gy]/g, '')); }
+
       /**
        * The filter enabled state.
        * @type {boolean}
@@ -24,14 +67,28 @@ export default class TraceFilter
        * @type {RegExp}
        * @private
        */
-      this._filter = new RegExp(filterString);
+      this._filter = filter;
 
       /**
        * The raw filter string.
        * @type {string}
        * @private
        */
-      this._filterString = filterString;
+      this._filterString = filterString instanceof RegExp ? filterString.source : filterString;
+
+      /**
+       * True if the filter string is a glob pattern.
+       * @type {boolean}
+       * @private
+       */
+      this._glob = options.glob === true && typeof filterString === 'string';
+
+      /**
+       * The number of stack trace lines the filter decided.
+       * @type {number}
+       * @private
+       */
+      this._hits = 0;
 
       /**
        * The name of the filter
@@ -39,6 +96,13 @@ export default class TraceFilter
        * @private
        */
       this._name = name;
+
+      /**
+       * The priority of the filter; higher priority filters are tested first.
+       * @type {number}
+       * @private
+       */
+      this._priority = priority;
    }
 
    /**
@@ -73,6 +137,27 @@ export default class TraceFilter
     */
    get filterString() { return this._filterString; }
 
+   /**
+    * Get the RegExp flags.
+    *
+    * @returns {string}
+    */
+   get flags() { return this._filter.flags; }
+
+   /**
+    * Get whether the filter string is a glob pattern.
+    *
+    * @returns {boolean}
+    */
+   get glob() { return this._glob; }
+
+   /**
+    * Get the number of stack trace lines the filter decided.
+    *
+    * @returns {number}
+    */
+   get hits() { return this._hits; }
+
    /**
     * Get name.
     *
@@ -80,6 +165,29 @@ export default class TraceFilter
     */
    get name() { return this._name; }
 
+   /**
+    * Get priority.
+    *
+    * @returns {number}
+    */
+   get priority() { return this._priority; }
+
+   /**
+    * Increments the hit counter.
+    */
+   hit()
+   {
+      this._hits++;
+   }
+
+   /**
+    * Resets the hit counter.
+    */
+   resetHits()
+   {
+      this._hits = 0;
+   }
+
    /**
     * Tests a value against the RegExp filter.
     *
@@ -92,3 +200,40 @@ export default class TraceFilter
       return this._enabled && this._filter.test(value);
    }
 }
+
+/**
+ * Converts a glob pattern to a RegExp matching anywhere in a value.
+ *
+ * @param {string}   glob - The glob pattern.
+ *
+ * @returns {RegExp} The RegExp.
+ */
+const s_GLOB_TO_REGEX = (glob) =>
+{
+   let source = '';
+
+   for (let cntr = 0; cntr < glob.length; cntr++)
+   {
+      const char = glob[cntr];
+
+      if (char === '*' && glob[cntr + 1] === '*')
+      {
+         source += '.*';
+         cntr++;
+      }
+      else if (char === '*')
+      {
+         source += '[^/\\\\]*';
+      }
+      else if (char === '?')
+      {
+         source += '[^/\\\\]';
+      }
+      else
+      {
+         source += char.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&');
+      }
+   }
+
+   return new RegExp(source);
+};
@@ -0,0 +1,110 @@
+/**
+ * Provides the built-in color themes.
+ *
+ * - `default`: The classic 16 color palette; each element is displayed in the color of the log level. Defines the
+ *   syntax highlighting colors and dimmed external trace frames used by themes which do not define them.
+ * - `dark`: A 256 color palette with brighter level colors and dimmed time stamp, location and trace for dark
+ *   terminal backgrounds.
+ * - `light`: A 256 color palette with darker level colors for light terminal backgrounds.
+ * - `solarized`: A truecolor palette based on the Solarized color scheme.
+ *
+ * Colors are converted to the nearest available color when the color depth is lower than the theme requires.
+ *
+ * @type {{default: ThemeData, dark: ThemeData, light: ThemeData, solarized: ThemeData}}
+ */
+const themes =
+{
+   'default':
+   {
+      levels: {},
+      elements:
+      {
+         'key': { fg: 'cyan' },
+         'string': { fg: 'green' },
+         'number': { fg: 'yellow' },
+         'boolean': { fg: 'purple' },
+         'null': { fg: 'gray' },
+         'traceExternal': { dim: true }
+      }
+   },
+
+   'dark':
+   {
+      levels:
+      {
+         fatal: { fg: 203, bold: true },
+         error: { fg: 203 },
+         warn: { fg: 221 },
+         info: { fg: 114 },
+         verbose: { fg: 177 },
+         debug: { fg: 75 },
+         trace: { fg: 87 }
+      },
+      elements:
+      {
+         'time': { fg: 245 },
+         'location': { fg: 245 },
+         'namespace': { fg: 250, bold: true },
+         'trace': { fg: 242 },
+         'key': { fg: 117 },
+         'string': { fg: 150 },
+         'number': { fg: 215 },
+         'boolean': { fg: 176 },
+         'null': { fg: 244 }
+      }
+   },
+
+   'light':
+   {
+      levels:
+      {
+         fatal: { fg: 160, bold: true },
+         error: { fg: 160 },
+         warn: { fg: 130 },
+         info: { fg: 28 },
+         verbose: { fg: 90 },
+         debug: { fg: 25 },
+         trace: { fg: 30 }
+      },
+      elements:
+      {
+         'time': { fg: 244 },
+         'location': { fg: 244 },
+         'namespace': { fg: 238, bold: true },
+         'trace': { fg: 246 },
+         'key': { fg: 24 },
+         'string': { fg: 22 },
+         'number': { fg: 166 },
+         'boolean': { fg: 127 },
+         'null': { fg: 245 }
+      }
+   },
+
+   'solarized':
+   {
+      levels:
+      {
+         fatal: { fg: '#fdf6e3', bg: '#dc322f', bold: true },
+         error: { fg: '#dc322f' },
+         warn: { fg: '#b58900' },
+         info: { fg: '#859900' },
+         verbose: { fg: '#6c71c4' },
+         debug: { fg: '#268bd2' },
+         trace: { fg: '#2aa198' }
+      },
+      elements:
+      {
+         'time': { fg: '#586e75' },
+         'location': { fg: '#586e75' },
+         'namespace': { fg: '#93a1a1', bold: true },
+         'trace': { fg: '#657b83' },
+         'key': { fg: '#268bd2' },
+         'string': { fg: '#2aa198' },
+         'number': { fg: '#d33682' },
+         'boolean': { fg: '#cb4b16' },
+         'null': { fg: '#586e75' }
+      }
+   }
+};
+
+export default themes;
@@ -0,0 +1,134 @@
+import formatJSON from '../utils/formatJSON.js';
+
+/**
+ * Provides the default transport which outputs formatted log messages via `console.log`. Output of the default
+ * transport named `console` is gated by the `consoleEnabled` ColorLogger option.
+ *
+ * When the `css` option is enabled, which is the default when `process` is absent IE in the browser, log records are
+ * output as `%c` format strings styled with the CSS of the log level through the console method matching the log
+ * level. Objects and errors are passed through as live values instead of JSON strings.
+ */
+export default class ConsoleTransport
+{
+   /**
+    * Instantiates the console transport.
+    *
+    * @param {ConsoleTransportOptions} [options] - Optional ConsoleTransportOptions.
+    */
+   constructor(options = {})
+   {
+      if (typeof options !== 'object') { throw new TypeError(`'options' is not an object.`); }
+
+      if (typeof options.name !== 'undefined' && typeof options.name !== 'string')
+      {
+         throw new TypeError(`'options.name' is not a 'string'.`);
+      }
+
+      /**
+       * If true log records are output with CSS styles.
+       * @type {boolean}
+       * @private
+       */
+      this._css = typeof options.css === 'boolean' ? options.css : typeof process === 'undefined';
+
+      /**
+       * If true log records are output as JSON.
+       * @type {boolean}
+       * @private
+       */
+      this._json = typeof options.json === 'boolean' ? options.json : false;
+
+      /**
+       * The name of the transport.
+       * @type {string}
+       * @private
+       */
+      this._name = typeof options.name === 'string' ? options.name : 'console';
+   }
+
+   /**
+    * Get name.
+    *
+    * @returns {string}
+    */
+   get name() { return this._name; }
+
+   /**
+    * Outputs the formatted log message or log record as JSON to `console.log` or the log record with CSS styles to the
+    * console method matching the log level.
+    *
+    * @param {LogRecord}   record - The structured log record.
+    *
+    * @param {string}      message - The formatted log message.
+    */
+   log(record, message)
+   {
+      if (this._json)
+      {
+         console.log(formatJSON(record));
+      }
+      else if (this._css)
+      {
+         this._logCSS(record);
+      }
+      else
+      {
+         console.log(message);
+      }
+   }
+
+   /**
+    * Outputs the log record as a `%c` format string with CSS styles. Objects and errors are passed as live values.
+    *
+    * @param {LogRecord}   record - The structured log record.
+    *
+    * @private
+    */
+   _logCSS(record)
+   {
+      const format = [];
+      const args = [];
+
+      if (record.label !== '')
+      {
+         format.push(`%c${s_ESCAPE(record.label)}%c`);
+         args.push(record.css, '');
+      }
+
+      if (record.header !== '') { format.push(s_ESCAPE(record.header)); }
+
+      let prefix = format.join(' ');
+
+      if (record.trace.length > 0) { prefix += `\n${s_ESCAPE(record.trace.join('\n'))}\n`; }
+
+      const placeholders = record.args.map((arg) => typeof arg === 'object' && arg !== null ? '%o' : '%s');
+
+      const method = s_LEVEL_TO_METHOD[record.level] || 'log';
+
+      console[method](`${prefix}${prefix !== '' ? ' ' : ''}${placeholders.join(' ')}`, ...args, ...record.args);
+   }
+}
+
+/**
+ * Escapes `%` characters in text added to a format string.
+ *
+ * @param {string}   text - Text to escape.
+ *
+ * @returns {string} Escaped text.
+ */
+const s_ESCAPE = (text) => text.replace(/%/g, '%%');
+
+/**
+ * Stores the console method for each log level.
+ * @type {{fatal: string, error: string, warn: string, info: string, debug: string, verbose: string, trace: string}}
+ */
+const s_LEVEL_TO_METHOD =
+{
+   fatal: 'error',
+   error: 'error',
+   warn: 'warn',
+   info: 'info',
+   debug: 'debug',
+   verbose: 'debug',
+   trace: 'debug'
+};
@@ -0,0 +1,313 @@
+import fs     from 'fs';
+import path   from 'path';
+import zlib   from 'zlib';
+
+import { stripANSI }   from '../utils/ansi.js';
+import formatJSON      from '../utils/formatJSON.js';
+
+/**
+ * Provides a transport which writes log messages to a file with optional size and / or time based rotation. Rotated
+ * files are renamed with an increasing numeric suffix (`app.log.1`, `app.log.2`, ...) and optionally gzip compressed.
+ *
+ * All writes are synchronous, so each message is handed to the operating system before the log method returns. This
+ * guarantees that the last message logged before a crash, for instance a `fatal` message, is never lost. The file
+ * descriptor is closed automatically when the process exits.
+ *
+ * ANSI color escape codes and hyperlinks are stripped from messages unless the `colors` option is true. When the
+ * `json` option is true log records are written as newline delimited JSON.
+ *
+ * Note: This transport is only available on Node.
+ *
+ * @example
+ * import logger          from 'typhonjs-color-logger';
+ * import FileTransport   from 'typhonjs-color-logger/dist/transports/FileTransport.js';
+ *
+ * logger.addTransport(new FileTransport({ filePath: './logs/app.log', maxSize: 1048576, maxFiles: 5,
+ *  compress: true }));
+ */
+export default class FileTransport
+{
+   /**
+    * Instantiates the file transport opening the log file for appending.
+    *
+    * @param {FileTransportOptions} options - FileTransportOptions; `filePath` is required.
+    */
+   constructor(options = {})
+   {
+      if (typeof options !== 'object') { throw new TypeError(`'options' is not an object.`); }
+      if (typeof options.filePath !== 'string') { throw new TypeError(`'options.filePath' is not a 'string'.`); }
+
+      if (typeof options.name !== 'undefined' && typeof options.name !== 'string')
+      {
+         throw new TypeError(`'options.name' is not a 'string'.`);
+      }
+
+      if (typeof options.interval !== 'undefined' && typeof s_INTERVAL_TO_KEY[options.interval] !== 'function')
+      {
+         throw new TypeError(`'options.interval' must be 'day' or 'hour'.`);
+      }
+
+      if (typeof options.maxSize !== 'undefined' && (!Number.isInteger(options.maxSize) || options.maxSize < 0))
+      {
+         throw new TypeError(`'options.maxSize' is not a non-negative integer.`);
+      }
+
+      if (typeof options.maxFiles !== 'undefined' && (!Number.isInteger(options.maxFiles) || options.maxFiles < 0))
+      {
+         throw new TypeError(`'options.maxFiles' is not a non-negative integer.`);
+      }
+
+      /**
+       * Stores FileTransport options.
+       * @type {FileTransportOptions}
+       * @private
+       */
+      this._options =
+      {
+         colors: typeof options.colors === 'boolean' ? options.colors : false,
+         compress: typeof options.compress === 'boolean' ? options.compress : false,
+         filePath: path.resolve(options.filePath),
+         interval: options.interval,
+         json: typeof options.json === 'boolean' ? options.json : false,
+         maxFiles: typeof options.maxFiles === 'number' ? options.maxFiles : 5,
+         maxSize: typeof options.maxSize === 'number' ? options.maxSize : 0
+      };
+
+      /**
+       * The name of the transport.
+       * @type {string}
+       * @private
+       */
+      this._name = typeof options.name === 'string' ? options.name : 'file';
+
+      /**
+       * The open file descriptor or null when closed.
+       * @type {number|null}
+       * @private
+       */
+      this._fd = null;
+
+      /**
+       * The current size in bytes of the log file.
+       * @type {number}
+       * @private
+       */
+      this._size = 0;
+
+      /**
+       * The time period key of the log file when `interval` rotation is enabled.
+       * @type {string|undefined}
+       * @private
+       */
+      this._periodKey = void 0;
+
+      /**
+       * Closes the file descriptor when the process exits.
+       * @type {function}
+       * @private
+       */
+      this._exitHandler = () => { this.close(); };
+
+      this._open();
+
+      process.on('exit', this._exitHandler);
+   }
+
+   /**
+    * Get name.
+    *
+    * @returns {string}
+    */
+   get name() { return this._name; }
+
+   /**
+    * Get the absolute file path of the current log file.
+    *
+    * @returns {string}
+    */
+   get filePath() { return this._options.filePath; }
+
+   /**
+    * Closes the log file. Any subsequent log messages are ignored.
+    */
+   close()
+   {
+      process.removeListener('exit', this._exitHandler);
+
+      if (this._fd !== null)
+      {
+         fs.closeSync(this._fd);
+         this._fd = null;
+      }
+   }
+
+   /**
+    * Writes the formatted log message to the log file rotating the file first if necessary.
+    *
+    * @param {LogRecord}   record - The structured log record.
+    *
+    * @param {string}      message - The formatted log message.
+    */
+   log(record, message)
+   {
+      if (this._fd === null) { return; }
+
+      let line;
+
+      if (this._options.json)
+      {
+         line = `${formatJSON(record)}\n`;
+      }
+      else
+      {
+         line = `${this._options.colors ? message : stripANSI(message)}\n`;
+      }
+
+      const length = Buffer.byteLength(line);
+
+      if (this._isRotationNeeded(record.time, length)) { this.rotate(); }
+
+      fs.writeSync(this._fd, line);
+
+      this._size += length;
+   }
+
+   /**
+    * Rotates the log file immediately shifting all previously rotated files and removing any beyond `maxFiles`.
+    */
+   rotate()
+   {
+      if (this._fd !== null)
+      {
+         fs.closeSync(this._fd);
+         this._fd = null;
+      }
+
+      const filePath = this._options.filePath;
+      const maxFiles = this._options.maxFiles;
+      const ext = this._options.compress ? '.gz' : '';
+
+      // Remove the oldest file then shift all remaining rotated files up by one.
+      s_UNLINK(`${filePath}.${maxFiles}${ext}`);
+
+      for (let cntr = maxFiles - 1; cntr >= 1; cntr--)
+      {
+         const rotatedPath = `${filePath}.${cntr}${ext}`;
+
+         if (fs.existsSync(rotatedPath)) { fs.renameSync(rotatedPath, `${filePath}.${cntr + 1}${ext}`); }
+      }
+
+      if (fs.existsSync(filePath))
+      {
+         if (maxFiles === 0)
+         {
+            s_UNLINK(filePath);
+         }
+         else if (this._options.compress)
+         {
+            fs.writeFileSync(`${filePath}.1.gz`, zlib.gzipSync(fs.readFileSync(filePath)));
+            s_UNLINK(filePath);
+         }
+         else
+         {
+            fs.renameSync(filePath, `${filePath}.1`);
+         }
+      }
+
+      this._open();
+   }
+
+   /**
+    * Determines if the log file must be rotated before writing a message.
+    *
+    * @param {Date}     time - The time of the log record.
+    *
+    * @param {number}   length - The length in bytes of the message to write.
+    *
+    * @returns {boolean} True if rotation is required.
+    * @private
+    */
+   _isRotationNeeded(time, length)
+   {
+      if (this._options.maxSize > 0 && this._size > 0 && this._size + length > this._options.maxSize) { return true; }
+
+      return typeof this._periodKey === 'string' && this._periodKey !== s_INTERVAL_TO_KEY[this._options.interval](time);
+   }
+
+   /**
+    * Opens the log file for appending creating any missing directories.
+    *
+    * @private
+    */
+   _open()
+   {
+      const filePath = this._options.filePath;
+
+      s_MKDIRS(path.dirname(filePath));
+
+      const exists = fs.existsSync(filePath);
+      const stats = exists ? fs.statSync(filePath) : void 0;
+
+      this._fd = fs.openSync(filePath, 'a');
+      this._size = exists ? stats.size : 0;
+
+      if (typeof this._options.interval === 'string')
+      {
+         // An existing file keeps the period it was last written in so a restart still rotates stale files.
+         const time = exists && stats.size > 0 ? stats.mtime : new Date();
+
+         this._periodKey = s_INTERVAL_TO_KEY[this._options.interval](time);
+      }
+   }
+}
+
+/**
+ * Pads a number to two digits.
+ *
+ * @param {number}   value - Value to pad.
+ *
+ * @returns {string} Padded value.
+ */
+const s_PAD = (value) => value < 10 ? `0${value}` : `${value}`;
+
+/**
+ * Converts a Date to a period key for each rotation interval.
+ * @type {{day: function(Date): string, hour: function(Date): string}}
+ */
+const s_INTERVAL_TO_KEY =
+{
+   day: (d) => `${d.getFullYear()}-${s_PAD(d.getMonth() + 1)}-${s_PAD(d.getDate())}`,
+   hour: (d) => `${d.getFullYear()}-${s_PAD(d.getMonth() + 1)}-${s_PAD(d.getDate())}T${s_PAD(d.getHours())}`
+};
+
+/**
+ * Creates a directory and any missing parent directories. The `recursive` option of `fs.mkdirSync` is not used as it
+ * is only available on Node 10.12+.
+ *
+ * @param {string}   dirPath - The directory to create.
+ */
+const s_MKDIRS = (dirPath) =>
+{
+   if (fs.existsSync(dirPath)) { return; }
+
+   s_MKDIRS(path.dirname(dirPath));
+
+   try
+   {
+      fs.mkdirSync(dirPath);
+   }
+   catch (err)
+   {
+      if (err.code !== 'EEXIST') { throw err; }
+   }
+};
+
+/**
+ * Removes a file if it exists.
+ *
+ * @param {string}   filePath - The file to remove.
+ */
+const s_UNLINK = (filePath) =>
+{
+   if (fs.existsSync(filePath)) { fs.unlinkSync(filePath); }
+};
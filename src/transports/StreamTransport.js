@@ -0,0 +1,493 @@
+import fs from 'fs';
+
+import { stripANSI }   from '../utils/ansi.js';
+import formatJSON      from '../utils/formatJSON.js';
+
+/**
+ * Provides a buffered transport for high throughput logging which queues formatted log messages and writes them in
+ * batches to a writable stream, by default `process.stdout`. A batch is written when the queued messages reach
+ * `batchSize` bytes or `flushInterval` milliseconds after the first queued message.
+ *
+ * Back-pressure of the stream is respected: while the stream is draining messages keep being queued and are written
+ * with the next batch after the `drain` event. Once `maxBufferSize` bytes are queued further messages are dropped; the
+ * number of dropped messages is available from `dropped` and noted in the output IE `… 12 log messages dropped`.
+ *
+ * `flush` returns a promise which resolves when all queued messages are written. Queued messages are written
+ * synchronously by `flushSync` which is invoked automatically on process `exit`, before an uncaught exception is
+ * reported and by ColorLogger after each `fatal` message. Node versions before 12.17 / 13.7 lack the
+ * `uncaughtExceptionMonitor` event; an `uncaughtException` listener is used instead which re-throws the exception
+ * unless the application handles uncaught exceptions itself. Synchronous writes use the file descriptor of the stream
+ * when available and no earlier batch is still pending in the stream; otherwise they are written to the stream to
+ * keep the order of messages.
+ *
+ * The transport is closed when the stream emits an `error` event; IE `EPIPE` when the reading end of a pipe is closed.
+ * Queued and subsequent log messages are then discarded.
+ *
+ * ANSI color escape codes and hyperlinks are kept unless the `colors` option is false. When the `json` option is true
+ * log records are written as newline delimited JSON. The stream is not ended when the transport is closed.
+ *
+ * Note: This transport is only available on Node.
+ *
+ * @example
+ * import logger            from 'typhonjs-color-logger';
+ * import StreamTransport   from 'typhonjs-color-logger/dist/transports/StreamTransport.js';
+ *
+ * // Replace the default console transport with buffered output to `process.stdout`.
+ * logger.setOptions({ consoleEnabled: false });
+ * logger.addTransport(new StreamTransport({ batchSize: 65536, flushInterval: 50 }));
+ *
+ * await logger.flush();
+ */
+export default class StreamTransport
+{
+   /**
+    * Instantiates the stream transport.
+    *
+    * @param {StreamTransportOptions} [options] - Optional StreamTransportOptions.
+    */
+   constructor(options = {})
+   {
+      if (typeof options !== 'object') { throw new TypeError(`'options' is not an object.`); }
+
+      if (typeof options.name !== 'undefined' && typeof options.name !== 'string')
+      {
+         throw new TypeError(`'options.name' is not a 'string'.`);
+      }
+
+      if (typeof options.stream !== 'undefined' && (typeof options.stream !== 'object' || options.stream === null ||
+       typeof options.stream.write !== 'function'))
+      {
+         throw new TypeError(`'options.stream' is not a writable stream.`);
+      }
+
+      for (const key of ['batchSize', 'flushInterval', 'maxBufferSize'])
+      {
+         if (typeof options[key] !== 'undefined' && (!Number.isInteger(options[key]) || options[key] < 0))
+         {
+            throw new TypeError(`'options.${key}' is not a non-negative integer.`);
+         }
+      }
+
+      /**
+       * Stores StreamTransport options.
+       * @type {StreamTransportOptions}
+       * @private
+       */
+      this._options =
+      {
+         batchSize: typeof options.batchSize === 'number' ? options.batchSize : 16384,
+         colors: typeof options.colors === 'boolean' ? options.colors : true,
+         flushInterval: typeof options.flushInterval === 'number' ? options.flushInterval : 100,
+         json: typeof options.json === 'boolean' ? options.json : false,
+         maxBufferSize: typeof options.maxBufferSize === 'number' ? options.maxBufferSize : 1048576
+      };
+
+      /**
+       * The name of the transport.
+       * @type {string}
+       * @private
+       */
+      this._name = typeof options.name === 'string' ? options.name : 'stream';
+
+      /**
+       * The stream written to.
+       * @type {stream.Writable}
+       * @private
+       */
+      this._stream = typeof options.stream === 'object' ? options.stream : process.stdout;
+
+      /**
+       * The queued lines.
+       * @type {string[]}
+       * @private
+       */
+      this._buffer = [];
+
+      /**
+       * The size in bytes of the queued lines.
+       * @type {number}
+       * @private
+       */
+      this._bufferSize = 0;
+
+      /**
+       * True when the transport is closed.
+       * @type {boolean}
+       * @private
+       */
+      this._closed = false;
+
+      /**
+       * True while waiting for the `drain` event of the stream.
+       * @type {boolean}
+       * @private
+       */
+      this._draining = false;
+
+      /**
+       * The number of messages dropped since the last written batch.
+       * @type {number}
+       * @private
+       */
+      this._droppedPending = 0;
+
+      /**
+       * The total number of dropped messages.
+       * @type {number}
+       * @private
+       */
+      this._droppedTotal = 0;
+
+      /**
+       * True when the stream emitted an error; batches written before may never be handled.
+       * @type {boolean}
+       * @private
+       */
+      this._errored = false;
+
+      /**
+       * The resolve functions of pending `flush` promises.
+       * @type {Function[]}
+       * @private
+       */
+      this._flushResolves = [];
+
+      /**
+       * The number of batches written to the stream which are not yet handled.
+       * @type {number}
+       * @private
+       */
+      this._pendingWrites = 0;
+
+      /**
+       * The pending batch timer.
+       * @type {*}
+       * @private
+       */
+      this._timer = void 0;
+
+      /**
+       * Writes the queued lines once the stream has drained.
+       * @type {function}
+       * @private
+       */
+      this._drainHandler = () =>
+      {
+         this._draining = false;
+         this._write();
+      };
+
+      /**
+       * Closes the transport discarding the queued lines when the stream errors.
+       * @type {function}
+       * @private
+       */
+      this._errorHandler = () =>
+      {
+         this._clearTimer();
+         this._takeBuffer();
+
+         this._closed = true;
+         this._draining = false;
+         this._errored = true;
+
+         this._resolveFlush();
+      };
+
+      /**
+       * Synchronously writes the queued lines when the process exits or before an uncaught exception is reported.
+       * @type {function}
+       * @private
+       */
+      this._exitHandler = () => { this.flushSync(); };
+
+      if (typeof this._stream.on === 'function') { this._stream.on('error', this._errorHandler); }
+
+      process.on('exit', this._exitHandler);
+
+      if (s_HAS_EXCEPTION_MONITOR) { process.on('uncaughtExceptionMonitor', this._exitHandler); }
+      else { s_ADD_UNCAUGHT_TRANSPORT(this); }
+   }
+
+   /**
+    * Get the total number of messages dropped while the stream applied back-pressure.
+    *
+    * @returns {number}
+    */
+   get dropped() { return this._droppedTotal; }
+
+   /**
+    * Get name.
+    *
+    * @returns {string}
+    */
+   get name() { return this._name; }
+
+   /**
+    * Synchronously writes all queued messages and removes the stream and process event listeners. Any subsequent log
+    * messages are ignored.
+    */
+   close()
+   {
+      this.flushSync();
+
+      this._closed = true;
+
+      if (typeof this._stream.removeListener === 'function')
+      {
+         this._stream.removeListener('drain', this._drainHandler);
+         this._stream.removeListener('error', this._errorHandler);
+      }
+
+      process.removeListener('exit', this._exitHandler);
+
+      if (s_HAS_EXCEPTION_MONITOR) { process.removeListener('uncaughtExceptionMonitor', this._exitHandler); }
+      else { s_REMOVE_UNCAUGHT_TRANSPORT(this); }
+   }
+
+   /**
+    * Writes all queued messages.
+    *
+    * @returns {Promise} A promise which resolves when all queued messages are handled by the stream.
+    */
+   flush()
+   {
+      this._clearTimer();
+
+      if (!this._draining) { this._write(); }
+
+      return new Promise((resolve) =>
+      {
+         this._flushResolves.push(resolve);
+         this._resolveFlush();
+      });
+   }
+
+   /**
+    * Synchronously writes all queued messages to the file descriptor of the stream or otherwise directly to the
+    * stream regardless of back-pressure. The stream is written to while earlier batches are pending so that the order
+    * of messages is kept.
+    */
+   flushSync()
+   {
+      this._clearTimer();
+
+      const chunk = this._takeBuffer();
+
+      if (chunk === '') { return; }
+
+      const pending = this._pendingWrites > 0 || this._draining || this._stream.writableLength > 0;
+
+      if (!pending && typeof this._stream.fd === 'number')
+      {
+         try
+         {
+            fs.writeSync(this._stream.fd, chunk);
+            return;
+         }
+         catch (err)
+         {
+            // Fall back to the stream; IE when the descriptor is non-blocking and temporarily unavailable.
+         }
+      }
+
+      this._stream.write(chunk);
+   }
+
+   /**
+    * Queues the formatted log message writing a batch when `batchSize` is reached.
+    *
+    * @param {LogRecord}   record - The structured log record.
+    *
+    * @param {string}      message - The formatted log message.
+    */
+   log(record, message)
+   {
+      if (this._closed) { return; }
+
+      let line;
+
+      if (this._options.json)
+      {
+         line = `${formatJSON(record)}\n`;
+      }
+      else
+      {
+         line = `${this._options.colors ? message : stripANSI(message)}\n`;
+      }
+
+      const length = Buffer.byteLength(line);
+
+      if (this._draining && this._bufferSize + length > this._options.maxBufferSize)
+      {
+         this._droppedPending++;
+         this._droppedTotal++;
+         return;
+      }
+
+      this._buffer.push(line);
+      this._bufferSize += length;
+
+      if (this._draining) { return; }
+
+      if (this._bufferSize >= this._options.batchSize)
+      {
+         this._clearTimer();
+         this._write();
+      }
+      else if (typeof this._timer === 'undefined')
+      {
+         this._timer = setTimeout(() =>
+         {
+            this._timer = void 0;
+
+            if (!this._draining) { this._write(); }
+         }, this._options.flushInterval);
+
+         if (typeof this._timer.unref === 'function') { this._timer.unref(); }
+      }
+   }
+
+   /**
+    * Clears the pending batch timer.
+    *
+    * @private
+    */
+   _clearTimer()
+   {
+      if (typeof this._timer !== 'undefined')
+      {
+         clearTimeout(this._timer);
+         this._timer = void 0;
+      }
+   }
+
+   /**
+    * Resolves pending `flush` promises when no messages are queued or being written or the stream errored.
+    *
+    * @private
+    */
+   _resolveFlush()
+   {
+      if (!this._errored && (this._buffer.length > 0 || this._draining || this._pendingWrites > 0)) { return; }
+
+      const resolves = this._flushResolves;
+
+      this._flushResolves = [];
+
+      for (const resolve of resolves) { resolve(); }
+   }
+
+   /**
+    * Removes and joins the queued lines appending a note of any dropped messages.
+    *
+    * @returns {string} The queued lines.
+    * @private
+    */
+   _takeBuffer()
+   {
+      if (this._droppedPending > 0)
+      {
+         this._buffer.push(`… ${this._droppedPending} log message${this._droppedPending > 1 ? 's' : ''} dropped\n`);
+         this._droppedPending = 0;
+      }
+
+      const chunk = this._buffer.join('');
+
+      this._buffer = [];
+      this._bufferSize = 0;
+
+      return chunk;
+   }
+
+   /**
+    * Writes the queued lines to the stream as one batch waiting for the `drain` event when the stream applies
+    * back-pressure.
+    *
+    * @private
+    */
+   _write()
+   {
+      const chunk = this._takeBuffer();
+
+      if (chunk === '')
+      {
+         this._resolveFlush();
+         return;
+      }
+
+      this._pendingWrites++;
+
+      const ready = this._stream.write(chunk, () =>
+      {
+         this._pendingWrites--;
+         this._resolveFlush();
+      });
+
+      if (!ready)
+      {
+         this._draining = true;
+         this._stream.once('drain', this._drainHandler);
+      }
+   }
+}
+
+/**
+ * True when the process emits `uncaughtExceptionMonitor`; Node 12.17+ and 13.7+.
+ * @type {boolean}
+ */
+const s_HAS_EXCEPTION_MONITOR = (() =>
+{
+   const version = process.versions.node.split('.').map(Number);
+
+   return version[0] > 13 || (version[0] === 13 && version[1] >= 7) || (version[0] === 12 && version[1] >= 17);
+})();
+
+/**
+ * The open transports flushed by the `uncaughtException` fallback on Node versions without `uncaughtExceptionMonitor`.
+ * @type {Set<StreamTransport>}
+ */
+const s_UNCAUGHT_TRANSPORTS = new Set();
+
+/**
+ * Synchronously writes the queued lines of all open transports before an uncaught exception is reported. Adding an
+ * `uncaughtException` listener prevents the process from exiting, so the exception is re-thrown when no other listener
+ * handles it which reports it and exits the process as without the listener.
+ *
+ * @param {Error}    error - The uncaught exception.
+ */
+const s_UNCAUGHT_HANDLER = (error) =>
+{
+   for (const transport of s_UNCAUGHT_TRANSPORTS) { transport.flushSync(); }
+
+   if (process.listenerCount('uncaughtException') === 1)
+   {
+      process.removeListener('uncaughtException', s_UNCAUGHT_HANDLER);
+
+      throw error;
+   }
+};
+
+/**
+ * Adds a transport to the `uncaughtException` fallback adding the listener for the first transport.
+ *
+ * @param {StreamTransport}   transport - The transport to add.
+ */
+const s_ADD_UNCAUGHT_TRANSPORT = (transport) =>
+{
+   if (s_UNCAUGHT_TRANSPORTS.size === 0) { process.on('uncaughtException', s_UNCAUGHT_HANDLER); }
+
+   s_UNCAUGHT_TRANSPORTS.add(transport);
+};
+
+/**
+ * Removes a transport from the `uncaughtException` fallback removing the listener after the last transport.
+ *
+ * @param {StreamTransport}   transport - The transport to remove.
+ */
+const s_REMOVE_UNCAUGHT_TRANSPORT = (transport) =>
+{
+   s_UNCAUGHT_TRANSPORTS.delete(transport);
+
+   if (s_UNCAUGHT_TRANSPORTS.size === 0) { process.removeListener('uncaughtException', s_UNCAUGHT_HANDLER); }
+};
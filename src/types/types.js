@@ -4,17 +4,227 @@
  * @property {boolean}  [autoPluginFilters=false] - If true inclusive trace filters are added / removed automatically in
  *                                                 response to 'typhonjs:plugin:manager:plugin:added' and
  *                                                 'typhonjs:plugin:manager:plugin:removed'.
- * @property {boolean}  [consoleEnabled=true] - If true output to `console.log` is enabled.
+ * @property {string}   [colorDepth='auto'] - The color depth: 'auto', 'none', '16', '256' or 'truecolor'. When 'auto'
+ *                                            the color depth is detected from the TTY state of `process.stdout` and
+ *                                            the `NO_COLOR`, `FORCE_COLOR`, `TERM` and CI environment variables.
+ *                                            Without colors the level tag is still displayed.
+ * @property {boolean}  [consoleEnabled=true] - If true output to the default `console` transport is enabled.
+ * @property {boolean}  [dedupe=false] - If true identical consecutive messages are collapsed into a message noting the
+ *                                       number of repetitions; IE `Last message repeated 312 times.`. The count is
+ *                                       reported once a different message is logged, a second after the first
+ *                                       duplicate, on `flush` / `flushSync` and on process exit. `fatal` messages
+ *                                       are never deduplicated.
  * @property {boolean}  [filtersEnabled=true] - If true trace filters are applied in `_getInfo`.
+ * @property {string|Function|null} [format=null] - A template string with the tokens `{level}`, `{time}`,
+ *                                                 `{location}`, `{namespace}`, `{message}`, `{trace}`, `{pid}` or
+ *                                                 any bound field; IE `{time} {level} {message}`. Or a function
+ *                                                 invoked with the LogRecord and the styled token values returning
+ *                                                 the log message. When null the default format is used. The
+ *                                                 `Compact`, `NoColor` and `Time` variants apply to the format while
+ *                                                 `Raw` variants always output just the message.
+ * @property {boolean}  [highlight=false] - If true keys, strings, numbers, booleans and null values of logged objects
+ *                                           are colored by the theme.
+ * @property {boolean|string} [hyperlinks=false] - If true the location info is wrapped in an OSC 8 terminal hyperlink
+ *                                                to the `file://` URL of the file suffixed by `:line:column`. A string
+ *                                                is a URL template with the `{file}`, `{line}` and `{column}` tokens;
+ *                                                IE `vscode://file{file}:{line}:{column}`.
+ * @property {boolean}  [json=false] - If true log messages are formatted as single line JSON objects; see
+ *                                     `formatJSON`.
+ * @property {boolean}  [lazyArgs=false] - If true function arguments of log methods are invoked when the log level is
+ *                                         enabled and replaced by their result or the error thrown.
+ * @property {boolean}  [locationFunction=false] - If true the function name is added to the location info.
+ * @property {string[]|null} [locationLevels=null] - The log levels for which the location is captured; when null the
+ *                                                   location is captured for all log levels. The `trace` level needs
+ *                                                   to be included to output stack traces. Locations are cached by
+ *                                                   the top stack frames of the callsite.
+ * @property {string}   [locationPath='basename'] - The path of the location info: 'basename' (file name), 'relative'
+ *                                                  (relative to the current working directory) or 'absolute'.
+ * @property {number}   [maxArrayLength=100] - The maximum number of items of logged Arrays, Maps and Sets to output.
+ * @property {number}   [maxDepth=10] - The maximum depth of nested objects to output. Objects are output in the layout
+ *                                      of `JSON.stringify` handling circular references, Maps, Sets, BigInts, symbols,
+ *                                      functions and class instances.
+ * @property {number}   [maxStringLength=10000] - The maximum number of characters of strings nested in logged
+ *                                                objects to output.
+ * @property {RateLimitData|null} [rateLimit=null] - Limits the number of messages per interval; suppressed messages are
+ *                                                  counted, reported at the end of the interval and totaled by
+ *                                                  `getSuppressedCounts`. `fatal` messages are never rate limited.
+ * @property {RedactData|null} [redact=null] - Key paths and patterns of sensitive data to redact from logged values
+ *                                             before formatting and before transports receive the log record.
  * @property {boolean}  [showDate=false] - If true the date is added to format results
  * @property {boolean}  [showInfo=true] - If true the location of where the log method is invoked is added to output.
+ * @property {string}   [theme='default'] - The name of a built-in theme: 'default', 'dark', 'light' or 'solarized'.
+ * @property {string}   [timeFormat='iso'] - The time stamp format: 'iso' (UTC ISO-8601), 'local' (local time with UTC
+ *                                           offset), 'epoch' (milliseconds), 'elapsed' (milliseconds since the logger
+ *                                           was created) or 'delta' (milliseconds since the previous log message).
+ *                                           The formatted time stamp is available to transports as `timestamp`.
+ * @property {boolean}  [traceCollapseModules=false] - If true consecutive stack trace frames of the same `node_modules`
+ *                                                    package are collapsed; IE `… 7 frames in express`.
+ * @property {boolean}  [traceDimExternal=false] - If true stack trace frames of Node internals and `node_modules` are
+ *                                                 styled by the `traceExternal` theme element; dimmed by default.
+ * @property {boolean}  [traceHideInternals=false] - If true Node internal and native stack trace frames are removed.
+ * @property {number|null} [traceMaxFrames=null] - The maximum number of stack trace lines to output; when null all
+ *                                                 lines are output.
+ */
+
+/**
+ * Defines the `rateLimit` option.
+ * @typedef {object}    RateLimitData
+ * @property {number}   interval - The interval in milliseconds.
+ * @property {number}   limit - The maximum number of messages logged per interval and key.
+ * @property {string}   [per='level'] - The rate limit key: 'level' or 'callsite'.
+ */
+
+/**
+ * Defines a logger configuration read from environment variables or a JSON config file.
+ * @typedef {object}    LoggerConfig
+ * @property {string}   [logLevel] - The log level; IE `info`.
+ * @property {string}   [namespaceLevels] - The namespace levels; IE `db:*=debug,http=warn`.
+ * @property {ColorLoggerOptions} [options] - The options to set; `format` functions are not supported.
+ * @property {TraceFilterData[]} [filters] - Trace filters to add; existing filters with the same type and name are
+ *                                           replaced.
  */
 
 /**
  * Defines a trace filter.
  * @typedef {object}    TraceFilterData
  * @property {boolean}  [enabled=true] - The enabled state of the filter.
- * @property {string}   filterString - The raw filter string used to create the RegExp.
+ * @property {string|RegExp} filterString - The raw filter string used to create the RegExp, a RegExp or a glob
+ *                                          pattern when `glob` is true.
+ * @property {string}   [flags=''] - The RegExp flags of a raw filter string.
+ * @property {boolean}  [glob=false] - If true the filter string is a glob pattern; IE `node_modules/express/**`.
+ * @property {number}   [hits] - The number of stack trace lines the filter decided; reported by `getFilterData`.
  * @property {string}   name - The filter name.
+ * @property {number}   [priority=0] - Filters with a higher priority are tested first; the first matching filter
+ *                                     decides whether a stack trace line is filtered.
  * @property {string}   type - The filter type: 'exclusive' or 'inclusive'.
  */
+
+/**
+ * Provides ConsoleTransportOptions
+ * @typedef {object}    ConsoleTransportOptions
+ * @property {boolean}  [css] - If true log records are output with `%c` CSS styled format strings through the
+ *                              console method matching the log level. Defaults to true when `process` is absent.
+ * @property {boolean}  [json=false] - If true log records are output as single line JSON objects.
+ * @property {string}   [name='console'] - The name of the transport.
+ */
+
+/**
+ * Defines a structured log record which is passed to all transports.
+ * @typedef {object}    LogRecord
+ * @property {Array<*>} args - The original arguments passed to the log method.
+ * @property {object}   bindings - Fields bound to the logger via `child`; empty for the root logger.
+ * @property {string}   css - The CSS style of the log level; empty when no color is applied.
+ * @property {string}   header - The time stamp, location info and namespace text preceding the message.
+ * @property {string|undefined} info - File name and line number where the log method was invoked if available.
+ * @property {string}   label - The log level label; IE `[I]`. Empty when no color is applied.
+ * @property {string}   level - The log level: `fatal`, `error`, `warn`, `info`, `debug`, `verbose`, `trace`.
+ * @property {number}   levelValue - The numeric log level; higher values are more severe.
+ * @property {string}   message - The message parts converted to text and joined by new lines.
+ * @property {string}   namespace - The namespace of the logger; empty for the root logger.
+ * @property {Date}     time - The time the log method was invoked.
+ * @property {string}   timestamp - The time stamp formatted by the `timeFormat` option.
+ * @property {string[]} trace - The remaining stack trace lines when logging at the `trace` level.
+ */
+
+/**
+ * Defines a transport which receives log records. A transport may optionally provide a `close` method which is
+ * invoked when it is removed from ColorLogger. Buffered transports provide `flush` and `flushSync` methods.
+ * @typedef {object}    Transport
+ * @property {string}   name - The transport name.
+ * @property {function(record: LogRecord, message: string)} log - Receives the log record and formatted message.
+ * @property {function} [close] - Optional function invoked when the transport is removed.
+ * @property {function(): Promise} [flush] - Optional function writing queued messages invoked by `flush`.
+ * @property {function} [flushSync] - Optional function synchronously writing queued messages invoked by `flushSync`
+ *                                    and after each `fatal` message.
+ */
+
+/**
+ * Provides ConfigWatcherOptions
+ * @typedef {object}    ConfigWatcherOptions
+ * @property {string}   [announceLevel='warn'] - The log level of the messages announcing configuration changes.
+ * @property {string|ConfigFile} [configFile] - The config file to watch; when omitted only the signal is handled.
+ * @property {number}   [debounce=100] - The delay in milliseconds before a changed config file is reloaded.
+ * @property {object<string, string>} [env=process.env] - The environment variables which take precedence over the
+ *                                                        config file.
+ * @property {string[]} [levels=['debug', 'trace']] - The log levels the signal cycles through before the original log
+ *                                                    level is restored.
+ * @property {string|null} [signal='SIGUSR2'] - The signal which cycles the log level; null disables the signal.
+ */
+
+/**
+ * Provides FileTransportOptions
+ * @typedef {object}    FileTransportOptions
+ * @property {boolean}  [colors=false] - If true ANSI color escape codes are written to the log file.
+ * @property {boolean}  [compress=false] - If true rotated log files are gzip compressed.
+ * @property {string}   filePath - The path of the log file.
+ * @property {string}   [interval] - Optional time based rotation: 'day' or 'hour'.
+ * @property {boolean}  [json=false] - If true log records are written as single line JSON objects.
+ * @property {number}   [maxFiles=5] - The number of rotated log files to keep.
+ * @property {number}   [maxSize=0] - The maximum size in bytes of the log file before rotation; 0 disables.
+ * @property {string}   [name='file'] - The name of the transport.
+ */
+
+/**
+ * Provides StreamTransportOptions
+ * @typedef {object}    StreamTransportOptions
+ * @property {number}   [batchSize=16384] - The size in bytes of queued messages which are written as a batch.
+ * @property {boolean}  [colors=true] - If true ANSI color escape codes are written to the stream.
+ * @property {number}   [flushInterval=100] - The delay in milliseconds after which queued messages are written.
+ * @property {boolean}  [json=false] - If true log records are written as single line JSON objects.
+ * @property {number}   [maxBufferSize=1048576] - The size in bytes of queued messages while the stream applies
+ *                                                back-pressure beyond which messages are dropped.
+ * @property {string}   [name='stream'] - The name of the transport.
+ * @property {stream.Writable} [stream=process.stdout] - The stream written to.
+ */
+
+/**
+ * Defines a log level.
+ * @typedef {object}    LogLevelData
+ * @property {string}   [color] - The ANSI color name or SGR parameter string; IE `cyan` or `1;35`.
+ * @property {string}   [css] - The CSS style used in the browser.
+ * @property {string}   [label] - The label displayed in the level tag; defaults to the first letter of the name.
+ * @property {string}   name - The log level name; must be a valid identifier.
+ * @property {number}   severity - The log level value between 0 and 8 exclusive; higher values are more severe.
+ */
+
+/**
+ * Defines a style of a theme. Colors may be a 16 color name IE `red` / `lightCyan`, a 256 color palette index between
+ * 0 and 255, a hex truecolor string IE `#ff8800` or raw SGR parameters IE `1;35`.
+ * @typedef {object}          StyleData
+ * @property {string|number}  [bg] - The background color.
+ * @property {boolean}        [bold] - If true the text is bold.
+ * @property {boolean}        [dim] - If true the text is dimmed.
+ * @property {string|number}  [fg] - The foreground color.
+ */
+
+/**
+ * Defines a color theme.
+ * @typedef {object}    ThemeData
+ * @property {object<string, StyleData>} [levels] - Styles by log level name applied to the entire log message.
+ * @property {object<string, StyleData>} [elements] - Styles by element overriding the log level style: `tag`, `time`,
+ *                                                   `location`, `namespace`, `trace` and `traceExternal`. The
+ *                                                   `key`, `string`, `number`, `boolean` and `null` elements style
+ *                                                   logged objects when the `highlight` option is enabled.
+ */
+
+/**
+ * Defines the sensitive data to redact from logged values.
+ * @typedef {object}    RedactData
+ * @property {string}   [censor='[REDACTED]'] - The replacement of redacted values.
+ * @property {string[]} [paths] - Dot separated key paths of values to redact; `*` matches any single key and `**`
+ *                                matches any number of keys; IE `headers.authorization` or `**.password`.
+ * @property {Array<RegExp|string>} [patterns] - Regular expressions of text to redact from all strings. Strings in the
+ *                                               form `/source/flags` are parsed as regular expression literals.
+ */
+
+/**
+ * Defines a parsed stack frame.
+ * @typedef {object}    StackFrame
+ * @property {string|undefined}  function - The function name if available; IE `Foo.bar` or `new Foo`.
+ * @property {string|undefined}  file - The file path or URL; IE `/path/file.js` or `file:///path/file.js`.
+ * @property {number|undefined}  line - The 1-based line number.
+ * @property {number|undefined}  column - The 1-based column number.
+ * @property {boolean}           isNative - True if the frame is native code.
+ * @property {boolean}           isEval - True if the frame is evaluated code; the location is where `eval` is invoked.
+ * @property {boolean}           isAsync - True if the frame is an async continuation.
+ */
@@ -0,0 +1,327 @@
+/**
+ * The ANSI escape sequence which resets all colors / styles.
+ * @type {string}
+ */
+export const ANSI_RESET = '\u001b[0m';
+
+/**
+ * The supported color depths in increasing order of available colors.
+ * @type {string[]}
+ */
+export const COLOR_DEPTHS = ['none', '16', '256', 'truecolor'];
+
+/**
+ * Detects the color depth supported by an output stream from its TTY state and the environment.
+ *
+ * The following are checked in order:
+ * - `FORCE_COLOR`: `0` / `false` disables colors, `1` / `true` / empty, `2` and `3` force 16, 256 and truecolor.
+ * - `NO_COLOR`: when present and not empty disables colors.
+ * - `TERM=dumb` disables colors.
+ * - When the stream is not a TTY colors are disabled unless running on a known CI service which supports 16 colors.
+ * - `COLORTERM=truecolor` / `24bit` selects truecolor and a `TERM` ending in `256color` selects 256 colors.
+ *
+ * Colors are disabled when `process` is not available; IE in the browser.
+ *
+ * @param {object}   [stream] - The output stream to check; defaults to `process.stdout`.
+ *
+ * @param {object}   [env] - The environment variables to check; defaults to `process.env`.
+ *
+ * @returns {string} The detected color depth: `none`, `16`, `256` or `truecolor`.
+ */
+export function detectColorDepth(stream = void 0, env = void 0)
+{
+   if (typeof process !== 'object' || process === null) { return 'none'; }
+
+   if (typeof stream === 'undefined') { stream = process.stdout; }
+   if (typeof env === 'undefined') { env = typeof process.env === 'object' ? process.env : {}; }
+
+   if (typeof env.FORCE_COLOR === 'string')
+   {
+      const force = env.FORCE_COLOR.toLowerCase();
+
+      if (force === '0' || force === 'false') { return 'none'; }
+      if (force === '2') { return '256'; }
+      if (force === '3') { return 'truecolor'; }
+
+      return '16';
+   }
+
+   if (typeof env.NO_COLOR === 'string' && env.NO_COLOR !== '') { return 'none'; }
+
+   if (env.TERM === 'dumb') { return 'none'; }
+
+   if (typeof stream !== 'object' || stream === null || !stream.isTTY)
+   {
+      return typeof env.CI === 'string' && s_CI_VENDORS.some((vendor) => typeof env[vendor] === 'string') ? '16' :
+       'none';
+   }
+
+   if (env.COLORTERM === 'truecolor' || env.COLORTERM === '24bit') { return 'truecolor'; }
+
+   if ((/256(color)?$/i).test(env.TERM || '')) { return '256'; }
+
+   return '16';
+}
+
+/**
+ * Converts a color to an ANSI foreground escape sequence for the given color depth. See {@link styleToANSI} for the
+ * supported color formats.
+ *
+ * @param {string|number}  color - A color or empty string for no color.
+ *
+ * @param {string}         [depth='16'] - The color depth: `none`, `16`, `256` or `truecolor`.
+ *
+ * @returns {string} The ANSI escape sequence or an empty string.
+ *
+ * @see https://en.wikipedia.org/wiki/ANSI_escape_code#Colors
+ */
+export function colorToANSI(color, depth = '16')
+{
+   if (color === '') { return ''; }
+
+   return styleToANSI({ fg: color }, depth);
+}
+
+/**
+ * Converts a style with optional foreground color, background color, bold and dim state to an ANSI escape sequence
+ * for the given color depth. Colors with more precision than the color depth supports are converted to the nearest
+ * color available.
+ *
+ * Supported color formats:
+ * - Color names: `black`, `red`, `green`, `yellow`, `blue`, `purple` / `magenta`, `cyan`, `white`, `gray` and the
+ *   `light` variants `lightRed`, `lightGreen`, `lightYellow`, `lightBlue`, `lightPurple` / `lightMagenta`, `lightCyan`
+ *   and `lightWhite`.
+ * - A number between 0 and 255 for the 256 color palette.
+ * - A hex string `#rgb` or `#rrggbb` for truecolor.
+ * - Raw SGR parameters as semicolon separated numbers; IE `1;35`. These are used as is for all color depths.
+ *
+ * @param {StyleData}   style - The style to convert.
+ *
+ * @param {string}      depth - The color depth: `none`, `16`, `256` or `truecolor`.
+ *
+ * @returns {string} The ANSI escape sequence or an empty string.
+ */
+export function styleToANSI(style, depth)
+{
+   if (typeof style !== 'object' || style === null) { throw new TypeError(`'style' is not an 'object'.`); }
+   if (COLOR_DEPTHS.indexOf(depth) < 0) { throw new TypeError(`'depth' is not a valid color depth: ${depth}`); }
+
+   const codes = [];
+
+   if (style.bold === true) { codes.push('1'); }
+   if (style.dim === true) { codes.push('2'); }
+   if (typeof style.fg !== 'undefined') { codes.push(s_COLOR_TO_SGR(style.fg, depth, false)); }
+   if (typeof style.bg !== 'undefined') { codes.push(s_COLOR_TO_SGR(style.bg, depth, true)); }
+
+   return depth !== 'none' && codes.length > 0 ? `\u001b[${codes.join(';')}m` : '';
+}
+
+/**
+ * Removes ANSI escape sequences from text: SGR color / style sequences and OSC 8 hyperlinks keeping the link text.
+ *
+ * @param {string}   text - The text to strip.
+ *
+ * @returns {string} The text without ANSI escape sequences.
+ */
+export function stripANSI(text)
+{
+   return text.replace(s_ANSI_REGEX, '');
+}
+
+/**
+ * Converts a color to SGR parameters for the given color depth.
+ *
+ * @param {string|number}  color - The color to convert.
+ *
+ * @param {string}         depth - The color depth.
+ *
+ * @param {boolean}        background - If true the color is a background color.
+ *
+ * @returns {string} SGR parameters.
+ */
+const s_COLOR_TO_SGR = (color, depth, background) =>
+{
+   if (typeof color === 'number')
+   {
+      if (!Number.isInteger(color) || color < 0 || color > 255)
+      {
+         throw new TypeError(`'color' is not an integer between 0 and 255: ${color}`);
+      }
+
+      if (depth === '16') { return s_INDEX16_TO_SGR(s_ANSI256_TO_INDEX16(color), background); }
+
+      return `${background ? 48 : 38};5;${color}`;
+   }
+
+   if (typeof color !== 'string') { throw new TypeError(`'color' is not a 'string' or 'number'.`); }
+
+   if (Object.prototype.hasOwnProperty.call(s_COLOR_NAME_TO_SGR, color))
+   {
+      return s_COLOR_NAME_TO_SGR[color][background ? 1 : 0];
+   }
+
+   if ((/^\d+(;\d+)*$/).test(color)) { return color; }
+
+   const match = (/^#([\da-f]{3}|[\da-f]{6})$/i).exec(color);
+
+   if (match === null) { throw new TypeError(`'color' is not a known color name, hex or SGR string: ${color}`); }
+
+   const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+
+   const rgb = [parseInt(hex.slice(0, 2), 16), parseInt(hex.slice(2, 4), 16), parseInt(hex.slice(4, 6), 16)];
+
+   switch (depth)
+   {
+      case 'truecolor':
+         return `${background ? 48 : 38};2;${rgb.join(';')}`;
+
+      case '256':
+         return `${background ? 48 : 38};5;${s_RGB_TO_ANSI256(rgb)}`;
+
+      default:
+         return s_INDEX16_TO_SGR(s_RGB_TO_INDEX16(rgb), background);
+   }
+};
+
+/**
+ * Converts an index of the 16 color palette to SGR parameters.
+ *
+ * @param {number}   index - The 16 color palette index.
+ *
+ * @param {boolean}  background - If true the color is a background color.
+ *
+ * @returns {string} SGR parameters.
+ */
+const s_INDEX16_TO_SGR = (index, background) =>
+{
+   return `${(index < 8 ? 30 : 82) + index + (background ? 10 : 0)}`;
+};
+
+/**
+ * Converts a 256 color palette index to the nearest 16 color palette index.
+ *
+ * @param {number}   color - The 256 color palette index.
+ *
+ * @returns {number} The 16 color palette index.
+ */
+const s_ANSI256_TO_INDEX16 = (color) =>
+{
+   if (color < 16) { return color; }
+
+   if (color >= 232)
+   {
+      const gray = 8 + ((color - 232) * 10);
+
+      return s_RGB_TO_INDEX16([gray, gray, gray]);
+   }
+
+   const cube = color - 16;
+
+   return s_RGB_TO_INDEX16([s_CUBE_LEVELS[Math.floor(cube / 36)], s_CUBE_LEVELS[Math.floor(cube / 6) % 6],
+    s_CUBE_LEVELS[cube % 6]]);
+};
+
+/**
+ * Converts an RGB color to the nearest 256 color palette index.
+ *
+ * @param {number[]} rgb - The RGB color.
+ *
+ * @returns {number} The 256 color palette index.
+ */
+const s_RGB_TO_ANSI256 = (rgb) =>
+{
+   const [r, g, b] = rgb;
+
+   // Use the grayscale ramp for grays.
+   if (r === g && g === b)
+   {
+      if (r < 8) { return 16; }
+      if (r > 248) { return 231; }
+
+      return Math.round(((r - 8) / 247) * 24) + 232;
+   }
+
+   return 16 + (36 * Math.round((r / 255) * 5)) + (6 * Math.round((g / 255) * 5)) + Math.round((b / 255) * 5);
+};
+
+/**
+ * Converts an RGB color to the nearest 16 color palette index.
+ *
+ * @param {number[]} rgb - The RGB color.
+ *
+ * @returns {number} The 16 color palette index.
+ */
+const s_RGB_TO_INDEX16 = (rgb) =>
+{
+   let index = 0;
+   let minDistance = Number.POSITIVE_INFINITY;
+
+   for (let cntr = 0; cntr < s_PALETTE16.length; cntr++)
+   {
+      const entry = s_PALETTE16[cntr];
+
+      const distance = Math.pow(entry[0] - rgb[0], 2) + Math.pow(entry[1] - rgb[1], 2)
+       + Math.pow(entry[2] - rgb[2], 2);
+
+      if (distance < minDistance) { minDistance = distance; index = cntr; }
+   }
+
+   return index;
+};
+
+/**
+ * Stores the foreground and background SGR parameters for each color name. The `light` variants use bold for the
+ * foreground.
+ * @type {object}
+ */
+const s_COLOR_NAME_TO_SGR =
+{
+   black: ['30', '40'],
+   red: ['31', '41'],
+   green: ['32', '42'],
+   yellow: ['33', '43'],
+   blue: ['34', '44'],
+   purple: ['35', '45'],
+   magenta: ['35', '45'],
+   cyan: ['36', '46'],
+   white: ['37', '47'],
+   gray: ['90', '100'],
+   lightRed: ['1;31', '101'],
+   lightGreen: ['1;32', '102'],
+   lightYellow: ['1;33', '103'],
+   lightBlue: ['1;34', '104'],
+   lightPurple: ['1;35', '105'],
+   lightMagenta: ['1;35', '105'],
+   lightCyan: ['1;36', '106'],
+   lightWhite: ['1;37', '107']
+};
+
+/**
+ * The channel levels of the 6x6x6 color cube of the 256 color palette.
+ * @type {number[]}
+ */
+const s_CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+/**
+ * The RGB values of the 16 color palette (xterm defaults).
+ * @type {Array<number[]>}
+ */
+const s_PALETTE16 =
+[
+   [0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0], [0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+   [127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0], [92, 92, 255], [255, 0, 255], [0, 255, 255],
+   [255, 255, 255]
+];
+
+/**
+ * Environment variables that identify CI services whose log viewers support ANSI colors.
+ * @type {string[]}
+ */
+const s_CI_VENDORS = ['APPVEYOR', 'BUILDKITE', 'CIRCLECI', 'DRONE', 'GITHUB_ACTIONS', 'GITLAB_CI', 'TRAVIS'];
+
+/**
+ * Matches SGR sequences IE `ESC[1;31m` and the OSC 8 sequences opening and closing hyperlinks IE `ESC]8;;url ESC\`
+ * which are terminated by `ESC\` or `BEL`.
+ * @type {RegExp}
+ */
+const s_ANSI_REGEX = new RegExp(`\\u001b(?:\\[[\\d;]*m|\\]8;[^\\u0007\\u001b]*(?:\\u001b\\\\|\\u0007))`, 'g');
@@ -0,0 +1,163 @@
+/**
+ * Condenses stack trace lines by hiding Node internal frames, collapsing consecutive frames of the same `node_modules`
+ * package into a single line IE `… 7 frames in express` and limiting the number of lines. Lines which are not stack
+ * frames are kept as is.
+ *
+ * @param {object[]}       entries - The stack trace entries; objects with a `line` and the parsed `frame` or
+ *                                   undefined if the line is not a stack frame.
+ *
+ * @param {object}         [options] - Optional parameters.
+ *
+ * @param {boolean}        [options.hideInternals=false] - If true Node internal and native frames are removed.
+ *
+ * @param {boolean}        [options.collapseModules=false] - If true consecutive frames of the same package are
+ *                                                           collapsed.
+ *
+ * @param {number|null}    [options.maxFrames=null] - The maximum number of lines to keep; the remaining frames are
+ *                                                    replaced by a line noting their number IE `… 12 more frames`.
+ *
+ * @returns {object[]} The condensed entries; summary lines have no frame and the `count` of frames they replace.
+ */
+export function condenseTrace(entries, options = {})
+{
+   if (!Array.isArray(entries)) { throw new TypeError(`'entries' is not an 'array'.`); }
+   if (typeof options !== 'object' || options === null) { throw new TypeError(`'options' is not an 'object'.`); }
+
+   let result = options.hideInternals ? entries.filter((entry) => !isInternalFrame(entry.frame)) : entries.slice();
+
+   if (options.collapseModules) { result = s_COLLAPSE_MODULES(result); }
+
+   if (typeof options.maxFrames === 'number' && result.length > options.maxFrames)
+   {
+      const omitted = result.slice(options.maxFrames).reduce((count, entry) => count + s_COUNT_FRAMES(entry), 0);
+
+      result = result.slice(0, options.maxFrames);
+
+      if (omitted > 0)
+      {
+         result.push({ line: `${s_INDENT(entries[0].line)}… ${omitted} more frame${omitted > 1 ? 's' : ''}`,
+          frame: void 0, count: omitted });
+      }
+   }
+
+   return result;
+}
+
+/**
+ * Returns the name of the `node_modules` package of a stack frame including the scope of scoped packages IE
+ * `@babel/core`.
+ *
+ * @param {StackFrame|undefined} frame - A stack frame.
+ *
+ * @returns {string|undefined} The package name or undefined if the frame is not located in `node_modules`.
+ */
+export function getFramePackage(frame)
+{
+   if (typeof frame !== 'object' || typeof frame.file !== 'string') { return void 0; }
+
+   const segments = frame.file.split(/[/\\]/);
+   const index = segments.lastIndexOf('node_modules');
+
+   if (index < 0 || index + 1 >= segments.length - 1) { return void 0; }
+
+   const name = segments[index + 1];
+
+   return name.startsWith('@') && index + 2 < segments.length - 1 ? `${name}/${segments[index + 2]}` : name;
+}
+
+/**
+ * Returns true if a stack frame is a Node internal or native frame; IE `node:internal/modules/cjs/loader:1105:14`,
+ * `internal/main/run_main_module.js:17:47`, `Array.forEach (native)` or legacy core modules such as `module.js:652:30`.
+ * Other files without a path such as `app.js` of browser bundles or evaluated code are not internal.
+ *
+ * @param {StackFrame|undefined} frame - A stack frame.
+ *
+ * @returns {boolean}
+ */
+export function isInternalFrame(frame)
+{
+   if (typeof frame !== 'object') { return false; }
+
+   if (frame.isNative) { return true; }
+
+   if (typeof frame.file !== 'string') { return false; }
+
+   if (frame.file.startsWith('node:') || frame.file.startsWith('internal/')) { return true; }
+
+   const match = (/^([\w-]+)\.js$/).exec(frame.file);
+
+   return match !== null && s_CORE_MODULES.indexOf(match[1]) >= 0;
+}
+
+/**
+ * Collapses consecutive frames of the same package.
+ *
+ * @param {object[]} entries - The stack trace entries.
+ *
+ * @returns {object[]} The collapsed entries.
+ */
+const s_COLLAPSE_MODULES = (entries) =>
+{
+   const result = [];
+
+   for (let cntr = 0; cntr < entries.length;)
+   {
+      const name = getFramePackage(entries[cntr].frame);
+
+      let end = cntr + 1;
+
+      if (typeof name === 'string')
+      {
+         while (end < entries.length && getFramePackage(entries[end].frame) === name) { end++; }
+      }
+
+      // A single frame is kept as it is as short as the summary line.
+      if (end - cntr > 1)
+      {
+         result.push({ line: `${s_INDENT(entries[cntr].line)}… ${end - cntr} frames in ${name}`, frame: void 0,
+          count: end - cntr });
+      }
+      else
+      {
+         result.push(entries[cntr]);
+      }
+
+      cntr = end;
+   }
+
+   return result;
+};
+
+/**
+ * Returns the number of stack frames an entry represents.
+ *
+ * @param {object}   entry - A stack trace entry.
+ *
+ * @returns {number} The number of frames.
+ */
+const s_COUNT_FRAMES = (entry) =>
+{
+   if (typeof entry.count === 'number') { return entry.count; }
+
+   return typeof entry.frame === 'object' ? 1 : 0;
+};
+
+/**
+ * Returns the leading whitespace of a stack trace line.
+ *
+ * @param {string}   line - A stack trace line.
+ *
+ * @returns {string} The leading whitespace.
+ */
+const s_INDENT = (line) => (/^\s*/).exec(line)[0];
+
+/**
+ * The file names without extension of Node core modules which legacy Node versions report without a path in stack
+ * frames; IE `module.js:652:30`.
+ * @type {string[]}
+ */
+const s_CORE_MODULES = ['_stream_duplex', '_stream_passthrough', '_stream_readable', '_stream_transform',
+ '_stream_writable', 'assert', 'async_hooks', 'bootstrap_node', 'buffer', 'child_process', 'cluster', 'console',
+ 'constants', 'crypto', 'dgram', 'dns', 'domain', 'events', 'fs', 'http', 'https', 'module', 'net', 'node', 'os',
+ 'path', 'process', 'punycode', 'querystring', 'readline', 'repl', 'stream', 'string_decoder', 'timers', 'tls', 'tty',
+ 'url', 'util', 'v8', 'vm', 'zlib'];
@@ -0,0 +1,443 @@
+import themes             from '../themes.js';
+
+import { COLOR_DEPTHS }    from './ansi.js';
+import { TIME_FORMATS }    from './timestamp.js';
+
+/**
+ * The supported `locationPath` option values.
+ * @type {string[]}
+ */
+export const LOCATION_PATHS = ['basename', 'relative', 'absolute'];
+
+/**
+ * The supported `rateLimit.per` option values.
+ * @type {string[]}
+ */
+export const RATE_LIMIT_KEYS = ['level', 'callsite'];
+
+/**
+ * Returns a copy of a logger config with the `options` of all configs merged. Later configs take precedence; the
+ * `logLevel`, `namespaceLevels` and `filters` of a later config replace those of earlier configs.
+ *
+ * @param {...LoggerConfig}   configs - The configs to merge.
+ *
+ * @returns {LoggerConfig} The merged config.
+ */
+export function mergeConfigs(...configs)
+{
+   const result = {};
+
+   for (const config of configs)
+   {
+      if (typeof config !== 'object' || config === null) { throw new TypeError(`'config' is not an 'object'.`); }
+
+      for (const key of Object.keys(config))
+      {
+         result[key] = key === 'options' ? Object.assign({}, result.options, config.options) : config[key];
+      }
+   }
+
+   return result;
+}
+
+/**
+ * Reads a logger config from environment variables. Each option is read from the `LOG_` prefixed upper snake case
+ * name of the option; IE `LOG_SHOW_DATE` for `showDate`. The log level is read from `LOG_LEVEL`, the namespace levels
+ * from `LOG_NAMESPACE_LEVELS` and the trace filters from `LOG_FILTERS` as a JSON array. Empty variables are ignored.
+ *
+ * Booleans accept `true`, `false`, `1`, `0`, `yes`, `no`, `on` and `off`. Arrays are comma separated; IE
+ * `LOG_LOCATION_LEVELS=error,fatal`. `LOG_RATE_LIMIT` and `LOG_REDACT` are JSON and `null` disables nullable
+ * options.
+ *
+ * @param {object<string, string>}  env - The environment variables; IE `process.env`.
+ *
+ * @returns {LoggerConfig} The config.
+ */
+export function parseEnvConfig(env)
+{
+   if (typeof env !== 'object' || env === null) { throw new TypeError(`'env' is not an 'object'.`); }
+
+   const config = {};
+
+   if (s_HAS_VALUE(env, 'LOG_LEVEL')) { config.logLevel = env.LOG_LEVEL; }
+   if (s_HAS_VALUE(env, 'LOG_NAMESPACE_LEVELS')) { config.namespaceLevels = env.LOG_NAMESPACE_LEVELS; }
+   if (s_HAS_VALUE(env, 'LOG_FILTERS')) { config.filters = s_PARSE_JSON(env.LOG_FILTERS, 'LOG_FILTERS'); }
+
+   for (const key of Object.keys(s_OPTIONS))
+   {
+      const name = toEnvName(`options.${key}`);
+
+      if (!s_HAS_VALUE(env, name)) { continue; }
+
+      if (typeof config.options !== 'object') { config.options = {}; }
+
+      config.options[key] = s_PARSE_ENV_VALUE(env[name], s_OPTIONS[key], name);
+   }
+
+   validateConfig(config, toEnvName);
+
+   return config;
+}
+
+/**
+ * Converts a logger config to environment variables in the format read by {@link parseEnvConfig}.
+ *
+ * @param {LoggerConfig}   config - The config.
+ *
+ * @returns {object<string, string>} The environment variables.
+ */
+export function configToEnv(config)
+{
+   config = serializeConfig(config);
+
+   const env = {};
+
+   if (typeof config.logLevel === 'string') { env.LOG_LEVEL = config.logLevel; }
+   if (typeof config.namespaceLevels === 'string') { env.LOG_NAMESPACE_LEVELS = config.namespaceLevels; }
+   if (Array.isArray(config.filters)) { env.LOG_FILTERS = JSON.stringify(config.filters); }
+
+   if (typeof config.options === 'object')
+   {
+      for (const key of Object.keys(config.options))
+      {
+         const value = config.options[key];
+
+         if (typeof value === 'undefined') { continue; }
+
+         if (Array.isArray(value))
+         {
+            env[toEnvName(`options.${key}`)] = value.join(',');
+         }
+         else
+         {
+            env[toEnvName(`options.${key}`)] = typeof value === 'string' ? value : JSON.stringify(value);
+         }
+      }
+   }
+
+   return env;
+}
+
+/**
+ * Validates a logger config and returns a JSON compatible copy; RegExp filter strings are converted to their source
+ * and flags.
+ *
+ * @param {LoggerConfig}   config - The config.
+ *
+ * @returns {LoggerConfig} The JSON compatible config.
+ */
+export function serializeConfig(config)
+{
+   validateConfig(config);
+
+   const result = Object.assign({}, config);
+
+   if (Array.isArray(config.filters))
+   {
+      result.filters = config.filters.map((filter) => filter.filterString instanceof RegExp ?
+       Object.assign({}, filter, { filterString: filter.filterString.source, flags: filter.filterString.flags }) :
+        filter);
+   }
+
+   return result;
+}
+
+/**
+ * Returns the environment variable name of a config key path; IE `options.showDate` is `LOG_SHOW_DATE` and
+ * `filters[0].name` is `LOG_FILTERS[0].name`.
+ *
+ * @param {string}   path - The config key path.
+ *
+ * @returns {string} The environment variable name.
+ */
+export function toEnvName(path)
+{
+   const match = (/^(?:options\.)?([A-Za-z]+)(.*)$/).exec(path);
+
+   if (match === null) { return path; }
+
+   const name = match[1] === 'logLevel' ? 'LEVEL' : match[1].replace(/[A-Z]/g, '_$&').toUpperCase();
+
+   return `LOG_${name}${match[2]}`;
+}
+
+/**
+ * Validates the keys and value types of a logger config. Errors name the invalid key; IE
+ * `'config.options.showDate' is not a 'boolean'.`.
+ *
+ * @param {LoggerConfig}   config - The config to validate.
+ *
+ * @param {Function}       [label] - Returns the name of a config key path used in error messages; by default the path
+ *                                   is prefixed by `config.`.
+ */
+export function validateConfig(config, label = (path) => `config.${path}`)
+{
+   if (typeof config !== 'object' || config === null) { throw new TypeError(`'config' is not an 'object'.`); }
+
+   for (const key of Object.keys(config))
+   {
+      if (s_CONFIG_KEYS.indexOf(key) < 0) { throw new TypeError(`'${label(key)}' is not a valid config key.`); }
+   }
+
+   for (const key of ['logLevel', 'namespaceLevels'])
+   {
+      if (typeof config[key] !== 'undefined' && typeof config[key] !== 'string')
+      {
+         throw new TypeError(`'${label(key)}' is not a 'string'.`);
+      }
+   }
+
+   if (typeof config.options !== 'undefined')
+   {
+      if (typeof config.options !== 'object' || config.options === null)
+      {
+         throw new TypeError(`'${label('options')}' is not an 'object'.`);
+      }
+
+      for (const key of Object.keys(config.options))
+      {
+         if (!s_HAS(s_OPTIONS, key)) { throw new TypeError(`'${label(`options.${key}`)}' is not a valid option.`); }
+
+         s_VALIDATE_VALUE(config.options[key], s_OPTIONS[key], label(`options.${key}`));
+      }
+   }
+
+   if (typeof config.filters !== 'undefined')
+   {
+      if (!Array.isArray(config.filters)) { throw new TypeError(`'${label('filters')}' is not an 'array'.`); }
+
+      config.filters.forEach((filter, index) =>
+      {
+         const path = `filters[${index}]`;
+
+         if (typeof filter !== 'object' || filter === null)
+         {
+            throw new TypeError(`'${label(path)}' is not an 'object'.`);
+         }
+
+         for (const key of Object.keys(filter))
+         {
+            if (!s_HAS(s_FILTER_KEYS, key)) { throw new TypeError(`'${label(`${path}.${key}`)}' is not a valid key.`); }
+
+            s_VALIDATE_VALUE(filter[key], s_FILTER_KEYS[key], label(`${path}.${key}`));
+         }
+
+         for (const key of ['filterString', 'name', 'type'])
+         {
+            if (typeof filter[key] === 'undefined') { throw new TypeError(`'${label(`${path}.${key}`)}' is missing.`); }
+         }
+      });
+   }
+}
+
+/**
+ * The keys of a logger config.
+ * @type {string[]}
+ */
+const s_CONFIG_KEYS = ['filters', 'logLevel', 'namespaceLevels', 'options'];
+
+/**
+ * The value types of trace filter data keys.
+ * @type {object<string, object>}
+ */
+const s_FILTER_KEYS =
+{
+   enabled: { types: ['boolean'] },
+   filterString: { types: ['string', 'regexp'] },
+   flags: { types: ['string'] },
+   glob: { types: ['boolean'] },
+   hits: { types: ['number'] },
+   name: { types: ['string'] },
+   priority: { types: ['number'] },
+   type: { types: ['string'], values: ['exclusive', 'inclusive'] }
+};
+
+/**
+ * The value types of ColorLoggerOptions; `format` functions are not supported as they can not be stored.
+ * @type {object<string, object>}
+ */
+const s_OPTIONS =
+{
+   autoPluginFilters: { types: ['boolean'] },
+   colorDepth: { types: ['string'], values: ['auto'].concat(COLOR_DEPTHS) },
+   consoleEnabled: { types: ['boolean'] },
+   dedupe: { types: ['boolean'] },
+   filtersEnabled: { types: ['boolean'] },
+   format: { types: ['string', 'null'] },
+   highlight: { types: ['boolean'] },
+   hyperlinks: { types: ['boolean', 'string'] },
+   json: { types: ['boolean'] },
+   lazyArgs: { types: ['boolean'] },
+   locationFunction: { types: ['boolean'] },
+   locationLevels: { types: ['array', 'null'] },
+   locationPath: { types: ['string'], values: LOCATION_PATHS },
+   maxArrayLength: { types: ['count'] },
+   maxDepth: { types: ['count'] },
+   maxStringLength: { types: ['count'] },
+   rateLimit: { types: ['object', 'null'] },
+   redact: { types: ['object', 'null'] },
+   showDate: { types: ['boolean'] },
+   showInfo: { types: ['boolean'] },
+   theme: { types: ['string'], values: Object.keys(themes) },
+   timeFormat: { types: ['string'], values: TIME_FORMATS },
+   traceCollapseModules: { types: ['boolean'] },
+   traceDimExternal: { types: ['boolean'] },
+   traceHideInternals: { types: ['boolean'] },
+   traceMaxFrames: { types: ['integer', 'null'] }
+};
+
+/**
+ * The descriptions of value types used in error messages.
+ * @type {object<string, string>}
+ */
+const s_TYPE_NAMES =
+{
+   'array': `'array' of 'string'`,
+   'boolean': `'boolean'`,
+   'count': `non-negative 'number'`,
+   'integer': `non-negative 'integer'`,
+   'null': 'null',
+   'number': `'number'`,
+   'object': `'object'`,
+   'regexp': `'RegExp'`,
+   'string': `'string'`
+};
+
+/**
+ * Returns true if the object has the given own property.
+ *
+ * @param {object}   object - The object.
+ *
+ * @param {string}   key - The property key.
+ *
+ * @returns {boolean}
+ */
+const s_HAS = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Returns true if an environment variable is set to a non-empty string.
+ *
+ * @param {object<string, string>}  env - The environment variables.
+ *
+ * @param {string}                  name - The variable name.
+ *
+ * @returns {boolean}
+ */
+const s_HAS_VALUE = (env, name) => typeof env[name] === 'string' && env[name] !== '';
+
+/**
+ * Returns true if a value is of a value type.
+ *
+ * @param {*}        value - The value.
+ *
+ * @param {string}   type - The value type.
+ *
+ * @returns {boolean}
+ */
+const s_IS_TYPE = (value, type) =>
+{
+   switch (type)
+   {
+      case 'array':
+         return Array.isArray(value) && value.every((entry) => typeof entry === 'string');
+
+      case 'count':
+         return typeof value === 'number' && !isNaN(value) && value >= 0;
+
+      case 'integer':
+         return Number.isInteger(value) && value >= 0;
+
+      case 'null':
+         return value === null;
+
+      case 'number':
+         return typeof value === 'number' && Number.isFinite(value);
+
+      case 'object':
+         return typeof value === 'object' && value !== null && !Array.isArray(value);
+
+      case 'regexp':
+         return value instanceof RegExp;
+
+      default:
+         return typeof value === type;
+   }
+};
+
+/**
+ * Parses an environment variable value of an option.
+ *
+ * @param {string}   value - The variable value.
+ *
+ * @param {object}   spec - The value types of the option.
+ *
+ * @param {string}   name - The variable name.
+ *
+ * @returns {*} The parsed value.
+ */
+const s_PARSE_ENV_VALUE = (value, spec, name) =>
+{
+   if (spec.types.indexOf('null') >= 0 && value === 'null') { return null; }
+
+   if (spec.types.indexOf('boolean') >= 0)
+   {
+      if ((/^(true|1|yes|on)$/i).test(value)) { return true; }
+      if ((/^(false|0|no|off)$/i).test(value)) { return false; }
+   }
+
+   if (spec.types.indexOf('count') >= 0 || spec.types.indexOf('integer') >= 0)
+   {
+      // Invalid numbers are reported by the validation.
+      return (/^\s*$/).test(value) ? value : Number(value);
+   }
+
+   if (spec.types.indexOf('array') >= 0) { return value.split(',').map((entry) => entry.trim()); }
+
+   if (spec.types.indexOf('object') >= 0) { return s_PARSE_JSON(value, name); }
+
+   // Strings are used as is; other values are reported by the validation.
+   return value;
+};
+
+/**
+ * Parses a JSON environment variable value.
+ *
+ * @param {string}   value - The variable value.
+ *
+ * @param {string}   name - The variable name.
+ *
+ * @returns {*} The parsed value.
+ */
+const s_PARSE_JSON = (value, name) =>
+{
+   try
+   {
+      return JSON.parse(value);
+   }
+   catch (err)
+   {
+      throw new TypeError(`'${name}' is not valid JSON: ${err.message}`);
+   }
+};
+
+/**
+ * Validates a value against value types and allowed values.
+ *
+ * @param {*}        value - The value.
+ *
+ * @param {object}   spec - The value types and allowed values.
+ *
+ * @param {string}   name - The name of the value used in error messages.
+ */
+const s_VALIDATE_VALUE = (value, spec, name) =>
+{
+   if (!spec.types.some((type) => s_IS_TYPE(value, type)))
+   {
+      throw new TypeError(`'${name}' is not a ${spec.types.map((type) => s_TYPE_NAMES[type]).join(' or ')}.`);
+   }
+
+   if (Array.isArray(spec.values) && spec.values.indexOf(value) < 0)
+   {
+      throw new TypeError(`'${name}' must be one of: ${spec.values.join(', ')}.`);
+   }
+};
@@ -0,0 +1,36 @@
+/**
+ * Converts a `file://` URL to a path. Windows drive letter URLs IE `file:///C:/dir/file.js` are converted to
+ * `C:/dir/file.js`.
+ *
+ * @param {string}   url - The file URL.
+ *
+ * @returns {string} The path.
+ */
+export function fileURLToPath(url)
+{
+   if (typeof url !== 'string') { throw new TypeError(`'url' is not a 'string'.`); }
+
+   const pathname = decodeURIComponent(url.replace(/^file:\/\/[^/]*/, ''));
+
+   // Windows drive letters; IE `file:///C:/dir/file.js`.
+   return (/^\/[a-z]:/i).test(pathname) ? pathname.slice(1) : pathname;
+}
+
+/**
+ * Converts an absolute path to a `file://` URL. Backslashes of Windows paths are converted to slashes.
+ *
+ * @param {string}   filePath - The absolute path.
+ *
+ * @returns {string} The file URL.
+ */
+export function pathToFileURL(filePath)
+{
+   if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+   const pathname = filePath.replace(/\\/g, '/');
+
+   // `encodeURI` keeps `?` and `#` which would start the query and fragment of the URL.
+   const encoded = encodeURI(pathname).replace(/[?#]/g, encodeURIComponent);
+
+   return `file://${pathname.startsWith('/') ? '' : '/'}${encoded}`;
+}
@@ -0,0 +1,144 @@
+import inspect from './inspect.js';
+
+/**
+ * Formats a log record as a single line JSON object suitable for newline delimited JSON (NDJSON) log pipelines.
+ *
+ * String and other primitive arguments are joined by a space to form `message`; functions, symbols and BigInts are
+ * formatted as on the console IE `[Function: name]`. Objects are added to `args` as nested JSON and any Error is
+ * serialized with its `name`, `message`, `stack` and own properties IE `code`. The `cause` of an Error and the
+ * `errors` of an AggregateError are serialized as nested errors. The first Error is added as `error` instead of to
+ * `args`, so it is serialized only once. Any fields bound to a child logger are merged into the top level object.
+ * Circular references, Maps, Sets and BigInts which `JSON.stringify` otherwise rejects or drops are serialized safely.
+ *
+ * @param {LogRecord}   record - The log record to format.
+ *
+ * @returns {string} A single line of JSON.
+ */
+export default function formatJSON(record)
+{
+   const message = [];
+   const args = [];
+
+   let error;
+
+   for (const arg of record.args)
+   {
+      const type = typeof arg;
+
+      if (arg instanceof Error && typeof error === 'undefined')
+      {
+         error = arg;
+      }
+      else if (type === 'object' && arg !== null)
+      {
+         args.push(arg);
+      }
+      else if (type === 'function' || type === 'symbol' || type === 'bigint')
+      {
+         message.push(inspect(arg));
+      }
+      else
+      {
+         message.push(String(arg));
+      }
+   }
+
+   const data = Object.assign({}, record.bindings,
+   {
+      level: record.level,
+      levelValue: record.levelValue,
+      time: record.time.toISOString(),
+      location: record.info,
+      message: message.join(' ')
+   });
+
+   // Time stamps in other formats than UTC ISO-8601 are added in addition to `time`.
+   if (typeof record.timestamp === 'string' && record.timestamp !== data.time) { data.timestamp = record.timestamp; }
+
+   if (record.namespace !== '') { data.namespace = record.namespace; }
+
+   if (args.length > 0) { data.args = args; }
+   if (typeof error !== 'undefined') { data.error = error; }
+   if (record.trace.length > 0) { data.trace = record.trace; }
+
+   return JSON.stringify(data, s_CREATE_REPLACER());
+}
+
+/**
+ * Serializes an Error to a plain object. Nested errors of `cause` and `errors` are serialized by the replacer.
+ *
+ * @param {Error}    error - The error to serialize.
+ *
+ * @returns {object} Serialized error with `name`, `message`, `stack`, own properties, `cause` and `errors`.
+ */
+const s_SERIALIZE_ERROR = (error) =>
+{
+   const result = Object.assign({ name: error.name, message: error.message, stack: error.stack }, error);
+
+   if (typeof error.cause !== 'undefined') { result.cause = error.cause; }
+   if (Array.isArray(error.errors)) { result.errors = error.errors; }
+
+   return result;
+};
+
+/**
+ * Creates a replacer for `JSON.stringify` which serializes values that otherwise are dropped or throw:
+ * - Errors are serialized with `name`, `message`, `stack`, own properties, `cause` and `errors`.
+ * - Maps are converted to objects and Sets to arrays unless they provide `toJSON`.
+ * - Regular expressions are converted to their source string.
+ * - BigInts are converted to strings.
+ * - Circular references are replaced by `[Circular]`.
+ *
+ * @returns {Function} A replacer function.
+ */
+const s_CREATE_REPLACER = () =>
+{
+   // The objects currently being serialized and the values they were converted from; `JSON.stringify` serializes
+   // depth first, so the holder of the current value is always the last ancestor.
+   const ancestors = [];
+   const originals = [];
+
+   return function(key, value)
+   {
+      if (typeof value === 'object' && value !== null)
+      {
+         while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this)
+         {
+            ancestors.pop();
+            originals.pop();
+         }
+
+         if (originals.indexOf(value) >= 0) { return '[Circular]'; }
+
+         let result = value;
+
+         if (value instanceof Error)
+         {
+            result = s_SERIALIZE_ERROR(value);
+         }
+         else if (value instanceof RegExp)
+         {
+            return String(value);
+         }
+         else if (Object.prototype.toString.call(value) === '[object Map]')
+         {
+            result = {};
+
+            for (const entry of value) { result[String(entry[0])] = entry[1]; }
+         }
+         else if (Object.prototype.toString.call(value) === '[object Set]')
+         {
+            result = Array.from(value);
+         }
+
+         ancestors.push(result);
+         originals.push(value);
+
+         return result;
+      }
+
+      const type = typeof value;
+
+      return type === 'bigint' ? String(value) : value;
+   };
+};
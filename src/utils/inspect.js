@@ -0,0 +1,317 @@
+/**
+ * Converts any value to a string for logging. Plain objects and arrays are formatted in the layout of `JSON.stringify`
+ * while other values which `JSON.stringify` drops or rejects are described instead:
+ * - Circular references are replaced by `[Circular]`.
+ * - Maps and Sets are formatted as `Map(1) {"key" => "value"}` and `Set(2) {1,2}`.
+ * - BigInts are suffixed with `n`, symbols and `undefined` are output as is.
+ * - Functions are formatted as `[Function: name]` and classes as `[class Name]`.
+ * - Class instances are prefixed by the class name; IE `Point {"x":1,"y":2}`.
+ * - Dates, regular expressions and errors are formatted as their ISO-8601, source and `[Name: message]` strings.
+ *
+ * Objects nested deeper than `maxDepth` are replaced by their type; IE `[Object]`. Arrays, Maps and Sets longer than
+ * `maxArrayLength` and strings longer than `maxStringLength` are truncated noting the number of omitted items or
+ * characters.
+ *
+ * @param {*}        value - The value to inspect.
+ *
+ * @param {object}   [options] - Optional parameters.
+ *
+ * @param {boolean}  [options.compact=false] - If true the output is a single line otherwise nested values are
+ *                                             indented by 3 spaces on separate lines.
+ *
+ * @param {number}   [options.maxDepth=10] - The maximum depth of nested objects to format.
+ *
+ * @param {number}   [options.maxArrayLength=100] - The maximum number of items of Arrays, Maps and Sets to format.
+ *
+ * @param {number}   [options.maxStringLength=10000] - The maximum number of characters of strings to format.
+ *
+ * @param {Function} [options.stylize] - Invoked with the text of each key, string, number, boolean and null value and
+ *                                       its type: `key`, `string`, `number`, `boolean` or `null`; returns the styled
+ *                                       text. Used for syntax highlighting.
+ *
+ * @returns {string} The formatted value.
+ */
+export default function inspect(value, options = {})
+{
+   if (typeof options !== 'object' || options === null) { throw new TypeError(`'options' is not an 'object'.`); }
+
+   const config = Object.assign({}, s_DEFAULT_OPTIONS);
+
+   for (const key in options)
+   {
+      if (typeof options[key] !== 'undefined') { config[key] = options[key]; }
+   }
+
+   return s_FORMAT(value, config, 0, []);
+}
+
+/**
+ * The default inspect options.
+ * @type {{compact: boolean, maxDepth: number, maxArrayLength: number, maxStringLength: number, stylize: Function}}
+ */
+const s_DEFAULT_OPTIONS =
+{
+   compact: false,
+   maxDepth: 10,
+   maxArrayLength: 100,
+   maxStringLength: 10000,
+   stylize: (text) => text
+};
+
+/**
+ * The indentation of each nesting level of the expanded layout.
+ * @type {string}
+ */
+const s_INDENT = '   ';
+
+/**
+ * Formats a value.
+ *
+ * @param {*}        value - The value to format.
+ *
+ * @param {object}   config - The inspect options.
+ *
+ * @param {number}   depth - The current nesting depth.
+ *
+ * @param {object[]} seen - The objects currently being formatted; used to detect circular references.
+ *
+ * @returns {string} The formatted value.
+ */
+const s_FORMAT = (value, config, depth, seen) =>
+{
+   const type = typeof value;
+
+   switch (type)
+   {
+      case 'string':
+         return s_FORMAT_STRING(value, config);
+
+      case 'number':
+         return config.stylize(Object.is(value, -0) ? '-0' : String(value), 'number');
+
+      case 'bigint':
+         return config.stylize(`${String(value)}n`, 'number');
+
+      case 'boolean':
+         return config.stylize(String(value), 'boolean');
+
+      case 'undefined':
+         return config.stylize('undefined', 'null');
+
+      case 'symbol':
+         return value.toString();
+
+      case 'function':
+         return s_FORMAT_FUNCTION(value);
+
+      case 'object':
+         return value === null ? config.stylize('null', 'null') : s_FORMAT_OBJECT(value, config, depth, seen);
+
+      default:
+         return String(value);
+   }
+};
+
+/**
+ * Formats a function or class.
+ *
+ * @param {Function} value - The function to format.
+ *
+ * @returns {string} The formatted function.
+ */
+const s_FORMAT_FUNCTION = (value) =>
+{
+   let source = '';
+
+   try { source = Function.prototype.toString.call(value); }
+   catch (err) { /* Proxies of functions may throw; treat as a function. */ }
+
+   if ((/^class[\s{]/).test(source)) { return `[class ${value.name || '(anonymous)'}]`; }
+
+   return value.name ? `[Function: ${value.name}]` : '[Function (anonymous)]';
+};
+
+/**
+ * Formats an object.
+ *
+ * @param {object}   value - The object to format.
+ *
+ * @param {object}   config - The inspect options.
+ *
+ * @param {number}   depth - The current nesting depth.
+ *
+ * @param {object[]} seen - The objects currently being formatted.
+ *
+ * @returns {string} The formatted object.
+ */
+const s_FORMAT_OBJECT = (value, config, depth, seen) =>
+{
+   if (seen.indexOf(value) >= 0) { return '[Circular]'; }
+
+   if (value instanceof Error) { return `[${value.name || 'Error'}: ${value.message}]`; }
+
+   if (value instanceof Date) { return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString(); }
+
+   if (value instanceof RegExp) { return String(value); }
+
+   const isArray = Array.isArray(value) || (ArrayBuffer.isView(value) && !(value instanceof DataView));
+   // The tag is checked instead of `instanceof` so that both native and polyfilled collections are detected.
+   const tag = Object.prototype.toString.call(value);
+   const isMap = tag === '[object Map]';
+   const isSet = tag === '[object Set]';
+
+   const name = s_GET_CONSTRUCTOR_NAME(value);
+
+   if (depth > config.maxDepth) { return `[${name || (isArray ? 'Array' : 'Object')}]`; }
+
+   const items = [];
+
+   let prefix = '';
+   let open = '{';
+   let close = '}';
+
+   seen.push(value);
+
+   if (isArray)
+   {
+      const length = Math.min(value.length, config.maxArrayLength);
+
+      for (let cntr = 0; cntr < length; cntr++) { items.push(s_FORMAT(value[cntr], config, depth + 1, seen)); }
+
+      s_ADD_MORE_ITEMS(items, value.length - length);
+
+      prefix = name !== 'Array' ? `${name || 'Array'}(${value.length}) ` : '';
+      open = '[';
+      close = ']';
+   }
+   else if (isMap || isSet)
+   {
+      let count = 0;
+
+      for (const entry of value)
+      {
+         if (count++ >= config.maxArrayLength) { break; }
+
+         items.push(isMap ? `${s_FORMAT(entry[0], config, depth + 1, seen)} => ${s_FORMAT(entry[1], config,
+          depth + 1, seen)}` : s_FORMAT(entry, config, depth + 1, seen));
+      }
+
+      s_ADD_MORE_ITEMS(items, value.size - config.maxArrayLength);
+
+      prefix = `${name || (isMap ? 'Map' : 'Set')}(${value.size}) `;
+   }
+   else
+   {
+      const separator = config.compact ? ':' : ': ';
+
+      for (const key of s_GET_KEYS(value))
+      {
+         const keyText = config.stylize(typeof key === 'symbol' ? `[${key.toString()}]` : JSON.stringify(key), 'key');
+
+         items.push(`${keyText}${separator}${s_FORMAT(s_GET_PROPERTY(value, key), config, depth + 1, seen)}`);
+      }
+
+      if (name === null)
+      {
+         prefix = '[Object: null prototype] ';
+      }
+      else if (name !== 'Object')
+      {
+         prefix = `${name || 'Object'} `;
+      }
+   }
+
+   seen.pop();
+
+   if (items.length === 0) { return `${prefix}${open}${close}`; }
+
+   if (config.compact) { return `${prefix}${open}${items.join(',')}${close}`; }
+
+   const indent = s_INDENT.repeat(depth + 1);
+
+   return `${prefix}${open}\n${indent}${items.join(`,\n${indent}`)}\n${s_INDENT.repeat(depth)}${close}`;
+};
+
+/**
+ * Formats a string as a JSON string literal truncating it to `maxStringLength` characters.
+ *
+ * @param {string}   value - The string to format.
+ *
+ * @param {object}   config - The inspect options.
+ *
+ * @returns {string} The formatted string.
+ */
+const s_FORMAT_STRING = (value, config) =>
+{
+   if (value.length <= config.maxStringLength) { return config.stylize(JSON.stringify(value), 'string'); }
+
+   const more = value.length - config.maxStringLength;
+
+   return `${config.stylize(JSON.stringify(value.slice(0, config.maxStringLength)), 'string')}... ${more} more `
+    + `character${more > 1 ? 's' : ''}`;
+};
+
+/**
+ * Adds a note of the number of omitted items.
+ *
+ * @param {string[]} items - The formatted items.
+ *
+ * @param {number}   more - The number of omitted items.
+ */
+const s_ADD_MORE_ITEMS = (items, more) =>
+{
+   if (more > 0) { items.push(`... ${more} more item${more > 1 ? 's' : ''}`); }
+};
+
+/**
+ * Returns the constructor name of an object, an empty string for an anonymous constructor or null for an object
+ * without a prototype.
+ *
+ * @param {object}   value - The object.
+ *
+ * @returns {string|null} The constructor name.
+ */
+const s_GET_CONSTRUCTOR_NAME = (value) =>
+{
+   const proto = Object.getPrototypeOf(value);
+
+   if (proto === null) { return null; }
+
+   return typeof proto.constructor === 'function' ? proto.constructor.name : '';
+};
+
+/**
+ * Returns the own enumerable string and symbol keys of an object.
+ *
+ * @param {object}   value - The object.
+ *
+ * @returns {Array<string|symbol>} The keys.
+ */
+const s_GET_KEYS = (value) =>
+{
+   const symbols = Object.getOwnPropertySymbols(value).filter(
+    (symbol) => Object.prototype.propertyIsEnumerable.call(value, symbol));
+
+   return [].concat(Object.keys(value), symbols);
+};
+
+/**
+ * Returns a property value; a getter which throws is described by the error.
+ *
+ * @param {object}         value - The object.
+ *
+ * @param {string|symbol}  key - The property key.
+ *
+ * @returns {*} The property value.
+ */
+const s_GET_PROPERTY = (value, key) =>
+{
+   try
+   {
+      return value[key];
+   }
+   catch (err)
+   {
+      return err;
+   }
+};
@@ -0,0 +1,250 @@
+/**
+ * Parses a stack trace into stack frames. Lines which are not stack frames, IE the `Error: message` header of V8
+ * stack traces, are skipped. See {@link parseStackFrame} for the supported formats.
+ *
+ * @param {string}   stack - The stack trace of an Error.
+ *
+ * @returns {StackFrame[]} The parsed stack frames.
+ */
+export function parseStack(stack)
+{
+   if (typeof stack !== 'string') { throw new TypeError(`'stack' is not a 'string'.`); }
+
+   const frames = [];
+
+   for (const line of stack.split('\n'))
+   {
+      const frame = parseStackFrame(line);
+
+      if (typeof frame !== 'undefined') { frames.push(frame); }
+   }
+
+   return frames;
+}
+
+/**
+ * Parses a single stack trace line into a stack frame.
+ *
+ * Supported formats:
+ * - V8 (Node / Chrome): `at fn (/path/file.js:10:5)`, `at /path/file.js:10:5`, `at async fn (file:///file.js:1:2)`,
+ *   `at Array.forEach (native)`, `at eval (eval at fn (/path/file.js:1:1), <anonymous>:1:1)` and
+ *   `at async Promise.all (index 0)`.
+ * - SpiderMonkey (Firefox): `fn@http://host/file.js:10:5`, `async*fn@http://host/file.js:10:5` and
+ *   `fn@http://host/file.js line 2 > eval:1:5`.
+ * - JavaScriptCore (Safari): `fn@http://host/file.js:10:5`, `global code@http://host/file.js:1:1`, `eval code@` and
+ *   `fn@[native code]`.
+ *
+ * Paths may contain spaces and may be `file://` or `http(s)://` URLs. The location of eval frames is the location of
+ * the code invoking `eval`.
+ *
+ * @param {string}   line - A stack trace line.
+ *
+ * @returns {StackFrame|undefined} The stack frame or undefined if the line is not a stack frame.
+ */
+export function parseStackFrame(line)
+{
+   if (typeof line !== 'string') { throw new TypeError(`'line' is not a 'string'.`); }
+
+   const text = line.trim();
+
+   if (text.startsWith('at ')) { return s_PARSE_V8(text.slice(3).trim()); }
+
+   const index = text.indexOf('@');
+
+   return index >= 0 ? s_PARSE_GECKO_JSC(text.slice(0, index), text.slice(index + 1)) : void 0;
+}
+
+/**
+ * Parses a V8 stack frame.
+ *
+ * @param {string}   text - The stack frame text following `at `.
+ *
+ * @returns {StackFrame} The stack frame.
+ */
+const s_PARSE_V8 = (text) =>
+{
+   let isAsync = false;
+
+   if (text.startsWith('async '))
+   {
+      isAsync = true;
+      text = text.slice(6);
+   }
+
+   let functionName = '';
+   let location = text;
+
+   // The location is enclosed in the last balanced parentheses when the frame has a function name.
+   if (text.endsWith(')'))
+   {
+      const start = s_FIND_OPENING_PAREN(text);
+
+      if (start > 0)
+      {
+         functionName = text.slice(0, start).trim();
+         location = text.slice(start + 1, -1);
+      }
+   }
+
+   const frame = s_CREATE_FRAME(functionName);
+
+   frame.isAsync = isAsync;
+
+   // Eval frames use the location of the code invoking `eval`; IE `eval at fn (/path/file.js:1:1), <anonymous>:1:1`.
+   if (location.startsWith('eval at '))
+   {
+      frame.isEval = true;
+
+      const originEnd = location.lastIndexOf('), ');
+      const origin = originEnd >= 0 ? location.slice(8, originEnd + 1) : location.slice(8);
+      const originStart = origin.endsWith(')') ? s_FIND_OPENING_PAREN(origin) : -1;
+
+      location = originStart >= 0 ? origin.slice(originStart + 1, -1) : origin;
+
+      // Nested eval origins.
+      while (location.startsWith('eval at '))
+      {
+         const nested = location.slice(8);
+         const nestedStart = nested.endsWith(')') ? s_FIND_OPENING_PAREN(nested) : -1;
+
+         location = nestedStart >= 0 ? nested.slice(nestedStart + 1, -1) : nested;
+      }
+   }
+
+   if (location === 'native')
+   {
+      frame.isNative = true;
+      return frame;
+   }
+
+   // `Promise.all (index 0)` frames of async functions.
+   if ((/^index \d+$/).test(location))
+   {
+      frame.isAsync = true;
+      return frame;
+   }
+
+   return s_SET_LOCATION(frame, location);
+};
+
+/**
+ * Parses a SpiderMonkey or JavaScriptCore stack frame.
+ *
+ * @param {string}   functionName - The text preceding `@`.
+ *
+ * @param {string}   location - The text following `@`.
+ *
+ * @returns {StackFrame|undefined} The stack frame or undefined if the location is invalid.
+ */
+const s_PARSE_GECKO_JSC = (functionName, location) =>
+{
+   let isAsync = false;
+
+   // SpiderMonkey prefixes async frames with the async cause; IE `async*fn` or `promise callback*fn`.
+   const asterisk = functionName.indexOf('*');
+
+   if (asterisk >= 0)
+   {
+      isAsync = true;
+      functionName = functionName.slice(asterisk + 1);
+   }
+
+   const frame = s_CREATE_FRAME(functionName);
+
+   frame.isAsync = isAsync;
+
+   if (location === '[native code]')
+   {
+      frame.isNative = true;
+      return frame;
+   }
+
+   if (functionName === 'eval code' || functionName === 'eval') { frame.isEval = true; }
+
+   // SpiderMonkey eval frames; IE `http://host/file.js line 2 > eval:1:5` use the location invoking eval.
+   const evalMatch = (/^(.*?) line (\d+) > (?:eval|Function)/).exec(location);
+
+   if (evalMatch !== null)
+   {
+      frame.isEval = true;
+      frame.file = evalMatch[1];
+      frame.line = parseInt(evalMatch[2]);
+
+      return frame;
+   }
+
+   // JavaScriptCore frames without location; IE `eval code@`.
+   if (location === '') { return functionName !== '' ? frame : void 0; }
+
+   // Other text containing `@` such as an error message is not a stack frame.
+   if (!(/:\d+(:\d+)?$/).test(location)) { return void 0; }
+
+   return s_SET_LOCATION(frame, location);
+};
+
+/**
+ * Creates a stack frame without location.
+ *
+ * @param {string}   functionName - The function name.
+ *
+ * @returns {StackFrame} The stack frame.
+ */
+const s_CREATE_FRAME = (functionName) =>
+{
+   return {
+      'function': functionName !== '' ? functionName : void 0,
+      'file': void 0,
+      'line': void 0,
+      'column': void 0,
+      'isNative': false,
+      'isEval': false,
+      'isAsync': false
+   };
+};
+
+/**
+ * Returns the index of the opening parenthesis balancing the closing parenthesis at the end of the text.
+ *
+ * @param {string}   text - Text ending with `)`.
+ *
+ * @returns {number} The index of the opening parenthesis or -1 if not balanced.
+ */
+const s_FIND_OPENING_PAREN = (text) =>
+{
+   let depth = 0;
+
+   for (let cntr = text.length - 1; cntr >= 0; cntr--)
+   {
+      if (text[cntr] === ')') { depth++; }
+      else if (text[cntr] === '(' && --depth === 0) { return cntr; }
+   }
+
+   return -1;
+};
+
+/**
+ * Sets the file, line and column of a stack frame from a location; IE `/path/file.js:10:5`.
+ *
+ * @param {StackFrame}  frame - The stack frame.
+ *
+ * @param {string}      location - The location.
+ *
+ * @returns {StackFrame} The stack frame.
+ */
+const s_SET_LOCATION = (frame, location) =>
+{
+   const match = (/^(.*?):(\d+)(?::(\d+))?$/).exec(location);
+
+   if (match === null)
+   {
+      // Locations without position; IE `<anonymous>`.
+      frame.file = location !== '' ? location : void 0;
+      return frame;
+   }
+
+   frame.file = match[1];
+   frame.line = parseInt(match[2]);
+   frame.column = typeof match[3] === 'string' ? parseInt(match[3]) : void 0;
+
+   return frame;
+};
@@ -0,0 +1,99 @@
+/* global performance */
+
+/**
+ * The supported time stamp formats:
+ * - `iso`: UTC ISO-8601; IE `2017-03-05T18:04:09.051Z`.
+ * - `local`: Local time with UTC offset; IE `2017-03-05T19:04:09.051+01:00`.
+ * - `epoch`: Milliseconds since the Unix epoch; IE `1488737049051`.
+ * - `elapsed`: High resolution milliseconds elapsed since the logger was created; IE `1520.043ms`.
+ * - `delta`: High resolution milliseconds elapsed since the previous log message; IE `+12.507ms`.
+ *
+ * @type {string[]}
+ */
+export const TIME_FORMATS = ['iso', 'local', 'epoch', 'elapsed', 'delta'];
+
+/**
+ * Returns a high resolution time in milliseconds from an arbitrary origin. `process.hrtime` is used on Node,
+ * `performance.now` in the browser and `Date.now` otherwise.
+ *
+ * @returns {number} Current time in milliseconds.
+ */
+export function hrtime()
+{
+   if (typeof process === 'object' && process !== null && typeof process.hrtime === 'function')
+   {
+      const time = process.hrtime();
+
+      return (time[0] * 1e3) + (time[1] / 1e6);
+   }
+
+   if (typeof performance === 'object' && performance !== null && typeof performance.now === 'function')
+   {
+      return performance.now();
+   }
+
+   return Date.now();
+}
+
+/**
+ * Formats a time stamp.
+ *
+ * @param {string}   format - The time stamp format; see {@link TIME_FORMATS}.
+ *
+ * @param {Date}     date - The time of the log message.
+ *
+ * @param {number}   elapsed - High resolution milliseconds since the logger was created.
+ *
+ * @param {number}   delta - High resolution milliseconds since the previous log message.
+ *
+ * @returns {string} The formatted time stamp.
+ */
+export function formatTime(format, date, elapsed, delta)
+{
+   switch (format)
+   {
+      case 'iso':
+         return date.toISOString();
+
+      case 'local':
+      {
+         const offset = -date.getTimezoneOffset();
+         const absOffset = Math.abs(offset);
+
+         return `${date.getFullYear()}-${s_PAD(date.getMonth() + 1)}-${s_PAD(date.getDate())}T`
+          + `${s_PAD(date.getHours())}:${s_PAD(date.getMinutes())}:${s_PAD(date.getSeconds())}.`
+          + `${s_PAD(date.getMilliseconds(), 3)}${offset >= 0 ? '+' : '-'}${s_PAD(Math.floor(absOffset / 60))}:`
+          + `${s_PAD(absOffset % 60)}`;
+      }
+
+      case 'epoch':
+         return String(date.getTime());
+
+      case 'elapsed':
+         return `${elapsed.toFixed(3)}ms`;
+
+      case 'delta':
+         return `+${delta.toFixed(3)}ms`;
+
+      default:
+         throw new TypeError(`'format' is not a valid time format: ${format}`);
+   }
+}
+
+/**
+ * Pads a number with leading zeros.
+ *
+ * @param {number}   value - The number to pad.
+ *
+ * @param {number}   [length=2] - The minimum length.
+ *
+ * @returns {string} The padded number.
+ */
+const s_PAD = (value, length = 2) =>
+{
+   let result = String(value);
+
+   while (result.length < length) { result = `0${result}`; }
+
+   return result;
+};
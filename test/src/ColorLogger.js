@@ -1,10 +1,14 @@
 import { assert } from 'chai';
 
-import logger     from '../../src/ColorLogger.js';
+import logger, { ColorLogger, onPluginLoad, onPluginUnload } from '../../src/ColorLogger.js';
+import ConsoleTransport            from '../../src/transports/ConsoleTransport.js';
 
 // TODO: Add more tests!
 describe('ColorLogger:', () =>
 {
+   // Color depth is detected from the TTY state of stdout, so force 16 colors for tests checking ANSI output.
+   before(() => logger.setOptions({ colorDepth: '16' }));
+
    // let oldConsole;
 
    // beforeEach(() => { oldConsole = console.log; });
@@ -37,4 +41,1219 @@ describe('ColorLogger:', () =>
       it('trace:', () => assert.isTrue(logger.isValidLogLevel('trace')));
       it('all:', () => assert.isTrue(logger.isValidLogLevel('all')));
    });
+
+   describe('transports:', () =>
+   {
+      it('default console transport:', () => assert.isObject(logger.getTransport('console')));
+
+      it('receives record and message:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+         const records = [];
+
+         assert.isTrue(testLogger.addTransport(
+          { name: 'memory', log: (record, message) => records.push({ record, message }) }));
+
+         const result = testLogger.info('A message', 2);
+
+         assert.lengthOf(records, 1);
+         assert.strictEqual(records[0].message, result);
+         assert.strictEqual(records[0].record.level, 'info');
+         assert.strictEqual(records[0].record.message, 'A message\n2');
+         assert.deepEqual(records[0].record.args, ['A message', 2]);
+         assert.instanceOf(records[0].record.time, Date);
+         assert.isString(records[0].record.info);
+      });
+
+      it('not invoked when level disabled:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+         let count = 0;
+
+         testLogger.addTransport({ name: 'memory', log: () => count++ });
+         testLogger.debug('Not logged');
+
+         assert.strictEqual(count, 0);
+      });
+
+      it('remove invokes close:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+         let closed = false;
+
+         testLogger.addTransport({ name: 'memory', log: () => {}, close: () => { closed = true; } });
+
+         assert.isTrue(testLogger.removeTransport('memory'));
+         assert.isTrue(closed);
+         assert.isUndefined(testLogger.getTransport('memory'));
+         assert.isFalse(testLogger.removeTransport('memory'));
+      });
+
+      it('invalid transport:', () =>
+      {
+         assert.throws(() => logger.addTransport({ name: 'bad' }), TypeError);
+         assert.throws(() => logger.addTransport(null), TypeError);
+      });
+   });
+
+   describe('json:', () =>
+   {
+      it('formats NDJSON:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, json: true });
+
+         const result = testLogger.info('A message', 2, { a: { b: [1, 2] } });
+
+         assert.notInclude(result, '\n');
+
+         const data = JSON.parse(result);
+
+         assert.strictEqual(data.level, 'info');
+         assert.strictEqual(data.levelValue, 4);
+         assert.strictEqual(data.message, 'A message 2');
+         assert.deepEqual(data.args, [{ a: { b: [1, 2] } }]);
+         assert.strictEqual(new Date(data.time).toISOString(), data.time);
+         assert.isString(data.location);
+      });
+
+      it('formats functions and symbols as on the console:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, json: true });
+
+         const handler = () => 'source';
+
+         const data = JSON.parse(testLogger.info('Values', handler, () => 1, Symbol('key')));
+
+         assert.strictEqual(data.message, 'Values [Function: handler] [Function (anonymous)] Symbol(key)');
+
+         if (typeof global.BigInt === 'function')
+         {
+            assert.strictEqual(JSON.parse(testLogger.info(global.BigInt(10))).message, '10n');
+         }
+      });
+
+      it('serializes errors:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, json: true });
+
+         const data = JSON.parse(testLogger.error('Failed', new TypeError('Bad type'),
+          { nested: new Error('Nested') }));
+
+         assert.strictEqual(data.error.name, 'TypeError');
+         assert.strictEqual(data.error.message, 'Bad type');
+         assert.include(data.error.stack, 'TypeError: Bad type');
+         assert.deepEqual(Object.keys(data.args[0]), ['nested']);
+         assert.strictEqual(data.args[0].nested.message, 'Nested');
+
+         // Only the first Error is serialized as `error`; others are kept in `args`.
+         const second = JSON.parse(testLogger.error(new Error('First'), new Error('Second')));
+
+         assert.strictEqual(second.error.message, 'First');
+         assert.lengthOf(second.args, 1);
+         assert.strictEqual(second.args[0].message, 'Second');
+      });
+
+      it('per transport:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+         const oldLog = console.log;
+         let output;
+
+         testLogger.addTransport(new ConsoleTransport({ name: 'json', json: true }));
+
+         console.log = (value) => { output = value; };
+
+         try { testLogger.warn('A warning!'); }
+         finally { console.log = oldLog; }
+
+         assert.strictEqual(JSON.parse(output).level, 'warn');
+      });
+   });
+
+   describe('child loggers:', () =>
+   {
+      it('namespace tag and bindings:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+         const records = [];
+
+         testLogger.addTransport({ name: 'memory', log: (record) => records.push(record) });
+
+         const child = testLogger.child({ name: 'db', requestId: 42 }).child({ name: 'pool', conn: 1 });
+
+         assert.instanceOf(child, ColorLogger);
+         assert.strictEqual(child.getNamespace(), 'db:pool');
+         assert.include(child.info('Connected'), ' [db:pool] Connected');
+         assert.strictEqual(records[0].namespace, 'db:pool');
+         assert.deepEqual(records[0].bindings, { requestId: 42, conn: 1 });
+      });
+
+      it('bindings merged into JSON:', () =>
+      {
+         const child = new ColorLogger({ consoleEnabled: false, json: true }).child({ name: 'db', requestId: 42 });
+
+         const data = JSON.parse(child.info('Connected'));
+
+         assert.strictEqual(data.namespace, 'db');
+         assert.strictEqual(data.requestId, 42);
+         assert.strictEqual(data.message, 'Connected');
+      });
+
+      it('inherits parent level until overridden:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+         const child = testLogger.child({ name: 'db' });
+
+         assert.isUndefined(child.debug('Not logged'));
+
+         testLogger.setLogLevel('debug');
+
+         assert.isString(child.debug('Logged'));
+
+         child.setLogLevel('error');
+
+         assert.isUndefined(child.debug('Not logged'));
+         assert.isString(testLogger.debug('Logged'));
+      });
+
+      it('inherits parent options until overridden:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+         const child = testLogger.child({ name: 'db' });
+
+         testLogger.setOptions({ showInfo: false });
+
+         assert.isFalse(child.getOptions().showInfo);
+         assert.isFalse(child.getOptions().consoleEnabled);
+
+         child.setOptions({ showInfo: true });
+
+         assert.isTrue(child.getOptions().showInfo);
+         assert.isFalse(testLogger.getOptions().showInfo);
+      });
+
+      it('shares trace filters:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+         const child = testLogger.child({ name: 'db' });
+
+         testLogger.addFilter({ type: 'exclusive', name: 'test', filterString: 'test' });
+
+         assert.isObject(child.getFilterData('exclusive', 'test'));
+      });
+   });
+
+   describe('namespace levels:', () =>
+   {
+      it('applied to child loggers:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+
+         assert.isTrue(testLogger.setNamespaceLevels('db:*=debug,http=warn,*=info'));
+
+         const dbLogger = testLogger.child({ name: 'db' }).child({ name: 'pool' });
+         const httpLogger = testLogger.child({ name: 'http' });
+
+         assert.isString(dbLogger.debug('Logged'));
+         assert.isUndefined(httpLogger.info('Not logged'));
+         assert.isUndefined(testLogger.debug('Not logged'));
+         assert.isTrue(testLogger.isLevelEnabled('debug', 'db:pool'));
+         assert.isFalse(testLogger.isLevelEnabled('info', 'http'));
+
+         // A level set on the child takes precedence.
+         httpLogger.setLogLevel('info');
+
+         assert.isString(httpLogger.info('Logged'));
+      });
+
+      it('changeable at runtime:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+         const dbLogger = testLogger.child({ name: 'db' });
+
+         assert.isUndefined(dbLogger.debug('Not logged'));
+
+         testLogger.setNamespaceLevels('db=debug');
+
+         assert.strictEqual(testLogger.getNamespaceLevels(), 'db=debug');
+         assert.isString(dbLogger.debug('Logged'));
+
+         testLogger.setNamespaceLevels('');
+
+         assert.isUndefined(dbLogger.debug('Not logged'));
+      });
+
+      it('invalid levels rejected:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+         const oldLog = console.log;
+
+         console.log = () => {};
+
+         try
+         {
+            assert.isFalse(testLogger.setNamespaceLevels('db=random'));
+            assert.isFalse(testLogger.setNamespaceLevels('db'));
+         }
+         finally { console.log = oldLog; }
+
+         assert.strictEqual(testLogger.getNamespaceLevels(), '');
+      });
+   });
+
+   describe('custom log levels:', () =>
+   {
+      it('generates log methods:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: '16' });
+
+         assert.isTrue(testLogger.addLogLevel(
+          { name: 'audit', severity: 4.5, color: 'cyan', label: 'A', css: 'color: teal' }));
+
+         assert.isTrue(testLogger.isValidLogLevel('audit'));
+         assert.include(testLogger.getLogLevels(), 'audit');
+         assert(testLogger.audit('An audit').startsWith('\u001b[36m[A]'));
+         assert.strictEqual(testLogger.auditRaw('An audit'), 'An audit\u001b[0m');
+         assert.isString(testLogger.child({ name: 'db' }).auditCompact({ a: 1 }));
+
+         assert.isTrue(testLogger.setLogLevel('audit'));
+         assert.isUndefined(testLogger.info('Not logged'));
+         assert.isString(testLogger.auditNoColor('Logged'));
+         assert.isString(testLogger.warn('Logged'));
+      });
+
+      it('not added to other loggers:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+
+         testLogger.addLogLevel({ name: 'audit', severity: 4.5 });
+
+         assert.isFalse(new ColorLogger().isValidLogLevel('audit'));
+      });
+
+      it('invalid log levels:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+
+         assert.throws(() => testLogger.addLogLevel({ name: 'bad name', severity: 4 }), TypeError);
+         assert.throws(() => testLogger.addLogLevel({ name: 'audit', severity: 8 }), TypeError);
+         assert.throws(() => testLogger.addLogLevel({ name: 'audit', severity: 4, color: 'unknown' }), TypeError);
+         assert.isFalse(testLogger.addLogLevel({ name: 'info', severity: 4 }));
+         assert.isFalse(testLogger.addLogLevel({ name: 'child', severity: 4 }));
+      });
+
+      it('adds event bindings:', () =>
+      {
+         const events = new Map();
+         const eventbus = { on: (name, callback, context) => events.set(name, { callback, context }) };
+
+         onPluginLoad({ eventbus });
+
+         assert.isTrue(events.has('log:warn:time'));
+         assert.strictEqual(events.get('log:level:add').callback, logger.addLogLevel);
+         assert.strictEqual(events.get('log:level:add').context, logger);
+
+         // Levels added to other loggers than the default logger are not bound.
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: '16' });
+
+         testLogger.addLogLevel({ name: 'notice', severity: 4.2 });
+
+         assert.isFalse(events.has('log:notice'));
+         assert.isFalse(logger.isValidLogLevel('notice'));
+         assert.strictEqual(testLogger.noticeRaw('A notice'), 'A notice\u001b[0m');
+
+         onPluginUnload();
+      });
+   });
+
+   describe('color depth:', () =>
+   {
+      it('none omits ANSI codes:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false });
+
+         assert.strictEqual(testLogger.warn('A warning!'), '[W] A warning!');
+         assert.strictEqual(testLogger.getColorDepth(), 'none');
+      });
+
+      it('auto detects:', () =>
+      {
+         const testLogger = new ColorLogger({ colorDepth: '256' });
+
+         assert.strictEqual(testLogger.getColorDepth(), '256');
+
+         testLogger.setOptions({ colorDepth: 'auto' });
+
+         assert.strictEqual(testLogger.getOptions().colorDepth, 'auto');
+         assert.include(['none', '16', '256', 'truecolor'], testLogger.getColorDepth());
+      });
+
+      it('invalid color depth:', () =>
+      {
+         assert.throws(() => new ColorLogger({ colorDepth: '8' }), TypeError);
+      });
+   });
+
+   describe('themes:', () =>
+   {
+      it('built-in theme:', () =>
+      {
+         const testLogger = new ColorLogger(
+          { consoleEnabled: false, colorDepth: '256', showInfo: false, theme: 'dark' });
+
+         assert.strictEqual(testLogger.getOptions().theme, 'dark');
+         assert(testLogger.warn('A warning!').startsWith('\u001b[38;5;221m[W] A warning!'));
+
+         testLogger.setOptions({ colorDepth: '16' });
+
+         assert(testLogger.warn('A warning!').startsWith('\u001b[93m[W]'));
+      });
+
+      it('custom theme with element styles:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'truecolor', showDate: true });
+
+         assert.isTrue(testLogger.setTheme(
+         {
+            levels: { info: { fg: '#00ff00', bold: true } },
+            elements: { tag: { bg: 'blue' }, time: { fg: 240 }, location: { fg: 'gray' } }
+         }));
+
+         const result = testLogger.info('A message');
+
+         assert(result.startsWith(
+          '\u001b[1;38;2;0;255;0m\u001b[44m[I]\u001b[0m\u001b[1;38;2;0;255;0m \u001b[38;5;240m['));
+         assert.include(result, '\u001b[90m[');
+         assert.strictEqual(testLogger.getOptions().theme, 'custom');
+
+         // Log levels not defined by the theme use the log level color.
+         assert(testLogger.warn('A warning!').startsWith('\u001b[33m\u001b[44m[W]'));
+      });
+
+      it('no color variants are not styled:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: '256', theme: 'dark' });
+
+         assert.notInclude(testLogger.infoNoColor('A message').slice(0, -4), '\u001b');
+      });
+
+      it('invalid themes:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+         const oldLog = console.log;
+
+         console.log = () => {};
+
+         try { assert.isFalse(testLogger.setTheme('unknown')); }
+         finally { console.log = oldLog; }
+
+         assert.throws(() => testLogger.setTheme({ levels: { info: { fg: 300 } } }), /theme.levels.info/);
+         assert.throws(() => testLogger.setTheme({ elements: { unknown: {} } }), TypeError);
+      });
+   });
+
+   describe('format:', () =>
+   {
+      it('template:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: '16', showInfo: false,
+          format: '{namespace} {level} {host} {message}' });
+
+         assert.strictEqual(testLogger.warn('A warning!'), '\u001b[33m[W] A warning!\u001b[0m');
+         assert.strictEqual(testLogger.child({ name: 'db', host: 'h1' }).warn('A warning!'),
+          '\u001b[33m[db] [W] h1 A warning!\u001b[0m');
+      });
+
+      it('template with variants:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: '16', format: '{message} {time}' });
+
+         assert.strictEqual(testLogger.warnCompact({ a: 1 }), '\u001b[33m{"a":1}\u001b[0m');
+         assert.strictEqual(testLogger.warnNoColor('A warning!'), 'A warning!\u001b[0m');
+         assert.strictEqual(testLogger.warnRaw('A warning!'), 'A warning!\u001b[0m');
+         assert.match(testLogger.warnTime('A warning!'), /^\u001b\[33mA warning! \[\d{4}-.*\]\u001b\[0m$/);
+      });
+
+      it('formatter function:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false });
+
+         testLogger.setOptions({ format: (record, tokens) => `${record.level}|${tokens.level}|${tokens.message}` });
+
+         assert.strictEqual(testLogger.info('A message', 1), 'info|[I]|A message\n1');
+
+         testLogger.setOptions({ format: null });
+
+         assert.strictEqual(testLogger.info('A message'), '[I] A message');
+      });
+
+      it('invalid format:', () =>
+      {
+         assert.throws(() => new ColorLogger({ format: 1 }), TypeError);
+      });
+   });
+
+   describe('time format:', () =>
+   {
+      it('iso:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false });
+
+         const result = testLogger.infoTime('A message');
+         const match = (/^\[I] \[(.*)] A message$/).exec(result);
+
+         assert.isNotNull(match);
+         assert.match(match[1], /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z$/);
+         assert.isAtMost(Math.abs(new Date(match[1]).getTime() - Date.now()), 1000);
+      });
+
+      it('delta / elapsed:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showDate: true,
+          showInfo: false, timeFormat: 'delta' });
+
+         assert.match(testLogger.info('A message'), /^\[I] \[\+\d+\.\d{3}ms] A message$/);
+
+         testLogger.setOptions({ timeFormat: 'elapsed' });
+
+         assert.match(testLogger.child({ name: 'db' }).info('A message'), /^\[I] \[\d+\.\d{3}ms] \[db] A message$/);
+      });
+
+      it('log record and JSON:', () =>
+      {
+         const records = [];
+         const testLogger = new ColorLogger({ consoleEnabled: false, json: true, timeFormat: 'epoch' });
+
+         testLogger.addTransport({ name: 'memory', log: (record) => records.push(record) });
+
+         const data = JSON.parse(testLogger.info('A message'));
+
+         assert.strictEqual(records[0].timestamp, String(records[0].time.getTime()));
+         assert.strictEqual(data.time, records[0].time.toISOString());
+         assert.strictEqual(data.timestamp, records[0].timestamp);
+      });
+
+      it('invalid time format:', () =>
+      {
+         assert.throws(() => new ColorLogger({ timeFormat: 'utc' }), TypeError);
+      });
+   });
+
+   describe('inspect:', () =>
+   {
+      it('circular objects and options:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false });
+
+         const value = { list: [1, 2, 3], set: new Set(['a']) };
+
+         value.self = value;
+
+         assert.strictEqual(testLogger.infoCompact(value), '[I] {"list":[1,2,3],"set":Set(1) {"a"},"self":[Circular]}');
+         assert.strictEqual(testLogger.info(Symbol('a')), '[I] Symbol(a)');
+
+         testLogger.setOptions({ maxArrayLength: 1 });
+
+         assert.strictEqual(testLogger.child().infoCompact([1, 2]), '[I] [1,... 1 more item]');
+
+         assert.throws(() => testLogger.setOptions({ maxDepth: -1 }), TypeError);
+      });
+
+      it('circular objects as JSON:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, json: true });
+
+         const value = { name: 'root', list: [1] };
+
+         value.self = value;
+
+         const data = JSON.parse(testLogger.info('Message', value));
+
+         assert.deepEqual(data.args, [{ name: 'root', list: [1], self: '[Circular]' }]);
+      });
+   });
+
+   describe('highlight:', () =>
+   {
+      it('colors object values:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: '16', showInfo: false });
+
+         assert.strictEqual(testLogger.infoCompact({ a: 1 }), '\u001b[32m[I] {"a":1}\u001b[0m');
+
+         testLogger.setOptions({ highlight: true });
+
+         assert.strictEqual(testLogger.infoCompact({ a: 1, b: 's', c: false, d: null }),
+          '\u001b[32m[I] {\u001b[36m"a"\u001b[0m\u001b[32m:\u001b[33m1\u001b[0m\u001b[32m,'
+          + '\u001b[36m"b"\u001b[0m\u001b[32m:\u001b[32m"s"\u001b[0m\u001b[32m,'
+          + '\u001b[36m"c"\u001b[0m\u001b[32m:\u001b[35mfalse\u001b[0m\u001b[32m,'
+          + '\u001b[36m"d"\u001b[0m\u001b[32m:\u001b[90mnull\u001b[0m\u001b[32m}\u001b[0m');
+      });
+
+      it('theme colors and plain variants:', () =>
+      {
+         const records = [];
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: '256', showInfo: false,
+          highlight: true, theme: 'dark' });
+
+         testLogger.addTransport({ name: 'memory', log: (record) => records.push(record) });
+
+         assert.include(testLogger.infoCompact({ a: 1 }), '\u001b[38;5;117m"a"');
+         assert.strictEqual(records[0].message, '{"a":1}');
+
+         assert.strictEqual(testLogger.infoNoColor({ a: 1 }), ' {\n   "a": 1\n}\u001b[0m');
+         assert.strictEqual(testLogger.infoRaw({ a: 1 }), '{\n   "a": 1\n}\u001b[0m');
+
+         testLogger.setOptions({ colorDepth: 'none' });
+
+         assert.strictEqual(testLogger.infoCompact({ a: 1 }), '[I] {"a":1}');
+      });
+   });
+
+   describe('redact:', () =>
+   {
+      it('redacts messages, objects, bindings and log records:', () =>
+      {
+         const records = [];
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false,
+          redact: { paths: ['headers.authorization', 'token'], patterns: [/pw=\w+/], censor: '***' } });
+
+         testLogger.addTransport({ name: 'memory', log: (record) => records.push(record) });
+
+         const request = { headers: { authorization: 'Bearer abc' } };
+
+         assert.strictEqual(testLogger.infoCompact('Login pw=1234', request),
+          '[I] Login ***\n{"headers":{"authorization":"***"}}');
+         assert.deepEqual(records[0].args, ['Login ***', { headers: { authorization: '***' } }]);
+         assert.strictEqual(request.headers.authorization, 'Bearer abc');
+
+         const child = testLogger.child({ name: 'api', token: 'abc' });
+
+         child.setOptions({ format: '{namespace} {token} {message}' });
+
+         assert.strictEqual(child.info('A message'), '[api] *** A message');
+         assert.deepEqual(records[1].bindings, { token: '***' });
+
+         assert.deepEqual(testLogger.getOptions().redact,
+          { paths: ['headers.authorization', 'token'], patterns: ['/pw=\\w+/g'], censor: '***' });
+      });
+
+      it('redacts JSON output:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, json: true, redact: { paths: ['*.password'] } });
+
+         const data = JSON.parse(testLogger.info('Created', { user: { name: 'Jane', password: '1234' } }));
+
+         assert.deepEqual(data.args, [{ user: { name: 'Jane', password: '[REDACTED]' } }]);
+      });
+
+      it('disable and invalid options:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false,
+          redact: { patterns: ['secret'] } });
+
+         assert.strictEqual(testLogger.info('secret'), '[I] [REDACTED]');
+
+         testLogger.setOptions({ redact: null });
+
+         assert.strictEqual(testLogger.info('secret'), '[I] secret');
+         assert.isNull(testLogger.getOptions().redact);
+
+         assert.throws(() => testLogger.setOptions({ redact: 'secret' }), TypeError);
+      });
+   });
+
+   describe('errors:', () =>
+   {
+      // Removes stack trace lines.
+      const noTrace = (text) => text.split('\n').filter((line) => !(/^\s*at /).test(line)).join('\n');
+
+      it('cause chain and properties:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false });
+
+         const error = new Error('Read failed');
+
+         error.code = 'ENOENT';
+         error.errno = -2;
+         error.cause = new TypeError('Bad path');
+         error.cause.cause = 'root cause';
+
+         assert.strictEqual(noTrace(testLogger.error(error)),
+          '[E] Read failed\n{"code":"ENOENT","errno":-2}\nCaused by: TypeError: Bad path\nCaused by: "root cause"');
+
+         error.cause.cause = error;
+
+         assert.strictEqual(noTrace(testLogger.error(error)),
+          '[E] Read failed\n{"code":"ENOENT","errno":-2}\nCaused by: TypeError: Bad path\nCaused by: [Circular]');
+      });
+
+      it('aggregate errors:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false });
+
+         const error = new Error('All failed');
+
+         error.errors = [new Error('First'), 'Second'];
+         error.errors[0].cause = new Error('Inner');
+
+         assert.strictEqual(noTrace(testLogger.error(error)),
+          '[E] All failed\n   [0] Error: First\n   Caused by: Error: Inner\n   [1] "Second"');
+      });
+
+      it('structured JSON:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, json: true });
+
+         const error = new Error('Read failed');
+
+         error.code = 'ENOENT';
+         error.cause = new TypeError('Bad path');
+         error.errors = [new Error('First')];
+         error.cause.cause = error;
+
+         const data = JSON.parse(testLogger.error(error));
+
+         assert.strictEqual(data.error.code, 'ENOENT');
+         assert.strictEqual(data.error.cause.name, 'TypeError');
+         assert.strictEqual(data.error.cause.message, 'Bad path');
+         assert.strictEqual(data.error.cause.cause, '[Circular]');
+         assert.strictEqual(data.error.errors[0].message, 'First');
+         assert.include(data.error.errors[0].stack, 'Error: First');
+      });
+   });
+
+   describe('getTraceInfo:', () =>
+   {
+      it('frames:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+
+         const error = new Error('Test');
+
+         error.stack = 'Error: Test\n    at run (/my project/src/app.js:10:5)\n    at Array.forEach (native)\n'
+          + '    at /my project/src/main.js:2:1';
+
+         const result = testLogger.getTraceInfo(error);
+
+         assert.strictEqual(result.info, 'app.js:10:5');
+         assert.deepEqual(result.trace, error.stack.split('\n').slice(1));
+         assert.lengthOf(result.frames, 3);
+         assert.strictEqual(result.frames[0]['function'], 'run');
+         assert.strictEqual(result.frames[0].file, '/my project/src/app.js');
+         assert.isTrue(result.frames[1].isNative);
+
+         const location = testLogger.getTraceInfo(error, false);
+
+         assert.lengthOf(location.trace, 0);
+         assert.lengthOf(location.frames, 1);
+         assert.strictEqual(location.frames[0].line, 10);
+      });
+   });
+
+   describe('config:', () =>
+   {
+      it('setConfig and getConfig:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+
+         testLogger.setConfig(
+         {
+            logLevel: 'warn',
+            namespaceLevels: 'db:*=debug',
+            options: { showDate: true },
+            filters: [{ type: 'exclusive', name: 'typhonjs-color-logger', filterString: 'color-logger', priority: 1 }]
+         });
+
+         const config = testLogger.getConfig();
+
+         assert.strictEqual(config.logLevel, 'warn');
+         assert.strictEqual(config.namespaceLevels, 'db:*=debug');
+         assert.isTrue(config.options.showDate);
+         assert.lengthOf(config.filters, 2);
+         assert.strictEqual(config.filters[1].filterString, 'color-logger');
+         assert.isUndefined(config.filters[1].hits);
+      });
+
+      it('invalid configs name the key:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+
+         assert.throws(() => testLogger.setConfig({ logLevel: 'loud' }), TypeError,
+          `'config.logLevel' is not a valid log level: loud`);
+         assert.throws(() => testLogger.setConfig({ namespaceLevels: 'db=loud' }), TypeError,
+          `'config.namespaceLevels' has an unknown log level: loud`);
+         assert.throws(() => testLogger.setConfig({ options: { json: 1 } }), TypeError,
+          `'config.options.json' is not a 'boolean'.`);
+
+         assert.strictEqual(testLogger.getConfig().logLevel, 'info');
+      });
+
+      it('environment variables:', () =>
+      {
+         const env = process.env;
+
+         process.env = { LOG_LEVEL: 'error', LOG_SHOW_DATE: 'true' };
+
+         try
+         {
+            // Constructor options are not overridden implicitly.
+            const testLogger = new ColorLogger({ consoleEnabled: false, showDate: false });
+
+            assert.strictEqual(testLogger.getConfig().logLevel, 'info');
+            assert.isFalse(testLogger.getOptions().showDate);
+
+            testLogger.loadEnv();
+
+            assert.strictEqual(testLogger.getConfig().logLevel, 'error');
+            assert.isTrue(testLogger.getOptions().showDate);
+         }
+         finally
+         {
+            process.env = env;
+         }
+
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+
+         testLogger.loadEnv({ LOG_JSON: 'true' });
+
+         assert.isTrue(testLogger.getOptions().json);
+         assert.throws(() => testLogger.loadEnv({ LOG_SHOW_DATE: 'maybe' }), TypeError,
+          `'LOG_SHOW_DATE' is not a 'boolean'.`);
+         assert.throws(() => testLogger.loadEnv(null), TypeError);
+      });
+   });
+
+   describe('trace filters:', () =>
+   {
+      const error = new Error('Test');
+
+      error.stack = 'Error: Test\n    at run (/app/src/app.js:1:1)\n'
+       + '    at handle (/app/node_modules/express/lib/router.js:2:2)\n'
+       + '    at use (/app/node_modules/my-lib/index.js:3:3)';
+
+      it('priority and hits:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+
+         testLogger.removeAllFilters();
+
+         testLogger.addFilter({ type: 'exclusive', name: 'deps', filterString: 'node_modules/**', glob: true });
+
+         assert.lengthOf(testLogger.getTraceInfo(error).trace, 1);
+
+         testLogger.addFilter({ type: 'inclusive', name: 'my-lib', filterString: /MY-LIB/i, priority: 10 });
+         testLogger.addFilter({ type: 'inclusive', name: 'app', filterString: '/app/src/' });
+
+         assert.deepEqual(testLogger.getTraceInfo(error).trace, ['    at run (/app/src/app.js:1:1)',
+          '    at use (/app/node_modules/my-lib/index.js:3:3)']);
+
+         assert.deepEqual(testLogger.getAllFilterData().map((data) => [data.name, data.hits]),
+          [['deps', 3], ['my-lib', 1], ['app', 1]]);
+
+         assert.deepEqual(testLogger.getFilterData('inclusive', 'my-lib'),
+         {
+            enabled: true,
+            filterString: 'MY-LIB',
+            flags: 'i',
+            glob: false,
+            hits: 1,
+            name: 'my-lib',
+            priority: 10,
+            type: 'inclusive'
+         });
+
+         testLogger.resetFilterHits();
+
+         assert.strictEqual(testLogger.getFilterData('exclusive', 'deps').hits, 0);
+      });
+
+      it('round trip and invalid configs:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+
+         testLogger.removeAllFilters();
+         testLogger.addFilter({ type: 'exclusive', name: 'deps', filterString: 'node_modules/**', glob: true });
+         testLogger.addFilter({ type: 'exclusive', name: 'lib', filterString: 'LIB', flags: 'i', priority: 1 });
+
+         const data = testLogger.getAllFilterData();
+
+         testLogger.removeAllFilters();
+         testLogger.addFilters(data);
+
+         assert.deepEqual(testLogger.getAllFilterData(), data);
+
+         assert.throws(() => testLogger.addFilter({ type: 'exclusive', name: 'a', filterString: 1 }), TypeError);
+         assert.throws(() => testLogger.addFilter({ type: 'exclusive', name: 'b', filterString: 'b', flags: 1 }),
+          TypeError);
+         assert.throws(() => testLogger.addFilter({ type: 'exclusive', name: 'c', filterString: 'c', glob: 'yes' }),
+          TypeError);
+         assert.throws(() => testLogger.addFilter({ type: 'exclusive', name: 'd', filterString: 'd', priority: NaN }),
+          TypeError);
+      });
+   });
+
+   describe('location:', () =>
+   {
+      const error = new Error('Test');
+
+      error.stack = `Error: Test\n    at run (${process.cwd()}/src/app.js:10:5)`;
+
+      it('path and function name:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+
+         assert.strictEqual(testLogger.getTraceInfo(error).info, 'app.js:10:5');
+
+         testLogger.setOptions({ locationPath: 'relative' });
+
+         assert.strictEqual(testLogger.getTraceInfo(error).info, 'src/app.js:10:5');
+
+         testLogger.setOptions({ locationPath: 'absolute', locationFunction: true });
+
+         assert.strictEqual(testLogger.getTraceInfo(error).info, `run (${process.cwd()}/src/app.js:10:5)`);
+
+         assert.throws(() => testLogger.setOptions({ locationPath: 'full' }), TypeError);
+      });
+
+      it('hyperlinks:', () =>
+      {
+         const testLogger = new ColorLogger({ colorDepth: '16', consoleEnabled: false, hyperlinks: true });
+
+         // The link target includes the line and column of the location info.
+         const link = new RegExp('\u001b]8;;file:///[^\u001b]+/ColorLogger\\.js:(\\d+):(\\d+)\u001b\\\\'
+          + '.*\\[ColorLogger\\.js:(\\d+):(\\d+)\\].*\u001b]8;;\u001b\\\\');
+
+         const match = link.exec(testLogger.info('Test'));
+
+         assert.isNotNull(match);
+         assert.deepEqual(match.slice(1, 3), match.slice(3, 5));
+         assert.notMatch(testLogger.infoNoColor('Test'), /\u001b]8;;/);
+
+         testLogger.setOptions({ hyperlinks: 'editor://open?file={file}&line={line}&column={column}' });
+
+         assert.match(testLogger.info('Test'),
+          /\u001b]8;;editor:\/\/open\?file=\/.*ColorLogger\.js&line=\d+&column=\d+\u001b\\/);
+
+         testLogger.setOptions({ colorDepth: 'none' });
+
+         assert.notMatch(testLogger.info('Test'), /\u001b]8;;/);
+
+         assert.throws(() => testLogger.setOptions({ hyperlinks: 1 }), TypeError);
+      });
+   });
+
+   describe('trace condensing:', () =>
+   {
+      const error = new Error('Test');
+
+      error.stack = 'Error: Test\n    at handler (/app/src/routes.js:14:11)\n'
+       + '    at Layer.handle (/app/node_modules/express/lib/router/layer.js:95:5)\n'
+       + '    at next (/app/node_modules/express/lib/router/route.js:137:13)\n'
+       + '    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)\n'
+       + '    at main (/app/src/index.js:8:4)';
+
+      it('options:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, traceCollapseModules: true,
+          traceHideInternals: true });
+
+         const result = testLogger.getTraceInfo(error);
+
+         assert.deepEqual(result.trace, ['    at handler (/app/src/routes.js:14:11)', '    … 2 frames in express',
+          '    at main (/app/src/index.js:8:4)']);
+
+         assert.lengthOf(result.frames, 2);
+
+         testLogger.setOptions({ traceMaxFrames: 1 });
+
+         assert.deepEqual(testLogger.getTraceInfo(error).trace, ['    at handler (/app/src/routes.js:14:11)',
+          '    … 3 more frames']);
+
+         assert.throws(() => testLogger.setOptions({ traceMaxFrames: -1 }), TypeError);
+         assert.throws(() => testLogger.setOptions({ traceMaxFrames: 1.5 }), TypeError);
+      });
+
+      it('dim external frames:', () =>
+      {
+         const testLogger = new ColorLogger({ colorDepth: '16', consoleEnabled: false, traceDimExternal: true });
+
+         const output = testLogger.error(error).split('\n');
+
+         assert.strictEqual(output[1], '    at handler (/app/src/routes.js:14:11)');
+         assert.strictEqual(output[2], '\u001b[2m    at Layer.handle '
+          + '(/app/node_modules/express/lib/router/layer.js:95:5)\u001b[0m\u001b[31m');
+         assert.strictEqual(output[4], '\u001b[2m    at process.processTicksAndRejections '
+          + '(node:internal/process/task_queues:95:5)\u001b[0m\u001b[31m');
+
+         assert.notInclude(testLogger.errorNoColor(error), '\u001b[2m');
+      });
+   });
+
+   describe('lazy arguments and location capture:', () =>
+   {
+      it('lazy arguments are evaluated only when the level is enabled:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, lazyArgs: true, showInfo: false,
+          colorDepth: 'none' });
+
+         let calls = 0;
+
+         const thunk = () => { calls++; return 'value'; };
+
+         assert.isUndefined(testLogger.debug('Lazy', thunk));
+         assert.strictEqual(calls, 0);
+
+         assert.strictEqual(testLogger.info('Lazy', thunk), '[I] Lazy\nvalue');
+         assert.strictEqual(calls, 1);
+
+         assert.match(testLogger.info(() => { throw new Error('Failed'); }), /^\[I\] Failed\n {4}at /);
+
+         testLogger.setOptions({ lazyArgs: false });
+
+         assert.strictEqual(testLogger.info('Lazy', thunk), '[I] Lazy\n[Function: thunk]');
+         assert.strictEqual(calls, 1);
+      });
+
+      it('location is captured only for location levels:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', locationLevels: ['error'] });
+
+         assert.strictEqual(testLogger.info('Test'), '[I] Test');
+         assert.match(testLogger.error('Test'), /^\[E\] \[.+:\d+:\d+\] Test$/);
+
+         assert.deepEqual(testLogger.getOptions().locationLevels, ['error']);
+
+         testLogger.setOptions({ locationLevels: null });
+
+         assert.match(testLogger.info('Test'), /^\[I\] \[.+:\d+:\d+\] Test$/);
+
+         assert.throws(() => testLogger.setOptions({ locationLevels: ['loud'] }), TypeError);
+         assert.throws(() => testLogger.setOptions({ locationLevels: 'error' }), TypeError);
+      });
+
+      it('callsite locations are cached:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none' });
+
+         let resolves = 0;
+
+         testLogger.setSourceMapResolver({ resolve: () => { resolves++; return null; } });
+         testLogger.addFilter({ type: 'exclusive', name: 'logger', filterString: '/src/ColorLogger.js' });
+
+         const hitsByCall = [], outputs = [], resolvesByCall = [];
+
+         for (let cntr = 0; cntr < 8; cntr++)
+         {
+            // Changing trace filters clears the cache and location options are part of the cache key.
+            if (cntr === 4) { testLogger.setFilterEnabled('exclusive', 'logger', true); }
+            if (cntr === 6) { testLogger.setOptions({ locationPath: 'absolute' }); }
+
+            outputs.push(testLogger.info('Test'));
+            resolvesByCall.push(resolves);
+            hitsByCall.push(testLogger.getFilterData('exclusive', 'logger').hits);
+         }
+
+         assert.deepEqual(resolvesByCall, [1, 1, 1, 1, 2, 2, 3, 3]);
+
+         // Filter hits are counted for cached lookups.
+         assert.isAbove(hitsByCall[0], 0);
+         assert.deepEqual(hitsByCall, hitsByCall.map((hits, index) => hitsByCall[0] * (index + 1)));
+
+         assert.strictEqual(outputs[3], outputs[0]);
+         assert.notStrictEqual(outputs[6], outputs[5]);
+         assert.match(outputs[6], /^\[I\] \[\//);
+      });
+   });
+
+   describe('duplicate suppression and rate limiting:', () =>
+   {
+      /**
+       * Creates a logger collecting the formatted messages of all log messages.
+       *
+       * @param {ColorLoggerOptions}   options - The logger options.
+       *
+       * @returns {{testLogger: ColorLogger, messages: string[]}} The logger and collected messages.
+       */
+      const createLogger = (options) =>
+      {
+         const testLogger = new ColorLogger(Object.assign({ consoleEnabled: false, colorDepth: 'none',
+          showInfo: false }, options));
+
+         const messages = [];
+
+         testLogger.addTransport({ name: 'memory', log: (record, message) => messages.push(message) });
+
+         return { testLogger, messages };
+      };
+
+      /**
+       * Invokes a function with `Date.now` returning the given time.
+       *
+       * @param {number}   time - The time.
+       *
+       * @param {Function} fn - The function to invoke.
+       */
+      const atTime = (time, fn) =>
+      {
+         const now = Date.now;
+
+         Date.now = () => time;
+
+         try { fn(); }
+         finally { Date.now = now; }
+      };
+
+      it('collapses identical consecutive messages:', () =>
+      {
+         const { testLogger, messages } = createLogger({ dedupe: true });
+
+         assert.strictEqual(testLogger.error('Connection refused'), '[E] Connection refused');
+
+         for (let cntr = 0; cntr < 3; cntr++) { assert.isUndefined(testLogger.error('Connection refused')); }
+
+         testLogger.warn('Connection refused');
+         testLogger.warn('Retrying');
+         testLogger.warn('Retrying');
+         testLogger.flushSync();
+
+         assert.deepEqual(messages, ['[E] Connection refused', '[E] Last message repeated 3 times.',
+          '[W] Connection refused', '[W] Retrying', '[W] Last message repeated 1 time.']);
+
+         assert.deepEqual(testLogger.getSuppressedCounts(), { duplicates: 4, rateLimited: 0 });
+
+         // Child loggers suppress duplicates independently.
+         const child = testLogger.child({ name: 'db' });
+
+         child.warn('Retrying');
+
+         assert.strictEqual(messages[messages.length - 1], '[W] [db] Retrying');
+         assert.deepEqual(child.getSuppressedCounts(), { duplicates: 0, rateLimited: 0 });
+      });
+
+      it('rate limits messages per level:', () =>
+      {
+         const { testLogger, messages } = createLogger({ rateLimit: { limit: 2, interval: 1000 } });
+
+         atTime(0, () =>
+         {
+            for (let cntr = 0; cntr < 5; cntr++) { testLogger.error(`Failure ${cntr}`); }
+
+            testLogger.warn('Warning');
+         });
+
+         atTime(1000, () => testLogger.error('Recovered'));
+
+         assert.deepEqual(messages, ['[E] Failure 0', '[E] Failure 1', '[W] Warning',
+          '[E] Rate limit exceeded; 3 error messages suppressed.', '[E] Recovered']);
+
+         atTime(1500, () =>
+         {
+            testLogger.error('Failure');
+            testLogger.error('Failure');
+         });
+
+         // Pending counts are reported before the rate limit is replaced.
+         testLogger.setOptions({ rateLimit: null });
+
+         assert.strictEqual(messages[messages.length - 1], '[E] Rate limit exceeded; 1 error message suppressed.');
+         assert.deepEqual(testLogger.getSuppressedCounts(), { duplicates: 0, rateLimited: 4 });
+         assert.isNull(testLogger.getOptions().rateLimit);
+      });
+
+      it('rate limits messages per callsite:', () =>
+      {
+         const { testLogger, messages } = createLogger({ rateLimit: { limit: 1, interval: 1000, per: 'callsite' } });
+
+         // Excludes the logger source, so the callsite is located in this file.
+         testLogger.addFilter({ type: 'exclusive', name: 'src', filterString: `${process.cwd()}/src/*.js`,
+          glob: true });
+
+         const logA = () => testLogger.error('A');
+         const logB = () => testLogger.error('B');
+
+         atTime(0, () =>
+         {
+            for (let cntr = 0; cntr < 3; cntr++) { logA(); logB(); }
+         });
+
+         testLogger.flushSync();
+
+         assert.deepEqual(messages.slice(0, 2), ['[E] A', '[E] B']);
+         assert.lengthOf(messages, 4);
+         assert.match(messages[2], /^\[E\] Rate limit exceeded; 2 messages from ColorLogger\.js:\d+:\d+ suppressed\.$/);
+         assert.notStrictEqual(messages[2], messages[3]);
+      });
+
+      it('reports suppressed messages when no further message is logged:', () =>
+      {
+         const { testLogger, messages } = createLogger({ dedupe: true, rateLimit: { limit: 2, interval: 20 } });
+
+         for (let cntr = 0; cntr < 3; cntr++) { testLogger.error(`Failure ${cntr}`); }
+
+         testLogger.warn('Retrying');
+         testLogger.warn('Retrying');
+
+         assert.deepEqual(messages, ['[E] Failure 0', '[E] Failure 1', '[W] Retrying']);
+
+         // Rate limited messages are reported at the end of the interval which also reports the pending duplicates.
+         return new Promise((resolve) => setTimeout(resolve, 50)).then(() =>
+         {
+            assert.deepEqual(messages, ['[E] Failure 0', '[E] Failure 1', '[W] Retrying',
+             '[W] Last message repeated 1 time.', '[E] Rate limit exceeded; 1 error message suppressed.']);
+
+            testLogger.setOptions({ rateLimit: null });
+            testLogger.warn('Retrying');
+
+            // Duplicates are reported a second after the first suppressed duplicate.
+            return new Promise((resolve) => setTimeout(resolve, 1050));
+         }).then(() =>
+         {
+            assert.strictEqual(messages[messages.length - 1], '[W] Last message repeated 1 time.');
+            assert.lengthOf(messages, 6);
+         });
+      });
+
+      it('never suppresses fatal messages:', () =>
+      {
+         const { testLogger, messages } = createLogger({ dedupe: true, rateLimit: { limit: 1, interval: 1000 } });
+
+         const flushed = [];
+         const queue = [];
+
+         testLogger.addTransport({ name: 'buffer', log: (record, message) => queue.push(message),
+          flushSync: () => flushed.push(queue.splice(0)) });
+
+         atTime(0, () =>
+         {
+            for (let cntr = 0; cntr < 3; cntr++) { testLogger.error('Failure'); }
+
+            for (let cntr = 0; cntr < 3; cntr++) { assert.strictEqual(testLogger.fatal('Crash'), '[F] Crash'); }
+
+            testLogger.error('Failure');
+         });
+
+         // Pending counts are reported before the first fatal message and buffered output is flushed after each.
+         assert.deepEqual(messages, ['[E] Failure', '[E] Rate limit exceeded; 2 error messages suppressed.',
+          '[F] Crash', '[F] Crash', '[F] Crash']);
+
+         assert.deepEqual(flushed, [['[E] Failure', '[E] Rate limit exceeded; 2 error messages suppressed.',
+          '[F] Crash'], ['[F] Crash'], ['[F] Crash']]);
+
+         assert.deepEqual(testLogger.getSuppressedCounts(), { duplicates: 0, rateLimited: 3 });
+      });
+
+      it('invalid options:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+
+         assert.throws(() => testLogger.setOptions({ rateLimit: { limit: 0, interval: 1000 } }), TypeError,
+          `'options.rateLimit.limit' is not a positive 'integer'.`);
+         assert.throws(() => testLogger.setOptions({ rateLimit: { limit: 1 } }), TypeError,
+          `'options.rateLimit.interval' is not a positive 'number'.`);
+         assert.throws(() => testLogger.setOptions({ rateLimit: { limit: 1, interval: 1, per: 'namespace' } }),
+          TypeError, `'options.rateLimit.per' must be one of: level, callsite.`);
+         assert.throws(() => testLogger.setOptions({ rateLimit: 10 }), TypeError);
+      });
+   });
 });
@@ -0,0 +1,78 @@
+import { assert }      from 'chai';
+import fs              from 'fs';
+import os              from 'os';
+import path            from 'path';
+
+import { ColorLogger } from '../../src/ColorLogger.js';
+import ConfigFile      from '../../src/ConfigFile.js';
+
+describe('ConfigFile:', () =>
+{
+   let dir, filePath;
+
+   beforeEach(() =>
+   {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'color-logger-'));
+      filePath = path.join(dir, 'config', 'log.json');
+   });
+
+   afterEach(() =>
+   {
+      if (fs.existsSync(filePath)) { fs.unlinkSync(filePath); }
+      if (fs.existsSync(path.dirname(filePath))) { fs.rmdirSync(path.dirname(filePath)); }
+
+      fs.rmdirSync(dir);
+   });
+
+   it('write and read:', () =>
+   {
+      const logger = new ColorLogger({ consoleEnabled: false, showDate: true });
+
+      logger.setLogLevel('debug');
+      logger.addFilter({ type: 'inclusive', name: 'app', filterString: /APP/i, priority: 2 });
+
+      const configFile = new ConfigFile(filePath);
+
+      configFile.write(logger.getConfig());
+
+      const config = configFile.read();
+
+      assert.strictEqual(config.logLevel, 'debug');
+      assert.isTrue(config.options.showDate);
+      assert.deepEqual(config.filters[2], { enabled: true, filterString: 'APP', flags: 'i', glob: false,
+       name: 'app', priority: 2, type: 'inclusive' });
+
+      const other = new ColorLogger({ consoleEnabled: false });
+
+      other.setConfig(config);
+
+      assert.deepEqual(other.getConfig(), logger.getConfig());
+   });
+
+   it('load with environment precedence:', () =>
+   {
+      const configFile = new ConfigFile(filePath);
+
+      assert.deepEqual(configFile.load({ LOG_LEVEL: 'warn' }), { logLevel: 'warn' });
+
+      configFile.write({ logLevel: 'debug', options: { showDate: true, json: true } });
+
+      assert.deepEqual(configFile.load({ LOG_LEVEL: 'error', LOG_JSON: 'false' }),
+       { logLevel: 'error', options: { showDate: true, json: false } });
+   });
+
+   it('errors name the file and key:', () =>
+   {
+      fs.mkdirSync(path.dirname(filePath));
+      fs.writeFileSync(filePath, '{ "options": { "maxDepth": -1 } }');
+
+      assert.throws(() => new ConfigFile(filePath).read(), TypeError,
+       `${filePath}: 'config.options.maxDepth' is not a non-negative 'number'.`);
+
+      fs.writeFileSync(filePath, '{ "options": ');
+
+      assert.throws(() => new ConfigFile(filePath).read(), TypeError, 'is not valid JSON');
+
+      assert.throws(() => new ConfigFile(1), TypeError);
+   });
+});
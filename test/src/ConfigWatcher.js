@@ -0,0 +1,141 @@
+import { assert }      from 'chai';
+import fs              from 'fs';
+import os              from 'os';
+import path            from 'path';
+
+import { ColorLogger } from '../../src/ColorLogger.js';
+import ConfigWatcher   from '../../src/ConfigWatcher.js';
+
+/**
+ * Creates a logger which collects the output of all log messages.
+ *
+ * @returns {{logger: ColorLogger, messages: string[]}} The logger and collected messages.
+ */
+const createLogger = () =>
+{
+   const logger = new ColorLogger({ consoleEnabled: false, showInfo: false });
+   const messages = [];
+
+   logger.addTransport({ name: 'test', log: (record) => messages.push(`${record.level}: ${record.message}`) });
+
+   return { logger, messages };
+};
+
+/**
+ * Resolves when the condition is true or rejects after the timeout.
+ *
+ * @param {Function} condition - The condition to poll.
+ *
+ * @param {number}   [timeout=2000] - The timeout in milliseconds.
+ *
+ * @returns {Promise} The poll promise.
+ */
+const waitFor = (condition, timeout = 2000) => new Promise((resolve, reject) =>
+{
+   const start = Date.now();
+
+   const poll = () =>
+   {
+      if (condition()) { resolve(); }
+      else if (Date.now() - start > timeout) { reject(new Error('Timed out')); }
+      else { setTimeout(poll, 10); }
+   };
+
+   poll();
+});
+
+describe('ConfigWatcher:', () =>
+{
+   let dir, filePath;
+
+   beforeEach(() =>
+   {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'color-logger-'));
+      filePath = path.join(dir, 'log.json');
+   });
+
+   afterEach(() =>
+   {
+      if (fs.existsSync(filePath)) { fs.unlinkSync(filePath); }
+
+      fs.rmdirSync(dir);
+   });
+
+   it('signal cycles and restores the log level:', () =>
+   {
+      const { logger, messages } = createLogger();
+
+      const watcher = new ConfigWatcher(logger, { announceLevel: 'info' });
+
+      watcher.start();
+
+      try
+      {
+         process.emit('SIGUSR2');
+         assert.strictEqual(logger.getConfig().logLevel, 'debug');
+
+         process.emit('SIGUSR2');
+         assert.strictEqual(logger.getConfig().logLevel, 'trace');
+
+         process.emit('SIGUSR2');
+         assert.strictEqual(logger.getConfig().logLevel, 'info');
+      }
+      finally
+      {
+         watcher.stop();
+      }
+
+      assert.deepEqual(messages, ['info: Log level set to debug by SIGUSR2.',
+       'info: Log level set to trace by SIGUSR2.', 'info: Log level restored to info by SIGUSR2.']);
+
+      assert.isFalse(watcher.isWatching);
+      assert.strictEqual(process.listenerCount('SIGUSR2'), 0);
+   });
+
+   it('reloads the config file on change:', () =>
+   {
+      const { logger, messages } = createLogger();
+
+      fs.writeFileSync(filePath, JSON.stringify({ logLevel: 'info' }));
+
+      const watcher = new ConfigWatcher(logger, { configFile: filePath, debounce: 10, env: {}, signal: null });
+
+      watcher.start();
+
+      fs.writeFileSync(filePath, JSON.stringify({ logLevel: 'debug', options: { showDate: true } }));
+
+      return waitFor(() => messages.length > 0).then(() =>
+      {
+         assert.strictEqual(logger.getConfig().logLevel, 'debug');
+         assert.isTrue(logger.getOptions().showDate);
+         assert.deepEqual(messages,
+          [`warn: Log configuration reloaded from ${filePath}; log level changed from info to debug.`]);
+
+         // Unchanged configs and invalid files are not applied.
+         assert.isFalse(watcher.reload());
+
+         fs.writeFileSync(filePath, JSON.stringify({ logLevel: 'loud' }));
+
+         assert.isFalse(watcher.reload());
+         assert.strictEqual(logger.getConfig().logLevel, 'debug');
+         assert.strictEqual(messages[messages.length - 1],
+          `error: Log configuration not reloaded: 'config.logLevel' is not a valid log level: loud`);
+      }).then(() => watcher.stop(), (err) =>
+      {
+         watcher.stop();
+         throw err;
+      });
+   });
+
+   it('invalid options:', () =>
+   {
+      const { logger } = createLogger();
+
+      assert.throws(() => new ConfigWatcher({}), TypeError);
+      assert.throws(() => new ConfigWatcher(logger, { configFile: 1 }), TypeError);
+      assert.throws(() => new ConfigWatcher(logger, { signal: 'USR2' }), TypeError);
+      assert.throws(() => new ConfigWatcher(logger, { levels: ['loud'] }), TypeError);
+      assert.throws(() => new ConfigWatcher(logger, { announceLevel: 'loud' }), TypeError);
+      assert.throws(() => new ConfigWatcher(logger, { debounce: -1 }), TypeError);
+   });
+});
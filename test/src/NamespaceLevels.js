@@ -0,0 +1,39 @@
+import { assert }      from 'chai';
+
+import NamespaceLevels from '../../src/NamespaceLevels.js';
+
+describe('NamespaceLevels:', () =>
+{
+   it('parse:', () =>
+   {
+      assert.deepEqual(NamespaceLevels.parse('db:*=debug, http=warn'),
+       [{ pattern: 'db:*', level: 'debug' }, { pattern: 'http', level: 'warn' }]);
+
+      assert.throws(() => NamespaceLevels.parse('db:*'), TypeError);
+      assert.throws(() => NamespaceLevels.parse('=debug'), TypeError);
+   });
+
+   it('most specific pattern wins:', () =>
+   {
+      const namespaceLevels = new NamespaceLevels();
+
+      namespaceLevels.set(NamespaceLevels.parse('*=info,db:*=debug,db:pool=error,http=warn'));
+
+      assert.strictEqual(namespaceLevels.match('db:query'), 'debug');
+      assert.strictEqual(namespaceLevels.match('db:pool'), 'error');
+      assert.strictEqual(namespaceLevels.match('http'), 'warn');
+      assert.strictEqual(namespaceLevels.match('http:server'), 'info');
+      assert.strictEqual(namespaceLevels.toString(), '*=info,db:*=debug,db:pool=error,http=warn');
+   });
+
+   it('no match:', () =>
+   {
+      const namespaceLevels = new NamespaceLevels();
+
+      namespaceLevels.set(NamespaceLevels.parse('db.*=debug'));
+
+      assert.isUndefined(namespaceLevels.match('dbx'));
+      assert.isUndefined(namespaceLevels.match('db:pool'));
+      assert.strictEqual(namespaceLevels.match('db.pool'), 'debug');
+   });
+});
@@ -0,0 +1,92 @@
+import { assert }  from 'chai';
+
+import Redactor    from '../../src/Redactor.js';
+
+describe('Redactor:', () =>
+{
+   it('key paths:', () =>
+   {
+      const redactor = new Redactor({ paths: ['headers.authorization', '*.password', 'list.*.secret', '**.apiKey'] });
+
+      const value =
+      {
+         headers: { authorization: 'Bearer abc', host: 'localhost' },
+         password: 'top level is not matched',
+         user: { name: 'Jane', password: '1234', nested: { password: 'not matched' } },
+         list: [{ secret: 1 }, { secret: 2, other: 3 }],
+         deep: { a: { b: { apiKey: 'key' } } },
+         apiKey: 'key'
+      };
+
+      assert.deepEqual(redactor.redact(value),
+      {
+         headers: { authorization: '[REDACTED]', host: 'localhost' },
+         password: 'top level is not matched',
+         user: { name: 'Jane', password: '[REDACTED]', nested: { password: 'not matched' } },
+         list: [{ secret: '[REDACTED]' }, { secret: '[REDACTED]', other: 3 }],
+         deep: { a: { b: { apiKey: '[REDACTED]' } } },
+         apiKey: '[REDACTED]'
+      });
+
+      // The original value is not modified.
+      assert.strictEqual(value.headers.authorization, 'Bearer abc');
+   });
+
+   it('patterns:', () =>
+   {
+      const redactor = new Redactor({ patterns: [/Bearer \w+/, '/token=\\w+/i', 'sk-[a-z]+'], censor: '***' });
+
+      assert.strictEqual(redactor.redact('Bearer abc and Bearer def, TOKEN=123 sk-abc'), '*** and ***, *** ***');
+      assert.deepEqual(redactor.redact({ url: '/api?token=abc', list: ['sk-key'] }),
+       { url: '/api?***', list: ['***'] });
+      assert.strictEqual(redactor.redact(42), 42);
+   });
+
+   it('Map, Set, class instances, errors and cycles:', () =>
+   {
+      class Request
+      {
+         constructor() { this.password = 'secret'; }
+      }
+
+      const redactor = new Redactor({ paths: ['**.password'], patterns: [/secret/] });
+
+      const map = redactor.redact(new Map([['password', 'a'], ['other', 'b']]));
+      assert.deepEqual(Array.from(map), [['password', '[REDACTED]'], ['other', 'b']]);
+
+      assert.deepEqual(Array.from(redactor.redact(new Set(['a secret']))), ['a [REDACTED]']);
+
+      const request = redactor.redact(new Request());
+      assert.instanceOf(request, Request);
+      assert.strictEqual(request.password, '[REDACTED]');
+
+      const error = redactor.redact(new TypeError('The secret is out'));
+      assert.instanceOf(error, TypeError);
+      assert.strictEqual(error.message, 'The [REDACTED] is out');
+      assert.notInclude(error.stack, 'secret');
+
+      const cyclic = { password: 'a' };
+      cyclic.self = cyclic;
+
+      const copy = redactor.redact(cyclic);
+      assert.strictEqual(copy.self, copy);
+      assert.strictEqual(copy.password, '[REDACTED]');
+   });
+
+   it('toJSON:', () =>
+   {
+      const redactor = new Redactor({ paths: ['a.b'], patterns: [/x/i, 'y'] });
+
+      assert.deepEqual(redactor.toJSON(), { paths: ['a.b'], patterns: ['/x/gi', '/y/g'], censor: '[REDACTED]' });
+      assert.deepEqual(new Redactor(redactor.toJSON()).toJSON(), redactor.toJSON());
+   });
+
+   it('invalid config:', () =>
+   {
+      assert.throws(() => new Redactor(null), TypeError);
+      assert.throws(() => new Redactor({ paths: 'a' }), TypeError);
+      assert.throws(() => new Redactor({ paths: [''] }), /config.paths\[0]/);
+      assert.throws(() => new Redactor({ patterns: ['('] }), /config.patterns\[0]/);
+      assert.throws(() => new Redactor({ censor: 1 }), TypeError);
+   });
+});
@@ -0,0 +1,114 @@
+import { assert }         from 'chai';
+import fs                 from 'fs';
+import os                 from 'os';
+import path               from 'path';
+
+import { ColorLogger }    from '../../src/ColorLogger.js';
+import SourceMapResolver  from '../../src/SourceMapResolver.js';
+
+/**
+ * A source map mapping line 1 column 1 to `orig.js` line 10 column 5 and line 2 column 3 to line 20 column 1.
+ * @type {object}
+ */
+const s_MAP = { version: 3, sources: ['../src/orig.js'], names: [], mappings: 'AASI;EAUJ' };
+
+describe('SourceMapResolver:', () =>
+{
+   let dir;
+
+   beforeEach(() =>
+   {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'color-logger-'));
+      fs.mkdirSync(path.join(dir, 'dist'));
+   });
+
+   afterEach(() =>
+   {
+      const distDir = path.join(dir, 'dist');
+
+      for (const file of fs.readdirSync(distDir)) { fs.unlinkSync(path.join(distDir, file)); }
+
+      fs.rmdirSync(distDir);
+      fs.rmdirSync(dir);
+   });
+
+   it('sourceMappingURL file:', () =>
+   {
+      const filePath = path.join(dir, 'dist', 'gen.js');
+      const origPath = path.join(dir, 'src', 'orig.js');
+
+      fs.writeFileSync(filePath, 'a();\n  b();\n//# sourceMappingURL=gen.js.map.json\n');
+      fs.writeFileSync(`${filePath}.map.json`, JSON.stringify(s_MAP));
+
+      const resolver = new SourceMapResolver();
+
+      assert.deepEqual(resolver.resolve(filePath, 1, 1), { file: origPath, line: 10, column: 5, name: void 0 });
+      assert.deepEqual(resolver.resolve(filePath, 2, 5), { file: origPath, line: 20, column: 1, name: void 0 });
+      assert.strictEqual(resolver.resolve(`file://${filePath}`, 2, 3).line, 20);
+      assert.isUndefined(resolver.resolve(filePath, 5, 1));
+
+      // Source maps and positions are cached until cleared.
+      fs.unlinkSync(`${filePath}.map.json`);
+
+      assert.strictEqual(resolver.resolve(filePath, 2, 4).line, 20);
+
+      resolver.clear();
+
+      assert.isUndefined(resolver.resolve(filePath, 2, 4));
+   });
+
+   it('inline source map:', () =>
+   {
+      const filePath = path.join(dir, 'dist', 'gen.js');
+      const data = Buffer.from(JSON.stringify(s_MAP)).toString('base64');
+
+      fs.writeFileSync(filePath, `a();\n  b();\n//# sourceMappingURL=data:application/json;base64,${data}\n`);
+
+      assert.strictEqual(new SourceMapResolver().resolve(filePath, 2, 3).file, path.join(dir, 'src', 'orig.js'));
+   });
+
+   it('adjacent .map file:', () =>
+   {
+      const filePath = path.join(dir, 'dist', 'gen.js');
+
+      fs.writeFileSync(filePath, 'a();\n  b();\n');
+      fs.writeFileSync(`${filePath}.map`, JSON.stringify(Object.assign({}, s_MAP, { sourceRoot: '/root/dist' })));
+
+      assert.strictEqual(new SourceMapResolver().resolve(filePath, 1, 1).file, path.join('/root', 'src', 'orig.js'));
+   });
+
+   it('no source map:', () =>
+   {
+      const filePath = path.join(dir, 'dist', 'gen.js');
+
+      fs.writeFileSync(filePath, 'a();\n');
+
+      const resolver = new SourceMapResolver();
+
+      assert.isUndefined(resolver.resolve(filePath, 1, 1));
+      assert.isUndefined(resolver.resolve(path.join(dir, 'missing.js'), 1, 1));
+      assert.isUndefined(resolver.resolve('relative.js', 1, 1));
+      assert.throws(() => resolver.resolve(filePath, '1', 1), TypeError);
+   });
+
+   it('ColorLogger getTraceInfo:', () =>
+   {
+      const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none' });
+
+      const resolver = { resolve: (file, line, column) => ({ file: '/src/orig.js', line: line + 1, column }) };
+
+      testLogger.setSourceMapResolver(resolver);
+
+      const result = testLogger.getTraceInfo(new Error('Test'));
+
+      assert.match(result.info, /^orig\.js:\d+:\d+$/);
+      assert.match(result.trace[0], /\(\/src\/orig\.js:\d+:\d+\)$/);
+      assert.match(testLogger.info('A message'), /^\[I] \[orig\.js:\d+:\d+] A message$/);
+
+      testLogger.setSourceMapResolver(null);
+
+      assert.notInclude(testLogger.info('A message'), 'orig.js');
+
+      assert.throws(() => testLogger.setSourceMapResolver({}), TypeError);
+   });
+});
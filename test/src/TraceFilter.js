@@ -0,0 +1,69 @@
+import { assert }  from 'chai';
+
+import TraceFilter from '../../src/TraceFilter.js';
+
+describe('TraceFilter:', () =>
+{
+   it('raw filter string:', () =>
+   {
+      const filter = new TraceFilter('test', 'LIB', { flags: 'i' });
+
+      assert.isTrue(filter.test('    at run (/app/node_modules/lib/index.js:1:1)'));
+      assert.strictEqual(filter.filterString, 'LIB');
+      assert.strictEqual(filter.flags, 'i');
+      assert.isFalse(filter.glob);
+      assert.strictEqual(filter.priority, 0);
+
+      filter.enabled = false;
+
+      assert.isFalse(filter.test('lib'));
+   });
+
+   it('RegExp:', () =>
+   {
+      const filter = new TraceFilter('test', /LIB/gi);
+
+      // Global flags are removed so repeated tests do not depend on `lastIndex`.
+      assert.isTrue(filter.test('lib'));
+      assert.isTrue(filter.test('lib'));
+      assert.strictEqual(filter.filterString, 'LIB');
+      assert.strictEqual(filter.flags, 'i');
+   });
+
+   it('glob:', () =>
+   {
+      const filter = new TraceFilter('test', 'node_modules/*/lib/**.js', { glob: true });
+
+      assert.isTrue(filter.test('    at run (/app/node_modules/express/lib/router/index.js:1:1)'));
+      assert.isFalse(filter.test('    at run (/app/node_modules/@scope/pkg/lib/index.js:1:1)'));
+      assert.isFalse(filter.test('    at run (/app/node_modules/express/lib/index.mjs:1:1)'));
+      assert.isTrue(filter.glob);
+
+      const single = new TraceFilter('test', 'file?.js', { glob: true });
+
+      assert.isTrue(single.test('/app/file1.js'));
+      assert.isFalse(single.test('/app/file/.js'));
+   });
+
+   it('hits:', () =>
+   {
+      const filter = new TraceFilter('test', 'lib', { priority: 5 });
+
+      filter.hit();
+      filter.hit();
+
+      assert.strictEqual(filter.hits, 2);
+      assert.strictEqual(filter.priority, 5);
+
+      filter.resetHits();
+
+      assert.strictEqual(filter.hits, 0);
+   });
+
+   it('invalid arguments:', () =>
+   {
+      assert.throws(() => new TraceFilter('test', 1), TypeError);
+      assert.throws(() => new TraceFilter('test', 'lib', { priority: 'high' }), TypeError);
+      assert.throws(() => new TraceFilter('test', 'lib', null), TypeError);
+   });
+});
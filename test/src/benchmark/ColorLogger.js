@@ -0,0 +1,159 @@
+import { assert }      from 'chai';
+
+import { ColorLogger } from '../../../src/ColorLogger.js';
+
+/**
+ * Invokes a function repeatedly.
+ *
+ * @param {Function} fn - The function to invoke.
+ *
+ * @param {number}   [iterations=1000] - The number of invocations.
+ */
+const repeat = (fn, iterations = 1000) =>
+{
+   for (let cntr = 0; cntr < iterations; cntr++) { fn(); }
+};
+
+/**
+ * Invokes a function counting the stack traces formatted by V8 and the number of frames of each.
+ *
+ * @param {Function} fn - The function to invoke.
+ *
+ * @returns {number[]} The number of frames of each formatted stack trace.
+ */
+const countStackTraces = (fn) =>
+{
+   const prepareStackTrace = Error.prepareStackTrace;
+   const frameCounts = [];
+
+   Error.prepareStackTrace = (error, frames) =>
+   {
+      frameCounts.push(frames.length);
+
+      return typeof prepareStackTrace === 'function' ? prepareStackTrace(error, frames) :
+       [String(error)].concat(frames.map((frame) => `    at ${frame}`)).join('\n');
+   };
+
+   try { fn(); }
+   finally { Error.prepareStackTrace = prepareStackTrace; }
+
+   return frameCounts;
+};
+
+/**
+ * Replaces `getTraceInfo` of a logger with a function counting its invocations.
+ *
+ * @param {ColorLogger} testLogger - The logger to spy on.
+ *
+ * @returns {{count: number}} The invocation count.
+ */
+const spyTraceInfo = (testLogger) =>
+{
+   const getTraceInfo = testLogger.getTraceInfo;
+   const spy = { count: 0 };
+
+   testLogger.getTraceInfo = function(...args)
+   {
+      spy.count++;
+
+      return getTraceInfo.apply(this, args);
+   };
+
+   return spy;
+};
+
+// The saved work is asserted by counting the skipped operations instead of comparing timings which vary with the load
+// of the machine running the tests.
+describe('ColorLogger benchmarks:', () =>
+{
+   const data = Array.from({ length: 200 }, (value, index) => ({ id: index, name: `item ${index}`, tags: ['a', 'b'] }));
+
+   it('disabled levels skip serialization of lazy arguments and the location capture:', () =>
+   {
+      const testLogger = new ColorLogger({ consoleEnabled: false, lazyArgs: true });
+      const traceInfo = spyTraceInfo(testLogger);
+
+      let serializations = 0;
+
+      const serialize = () =>
+      {
+         serializations++;
+
+         return JSON.stringify(data);
+      };
+
+      const stackTraces = countStackTraces(() => repeat(() => testLogger.debug('Data', serialize)));
+
+      assert.strictEqual(serializations, 0);
+      assert.strictEqual(traceInfo.count, 0);
+      assert.lengthOf(stackTraces, 0);
+
+      // Enabled levels evaluate each lazy argument once.
+      repeat(() => testLogger.info('Data', serialize));
+
+      assert.strictEqual(serializations, 1000);
+   });
+
+   it('location levels skip the location capture:', () =>
+   {
+      const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none',
+       locationLevels: ['error', 'fatal'] });
+
+      const traceInfo = spyTraceInfo(testLogger);
+
+      const stackTraces = countStackTraces(() => repeat(() => testLogger.info('Test')));
+
+      assert.strictEqual(traceInfo.count, 0);
+      assert.lengthOf(stackTraces, 0);
+
+      repeat(() => testLogger.error('Test'));
+
+      assert.strictEqual(traceInfo.count, 1000);
+   });
+
+   it('callsite lookup captures only the top stack frames and caches the location:', () =>
+   {
+      const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none' });
+
+      const stackTraceLimit = Error.stackTraceLimit;
+
+      let resolves = 0;
+      let stackTraces;
+
+      testLogger.setSourceMapResolver({ resolve: () => { resolves++; } });
+
+      // Long stack traces are commonly enabled during development.
+      Error.stackTraceLimit = 100;
+
+      try
+      {
+         stackTraces = countStackTraces(() => repeat(() => testLogger.info('Test')));
+      }
+      finally
+      {
+         Error.stackTraceLimit = stackTraceLimit;
+      }
+
+      assert.lengthOf(stackTraces, 1000);
+      assert.isAtMost(Math.max(...stackTraces), 8);
+
+      // The location is resolved once for the callsite instead of for every log message.
+      assert.strictEqual(resolves, 1);
+
+      // Stack traces of the `trace` level keep all stack frames.
+      testLogger.setLogLevel('trace');
+
+      Error.stackTraceLimit = 100;
+
+      try
+      {
+         stackTraces = countStackTraces(() => testLogger.trace('Test'));
+      }
+      finally
+      {
+         Error.stackTraceLimit = stackTraceLimit;
+      }
+
+      assert.isAbove(stackTraces[0], 8);
+   });
+});
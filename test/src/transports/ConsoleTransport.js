@@ -0,0 +1,92 @@
+import { assert }         from 'chai';
+
+import { ColorLogger }    from '../../../src/ColorLogger.js';
+import ConsoleTransport   from '../../../src/transports/ConsoleTransport.js';
+
+/**
+ * Replaces a console method while invoking the given function returning all captured calls.
+ *
+ * @param {string}   method - The console method to capture.
+ *
+ * @param {function} fn - Function to invoke.
+ *
+ * @returns {Array<Array<*>>} Captured calls.
+ */
+function capture(method, fn)
+{
+   const oldMethod = console[method];
+   const calls = [];
+
+   console[method] = (...args) => calls.push(args);
+
+   try { fn(); }
+   finally { console[method] = oldMethod; }
+
+   return calls;
+}
+
+describe('ConsoleTransport:', () =>
+{
+   it('outputs formatted message:', () =>
+   {
+      const testLogger = new ColorLogger({ consoleEnabled: false });
+
+      testLogger.addTransport(new ConsoleTransport({ name: 'test', css: false }));
+
+      let result;
+
+      const calls = capture('log', () => { result = testLogger.info('A message'); });
+
+      assert.deepEqual(calls, [[result]]);
+   });
+
+   describe('css:', () =>
+   {
+      it('styles level with matching console method:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, showInfo: false });
+
+         testLogger.addTransport(new ConsoleTransport({ name: 'test', css: true }));
+
+         const calls = capture('warn', () => testLogger.warn('A warning!'));
+
+         assert.lengthOf(calls, 1);
+         assert.strictEqual(calls[0][0], '%c[W]%c %s');
+         assert.include(calls[0][1], 'color:');
+         assert.strictEqual(calls[0][2], '');
+         assert.strictEqual(calls[0][3], 'A warning!');
+      });
+
+      it('passes objects as live values:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, showInfo: false });
+         const data = { a: 1 };
+         const error = new Error('An error');
+
+         testLogger.addTransport(new ConsoleTransport({ name: 'test', css: true }));
+
+         const calls = capture('error', () => testLogger.fatal('Failed', data, error));
+
+         assert.strictEqual(calls[0][0], '%c[F]%c %s %o %o');
+         assert.strictEqual(calls[0][4], data);
+         assert.strictEqual(calls[0][5], error);
+      });
+
+      it('escapes header and omits style for raw:', () =>
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false });
+
+         testLogger.addTransport(new ConsoleTransport({ name: 'test', css: true }));
+
+         const calls = capture('debug', () =>
+         {
+            testLogger.setLogLevel('debug');
+            testLogger.child({ name: '100%' }).debugNoColor('A message');
+            testLogger.debugRaw('Raw');
+         });
+
+         assert.match(calls[0][0], /^\[.*\] \[100%%\] %s$/);
+         assert.deepEqual(calls[1], ['%s', 'Raw']);
+      });
+   });
+});
@@ -0,0 +1,159 @@
+import { assert }      from 'chai';
+import fs              from 'fs';
+import os              from 'os';
+import path            from 'path';
+import zlib            from 'zlib';
+
+import { ColorLogger } from '../../../src/ColorLogger.js';
+import FileTransport   from '../../../src/transports/FileTransport.js';
+
+describe('FileTransport:', () =>
+{
+   let dir, filePath;
+
+   beforeEach(() =>
+   {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'color-logger-'));
+      filePath = path.join(dir, 'logs', 'service', 'app.log');
+   });
+
+   afterEach(() =>
+   {
+      const logDir = path.dirname(filePath);
+
+      if (fs.existsSync(logDir))
+      {
+         for (const file of fs.readdirSync(logDir)) { fs.unlinkSync(path.join(logDir, file)); }
+
+         fs.rmdirSync(logDir);
+      }
+
+      if (fs.existsSync(path.dirname(logDir))) { fs.rmdirSync(path.dirname(logDir)); }
+
+      fs.rmdirSync(dir);
+   });
+
+   it('writes without ANSI codes:', () =>
+   {
+      const testLogger = new ColorLogger({ consoleEnabled: false });
+      const transport = new FileTransport({ filePath });
+
+      testLogger.addTransport(transport);
+      testLogger.fatal('A fatal error!');
+      testLogger.removeTransport('file');
+
+      const contents = fs.readFileSync(filePath, 'utf8');
+
+      assert.match(contents, /^\[F\] \[.*\] A fatal error!\n$/);
+   });
+
+   it('writes without hyperlinks:', () =>
+   {
+      const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: '16', hyperlinks: true });
+
+      testLogger.addTransport(new FileTransport({ filePath }));
+
+      const output = testLogger.warn('A warning!');
+
+      testLogger.removeTransport('file');
+
+      assert.include(output, '\u001b]8;;file://');
+
+      const contents = fs.readFileSync(filePath, 'utf8');
+
+      assert.notInclude(contents, '\u001b');
+      assert.match(contents, /^\[W\] \[[^\]]+:\d+:\d+\] A warning!\n$/);
+   });
+
+   it('writes ANSI codes when colors enabled:', () =>
+   {
+      const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: '16' });
+
+      testLogger.addTransport(new FileTransport({ filePath, colors: true }));
+      testLogger.warn('A warning!');
+      testLogger.removeTransport('file');
+
+      assert(fs.readFileSync(filePath, 'utf8').startsWith('\u001b[33m[W]'));
+   });
+
+   it('rotates by size keeping max files:', () =>
+   {
+      const testLogger = new ColorLogger({ consoleEnabled: false, showInfo: false });
+
+      testLogger.addTransport(new FileTransport({ filePath, maxSize: 20, maxFiles: 2 }));
+
+      for (let cntr = 0; cntr < 5; cntr++) { testLogger.info(`message ${cntr}`); }
+
+      testLogger.removeTransport('file');
+
+      assert.deepEqual(fs.readdirSync(path.dirname(filePath)).sort(), ['app.log', 'app.log.1', 'app.log.2']);
+      assert.include(fs.readFileSync(filePath, 'utf8'), 'message 4');
+      assert.include(fs.readFileSync(`${filePath}.1`, 'utf8'), 'message 3');
+      assert.include(fs.readFileSync(`${filePath}.2`, 'utf8'), 'message 2');
+   });
+
+   it('does not rotate by size when max size is 0:', () =>
+   {
+      const testLogger = new ColorLogger({ consoleEnabled: false, showInfo: false });
+
+      testLogger.addTransport(new FileTransport({ filePath, maxSize: 0 }));
+
+      for (let cntr = 0; cntr < 5; cntr++) { testLogger.info(`message ${cntr}`); }
+
+      testLogger.removeTransport('file');
+
+      assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['app.log']);
+      assert.strictEqual(fs.readFileSync(filePath, 'utf8').split('\n').length, 6);
+   });
+
+   it('compresses rotated files:', () =>
+   {
+      const transport = new FileTransport({ filePath, compress: true });
+
+      transport.log({ time: new Date() }, 'first');
+      transport.rotate();
+      transport.log({ time: new Date() }, 'second');
+      transport.close();
+
+      assert.strictEqual(zlib.gunzipSync(fs.readFileSync(`${filePath}.1.gz`)).toString(), 'first\n');
+      assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'second\n');
+   });
+
+   it('rotates by interval:', () =>
+   {
+      const transport = new FileTransport({ filePath, interval: 'day' });
+
+      transport.log({ time: new Date() }, 'today');
+      transport.log({ time: new Date(Date.now() + 86400000) }, 'tomorrow');
+      transport.close();
+
+      assert.strictEqual(fs.readFileSync(`${filePath}.1`, 'utf8'), 'today\n');
+      assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'tomorrow\n');
+   });
+
+   it('writes JSON:', () =>
+   {
+      const testLogger = new ColorLogger({ consoleEnabled: false });
+
+      testLogger.addTransport(new FileTransport({ filePath, json: true }));
+      testLogger.info('first', { a: 1 });
+      testLogger.info('second');
+      testLogger.removeTransport('file');
+
+      const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+
+      assert.strictEqual(lines[0].message, 'first');
+      assert.deepEqual(lines[0].args, [{ a: 1 }]);
+      assert.strictEqual(lines[1].message, 'second');
+   });
+
+   it('invalid options:', () =>
+   {
+      assert.throws(() => new FileTransport(), TypeError);
+      assert.throws(() => new FileTransport({ filePath, interval: 'week' }), TypeError);
+      assert.throws(() => new FileTransport({ filePath, maxSize: -1 }), TypeError,
+       `'options.maxSize' is not a non-negative integer.`);
+      assert.throws(() => new FileTransport({ filePath, maxFiles: 1.5 }), TypeError,
+       `'options.maxFiles' is not a non-negative integer.`);
+   });
+});
@@ -0,0 +1,282 @@
+import { assert }      from 'chai';
+import fs              from 'fs';
+import os              from 'os';
+import path            from 'path';
+import { Writable }    from 'stream';
+
+import { ColorLogger } from '../../../src/ColorLogger.js';
+import StreamTransport from '../../../src/transports/StreamTransport.js';
+
+/**
+ * Creates a writable stream collecting all written chunks. When `hold` is true write callbacks are held until
+ * `release` is invoked which simulates a slow consumer.
+ *
+ * @param {object}   [options] - Optional parameters.
+ *
+ * @param {boolean}  [options.hold=false] - If true write callbacks are held.
+ *
+ * @param {number}   [options.highWaterMark=16384] - The high water mark of the stream.
+ *
+ * @returns {Writable} The stream with `chunks` and `release`.
+ */
+const createStream = ({ hold = false, highWaterMark = 16384 } = {}) =>
+{
+   const held = [];
+
+   const stream = new Writable({
+      highWaterMark,
+      write: (chunk, encoding, callback) =>
+      {
+         stream.chunks.push(chunk.toString());
+
+         if (hold) { held.push(callback); }
+         else { callback(); }
+      }
+   });
+
+   stream.chunks = [];
+   stream.release = () => { while (held.length > 0) { held.shift()(); } };
+
+   return stream;
+};
+
+describe('StreamTransport:', () =>
+{
+   let transport;
+
+   afterEach(() =>
+   {
+      if (typeof transport === 'object') { transport.close(); }
+
+      transport = void 0;
+   });
+
+   it('writes messages in batches by size:', () =>
+   {
+      const stream = createStream();
+
+      const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false });
+      transport = new StreamTransport({ stream, batchSize: 20 });
+
+      testLogger.addTransport(transport);
+
+      testLogger.info('one');
+      testLogger.info('two');
+
+      assert.deepEqual(stream.chunks, []);
+
+      testLogger.info('three');
+      testLogger.info('four');
+
+      assert.deepEqual(stream.chunks, ['[I] one\n[I] two\n[I] three\n']);
+   });
+
+   it('writes messages after the flush interval:', () =>
+   {
+      const stream = createStream();
+
+      const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false });
+      transport = new StreamTransport({ stream, flushInterval: 10 });
+
+      testLogger.addTransport(transport);
+      testLogger.info('one');
+      testLogger.warn('two');
+
+      assert.deepEqual(stream.chunks, []);
+
+      return new Promise((resolve) => setTimeout(resolve, 50)).then(() =>
+      {
+         assert.deepEqual(stream.chunks, ['[I] one\n[W] two\n']);
+      });
+   });
+
+   it('flush resolves once queued messages are written:', () =>
+   {
+      const stream = createStream({ hold: true });
+
+      const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false });
+      transport = new StreamTransport({ stream });
+
+      testLogger.addTransport(transport);
+      testLogger.info('one');
+
+      let flushed = false;
+
+      const promise = testLogger.flush().then(() => { flushed = true; });
+
+      assert.deepEqual(stream.chunks, ['[I] one\n']);
+
+      return Promise.resolve().then(() =>
+      {
+         assert.isFalse(flushed);
+
+         stream.release();
+
+         return promise;
+      }).then(() => assert.isTrue(flushed));
+   });
+
+   it('queues and drops messages under back-pressure:', () =>
+   {
+      const stream = createStream({ hold: true, highWaterMark: 1 });
+
+      const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false });
+      transport = new StreamTransport({ stream, batchSize: 0, maxBufferSize: 18 });
+
+      testLogger.addTransport(transport);
+
+      testLogger.info('one');    // Written; the stream is now draining.
+      testLogger.info('two');    // Queued.
+      testLogger.info('three');  // Queued.
+      testLogger.info('four');   // Dropped.
+
+      assert.deepEqual(stream.chunks, ['[I] one\n']);
+      assert.strictEqual(transport.dropped, 1);
+
+      const promise = transport.flush();
+
+      stream.release();
+
+      return new Promise((resolve) => setImmediate(resolve)).then(() =>
+      {
+         stream.release();
+
+         return promise;
+      }).then(() =>
+      {
+         assert.deepEqual(stream.chunks, ['[I] one\n', '[I] two\n[I] three\n… 1 log message dropped\n']);
+      });
+   });
+
+   it('fatal messages are written synchronously:', () =>
+   {
+      const stream = createStream();
+
+      const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false });
+      transport = new StreamTransport({ stream });
+
+      testLogger.addTransport(transport);
+      testLogger.info('one');
+      testLogger.fatal('two');
+
+      assert.deepEqual(stream.chunks, ['[I] one\n[F] two\n']);
+   });
+
+   it('flushSync writes to the file descriptor:', () =>
+   {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'color-logger-'));
+      const filePath = path.join(dir, 'app.log');
+      const fd = fs.openSync(filePath, 'a');
+
+      try
+      {
+         const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: '16', showInfo: false });
+         transport = new StreamTransport({ stream: { fd, write: () => assert.fail() }, colors: false });
+
+         testLogger.addTransport(transport);
+         testLogger.warn('one');
+         testLogger.removeTransport('stream');
+
+         transport = void 0;
+
+         assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '[W] one\n');
+      }
+      finally
+      {
+         fs.closeSync(fd);
+         fs.unlinkSync(filePath);
+         fs.rmdirSync(dir);
+      }
+   });
+
+   it('flushSync keeps the order of messages while batches are pending:', () =>
+   {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'color-logger-'));
+      const filePath = path.join(dir, 'app.log');
+      const fd = fs.openSync(filePath, 'a');
+
+      const stream = createStream({ hold: true, highWaterMark: 1 });
+
+      stream.fd = fd;
+
+      const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false });
+      transport = new StreamTransport({ stream, batchSize: 0 });
+
+      testLogger.addTransport(transport);
+      testLogger.info('one');    // Written; the stream is now draining.
+      testLogger.info('two');    // Queued.
+      testLogger.fatal('three');
+
+      const promise = transport.flush();
+
+      stream.release();
+
+      return new Promise((resolve) => setImmediate(resolve)).then(() =>
+      {
+         stream.release();
+
+         return promise;
+      }).then(() =>
+      {
+         assert.deepEqual(stream.chunks, ['[I] one\n', '[I] two\n[F] three\n']);
+         assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '');
+      }).then(() =>
+      {
+         fs.closeSync(fd);
+         fs.unlinkSync(filePath);
+         fs.rmdirSync(dir);
+      });
+   });
+
+   it('closes when the stream errors:', () =>
+   {
+      const stream = createStream({ hold: true });
+
+      const testLogger = new ColorLogger({ consoleEnabled: false, colorDepth: 'none', showInfo: false });
+      transport = new StreamTransport({ stream, batchSize: 0 });
+
+      testLogger.addTransport(transport);
+      testLogger.info('one');
+
+      const promise = transport.flush();
+
+      stream.destroy(Object.assign(new Error('write EPIPE'), { code: 'EPIPE' }));
+
+      return promise.then(() =>
+      {
+         testLogger.info('two');
+         testLogger.fatal('three');
+
+         assert.deepEqual(stream.chunks, ['[I] one\n']);
+      });
+   });
+
+   it('flushes on exit and before uncaught exceptions are reported:', () =>
+   {
+      const stream = createStream();
+      const exitListeners = process.listenerCount('exit');
+
+      transport = new StreamTransport({ stream });
+
+      assert.strictEqual(process.listenerCount('exit'), exitListeners + 1);
+
+      transport.log({}, 'one');
+      process.emit('uncaughtExceptionMonitor', new Error('test'));
+
+      assert.deepEqual(stream.chunks, ['one\n']);
+
+      transport.close();
+      transport = void 0;
+
+      assert.strictEqual(process.listenerCount('exit'), exitListeners);
+   });
+
+   it('invalid options:', () =>
+   {
+      assert.throws(() => new StreamTransport({ stream: {} }), TypeError);
+      assert.throws(() => new StreamTransport({ batchSize: -1 }), TypeError,
+       `'options.batchSize' is not a non-negative integer.`);
+      assert.throws(() => new StreamTransport({ flushInterval: 1.5 }), TypeError);
+      assert.throws(() => new StreamTransport({ name: 1 }), TypeError);
+   });
+});
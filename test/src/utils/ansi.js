@@ -0,0 +1,109 @@
+import { assert }  from 'chai';
+
+import { colorToANSI, detectColorDepth, stripANSI, styleToANSI } from '../../../src/utils/ansi.js';
+
+describe('ansi:', () =>
+{
+   describe('detectColorDepth:', () =>
+   {
+      const tty = { isTTY: true };
+      const pipe = { isTTY: false };
+
+      it('TTY:', () =>
+      {
+         assert.strictEqual(detectColorDepth(tty, { TERM: 'xterm' }), '16');
+         assert.strictEqual(detectColorDepth(tty, { TERM: 'xterm-256color' }), '256');
+         assert.strictEqual(detectColorDepth(tty, { TERM: 'xterm', COLORTERM: 'truecolor' }), 'truecolor');
+         assert.strictEqual(detectColorDepth(tty, { TERM: 'dumb' }), 'none');
+      });
+
+      it('not a TTY:', () =>
+      {
+         assert.strictEqual(detectColorDepth(pipe, {}), 'none');
+         assert.strictEqual(detectColorDepth(pipe, { CI: 'true' }), 'none');
+         assert.strictEqual(detectColorDepth(pipe, { CI: 'true', GITHUB_ACTIONS: 'true' }), '16');
+      });
+
+      it('NO_COLOR:', () =>
+      {
+         assert.strictEqual(detectColorDepth(tty, { NO_COLOR: '1', TERM: 'xterm-256color' }), 'none');
+         assert.strictEqual(detectColorDepth(tty, { NO_COLOR: '', TERM: 'xterm' }), '16');
+      });
+
+      it('FORCE_COLOR:', () =>
+      {
+         assert.strictEqual(detectColorDepth(pipe, { FORCE_COLOR: '' }), '16');
+         assert.strictEqual(detectColorDepth(pipe, { FORCE_COLOR: 'true' }), '16');
+         assert.strictEqual(detectColorDepth(pipe, { FORCE_COLOR: '2' }), '256');
+         assert.strictEqual(detectColorDepth(pipe, { FORCE_COLOR: '3', NO_COLOR: '1' }), 'truecolor');
+         assert.strictEqual(detectColorDepth(tty, { FORCE_COLOR: '0', TERM: 'xterm' }), 'none');
+      });
+   });
+
+   describe('colorToANSI:', () =>
+   {
+      it('color names and SGR:', () =>
+      {
+         assert.strictEqual(colorToANSI('yellow'), '\u001b[33m');
+         assert.strictEqual(colorToANSI('lightRed'), '\u001b[1;31m');
+         assert.strictEqual(colorToANSI('1;35'), '\u001b[1;35m');
+         assert.strictEqual(colorToANSI(''), '');
+      });
+
+      it('invalid:', () =>
+      {
+         assert.throws(() => colorToANSI('toString'), TypeError);
+         assert.throws(() => colorToANSI('#ff'), TypeError);
+      });
+   });
+
+   describe('styleToANSI:', () =>
+   {
+      it('truecolor degrades:', () =>
+      {
+         const style = { fg: '#ff8700', bg: '#000', bold: true };
+
+         assert.strictEqual(styleToANSI(style, 'truecolor'), '\u001b[1;38;2;255;135;0;48;2;0;0;0m');
+         assert.strictEqual(styleToANSI(style, '256'), '\u001b[1;38;5;214;48;5;16m');
+         assert.strictEqual(styleToANSI(style, '16'), '\u001b[1;33;40m');
+         assert.strictEqual(styleToANSI(style, 'none'), '');
+      });
+
+      it('256 colors degrade:', () =>
+      {
+         assert.strictEqual(styleToANSI({ fg: 196 }, '16'), '\u001b[91m');
+         assert.strictEqual(styleToANSI({ fg: 4 }, '16'), '\u001b[34m');
+         assert.strictEqual(styleToANSI({ bg: 244 }, '16'), '\u001b[100m');
+         assert.strictEqual(styleToANSI({ fg: 244 }, 'truecolor'), '\u001b[38;5;244m');
+      });
+
+      it('dim:', () =>
+      {
+         assert.strictEqual(styleToANSI({ dim: true }, '16'), '\u001b[2m');
+         assert.strictEqual(styleToANSI({ fg: 'red', bold: true, dim: true }, '16'), '\u001b[1;2;31m');
+      });
+
+      it('invalid:', () =>
+      {
+         assert.throws(() => styleToANSI({ fg: 256 }, '16'), TypeError);
+         assert.throws(() => styleToANSI({ fg: 'blue' }, '8'), TypeError);
+      });
+   });
+
+   describe('stripANSI:', () =>
+   {
+      it('SGR sequences:', () =>
+      {
+         assert.strictEqual(stripANSI('\u001b[1;31m[E]\u001b[0m An error\u001b[m'), '[E] An error');
+      });
+
+      it('hyperlinks keep the link text:', () =>
+      {
+         assert.strictEqual(stripANSI('\u001b]8;;file:///app/src/index.js\u001b\\index.js:1\u001b]8;;\u001b\\'),
+          'index.js:1');
+         assert.strictEqual(stripANSI('\u001b]8;id=1;https://example.com\u0007link\u001b]8;;\u0007'), 'link');
+         assert.strictEqual(stripANSI('\u001b[90m\u001b]8;;file:///a.js\u001b\\a.js\u001b]8;;\u001b\\\u001b[0m'),
+          'a.js');
+      });
+   });
+});
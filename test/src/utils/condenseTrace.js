@@ -0,0 +1,95 @@
+import { assert }  from 'chai';
+
+import { condenseTrace, getFramePackage, isInternalFrame } from '../../../src/utils/condenseTrace.js';
+import { parseStackFrame }                                from '../../../src/utils/parseStack.js';
+
+/**
+ * Creates stack trace entries from stack trace lines.
+ *
+ * @param {string[]} lines - The stack trace lines.
+ *
+ * @returns {object[]} The stack trace entries.
+ */
+const toEntries = (lines) => lines.map((line) => ({ line, frame: parseStackFrame(line) }));
+
+const lines =
+[
+   '    at handler (/app/src/routes.js:14:11)',
+   '    at Layer.handle (/app/node_modules/express/lib/router/layer.js:95:5)',
+   '    at next (/app/node_modules/express/lib/router/route.js:137:13)',
+   '    at Route.dispatch (/app/node_modules/express/lib/router/route.js:112:3)',
+   '    at run (/app/node_modules/@scope/pkg/index.js:1:1)',
+   '    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)',
+   '    at Module._compile (module.js:652:30)',
+   '    at Array.forEach (native)',
+   '    at main (/app/src/index.js:8:4)'
+];
+
+describe('condenseTrace:', () =>
+{
+   it('getFramePackage:', () =>
+   {
+      assert.strictEqual(getFramePackage(parseStackFrame(lines[1])), 'express');
+      assert.strictEqual(getFramePackage(parseStackFrame(lines[4])), '@scope/pkg');
+      assert.isUndefined(getFramePackage(parseStackFrame(lines[0])));
+      assert.isUndefined(getFramePackage(void 0));
+   });
+
+   it('isInternalFrame:', () =>
+   {
+      assert.isTrue(isInternalFrame(parseStackFrame(lines[5])));
+      assert.isTrue(isInternalFrame(parseStackFrame(lines[6])));
+      assert.isTrue(isInternalFrame(parseStackFrame(lines[7])));
+      assert.isFalse(isInternalFrame(parseStackFrame(lines[0])));
+      assert.isFalse(isInternalFrame(void 0));
+
+      // Files without a path which are not core modules are user code; IE browser bundles or evaluated code.
+      assert.isFalse(isInternalFrame(parseStackFrame('    at main (app.js:1:1)')));
+      assert.isFalse(isInternalFrame(parseStackFrame('    at bundle.min.js:1:2045')));
+      assert.isTrue(isInternalFrame(parseStackFrame('    at listOnTimeout (timers.js:277:5)')));
+   });
+
+   it('no options:', () =>
+   {
+      assert.deepEqual(condenseTrace(toEntries(lines)).map((entry) => entry.line), lines);
+   });
+
+   it('hide internals and collapse modules:', () =>
+   {
+      const result = condenseTrace(toEntries(lines), { hideInternals: true, collapseModules: true });
+
+      assert.deepEqual(result.map((entry) => entry.line),
+      [
+         lines[0],
+         '    … 3 frames in express',
+         lines[4],
+         lines[8]
+      ]);
+
+      assert.strictEqual(result[1].count, 3);
+      assert.isUndefined(result[1].frame);
+   });
+
+   it('hide internals keeps user frames without a path:', () =>
+   {
+      const userLines = ['    at main (app.js:1:1)', '    at Module._compile (module.js:652:30)'];
+
+      assert.deepEqual(condenseTrace(toEntries(userLines), { hideInternals: true }).map((entry) => entry.line),
+       [userLines[0]]);
+   });
+
+   it('max frames:', () =>
+   {
+      assert.deepEqual(condenseTrace(toEntries(lines), { collapseModules: true, maxFrames: 2 }).map(
+       (entry) => entry.line), [lines[0], '    … 3 frames in express', '    … 5 more frames']);
+
+      assert.deepEqual(condenseTrace(toEntries(lines), { maxFrames: 8 }).map((entry) => entry.line),
+       lines.slice(0, 8).concat('    … 1 more frame'));
+   });
+
+   it('invalid arguments:', () =>
+   {
+      assert.throws(() => condenseTrace(null), TypeError);
+      assert.throws(() => condenseTrace([], null), TypeError);
+   });
+});
@@ -0,0 +1,112 @@
+import { assert }  from 'chai';
+
+import { configToEnv, mergeConfigs, parseEnvConfig, serializeConfig, toEnvName, validateConfig }
+ from '../../../src/utils/config.js';
+
+describe('config:', () =>
+{
+   it('toEnvName:', () =>
+   {
+      assert.strictEqual(toEnvName('logLevel'), 'LOG_LEVEL');
+      assert.strictEqual(toEnvName('namespaceLevels'), 'LOG_NAMESPACE_LEVELS');
+      assert.strictEqual(toEnvName('options.maxArrayLength'), 'LOG_MAX_ARRAY_LENGTH');
+      assert.strictEqual(toEnvName('filters[0].name'), 'LOG_FILTERS[0].name');
+   });
+
+   it('parseEnvConfig:', () =>
+   {
+      const config = parseEnvConfig(
+      {
+         HOME: '/home/user',
+         LOG_LEVEL: 'debug',
+         LOG_SHOW_DATE: 'yes',
+         LOG_SHOW_INFO: '0',
+         LOG_MAX_DEPTH: '3',
+         LOG_LOCATION_LEVELS: 'error, fatal',
+         LOG_TRACE_MAX_FRAMES: 'null',
+         LOG_HYPERLINKS: 'vscode://file{file}:{line}',
+         LOG_REDACT: '{"paths":["password"]}',
+         LOG_FILTERS: '[{"type":"exclusive","name":"deps","filterString":"node_modules"}]',
+         LOG_THEME: ''
+      });
+
+      assert.deepEqual(config,
+      {
+         logLevel: 'debug',
+         filters: [{ type: 'exclusive', name: 'deps', filterString: 'node_modules' }],
+         options:
+         {
+            hyperlinks: 'vscode://file{file}:{line}',
+            locationLevels: ['error', 'fatal'],
+            maxDepth: 3,
+            redact: { paths: ['password'] },
+            showDate: true,
+            showInfo: false,
+            traceMaxFrames: null
+         }
+      });
+
+      assert.deepEqual(parseEnvConfig({}), {});
+   });
+
+   it('parseEnvConfig errors name the variable:', () =>
+   {
+      assert.throws(() => parseEnvConfig({ LOG_SHOW_DATE: 'maybe' }), TypeError,
+       `'LOG_SHOW_DATE' is not a 'boolean'.`);
+      assert.throws(() => parseEnvConfig({ LOG_MAX_DEPTH: 'deep' }), TypeError,
+       `'LOG_MAX_DEPTH' is not a non-negative 'number'.`);
+      assert.throws(() => parseEnvConfig({ LOG_COLOR_DEPTH: '8' }), TypeError, `'LOG_COLOR_DEPTH' must be one of:`);
+      assert.throws(() => parseEnvConfig({ LOG_REDACT: '{' }), TypeError, `'LOG_REDACT' is not valid JSON`);
+      assert.throws(() => parseEnvConfig({ LOG_FILTERS: '[{"name":"a","type":"all","filterString":"a"}]' }),
+       TypeError, `'LOG_FILTERS[0].type' must be one of: exclusive, inclusive.`);
+   });
+
+   it('validateConfig errors name the key:', () =>
+   {
+      assert.throws(() => validateConfig({ level: 'info' }), TypeError, `'config.level' is not a valid config key.`);
+      assert.throws(() => validateConfig({ options: { showDat: true } }), TypeError,
+       `'config.options.showDat' is not a valid option.`);
+      assert.throws(() => validateConfig({ options: { showDate: 'true' } }), TypeError,
+       `'config.options.showDate' is not a 'boolean'.`);
+      assert.throws(() => validateConfig({ options: { theme: 'neon' } }), TypeError,
+       `'config.options.theme' must be one of:`);
+      assert.throws(() => validateConfig({ filters: [{ name: 'a', type: 'exclusive' }] }), TypeError,
+       `'config.filters[0].filterString' is missing.`);
+      assert.throws(() => validateConfig({ options: { locationLevels: 'error' } }), TypeError,
+       `'config.options.locationLevels' is not a 'array' of 'string' or null.`);
+      assert.throws(() => validateConfig(null), TypeError);
+   });
+
+   it('mergeConfigs:', () =>
+   {
+      assert.deepEqual(mergeConfigs({ logLevel: 'info', options: { showDate: true, json: true } },
+       { logLevel: 'debug', options: { showDate: false } }),
+       { logLevel: 'debug', options: { showDate: false, json: true } });
+   });
+
+   it('configToEnv round trip:', () =>
+   {
+      const config =
+      {
+         logLevel: 'warn',
+         namespaceLevels: 'db:*=debug',
+         options: { dedupe: true, format: null, hyperlinks: true, locationLevels: ['warn', 'error'], maxDepth: 2,
+          rateLimit: { limit: 10, interval: 1000, per: 'level' }, redact: { paths: ['a'] }, theme: 'dark' },
+         filters: [{ type: 'exclusive', name: 'lib', filterString: 'lib', flags: 'i' }]
+      };
+
+      const env = configToEnv(config);
+
+      assert.strictEqual(env.LOG_HYPERLINKS, 'true');
+      assert.strictEqual(env.LOG_FORMAT, 'null');
+      assert.strictEqual(env.LOG_LOCATION_LEVELS, 'warn,error');
+      assert.strictEqual(env.LOG_THEME, 'dark');
+      assert.deepEqual(parseEnvConfig(env), config);
+   });
+
+   it('serializeConfig:', () =>
+   {
+      assert.deepEqual(serializeConfig({ filters: [{ type: 'exclusive', name: 'lib', filterString: /lib/i }] }),
+       { filters: [{ type: 'exclusive', name: 'lib', filterString: 'lib', flags: 'i' }] });
+   });
+});
@@ -0,0 +1,25 @@
+import { assert }  from 'chai';
+
+import { fileURLToPath, pathToFileURL } from '../../../src/utils/fileURL.js';
+
+describe('fileURL:', () =>
+{
+   it('fileURLToPath:', () =>
+   {
+      assert.strictEqual(fileURLToPath('file:///my%20project/app.js'), '/my project/app.js');
+      assert.strictEqual(fileURLToPath('file://localhost/app.js'), '/app.js');
+      assert.strictEqual(fileURLToPath('file:///C:/dir/app.js'), 'C:/dir/app.js');
+   });
+
+   it('pathToFileURL:', () =>
+   {
+      assert.strictEqual(pathToFileURL('/my project/app#1.js'), 'file:///my%20project/app%231.js');
+      assert.strictEqual(pathToFileURL('C:\\dir\\app.js'), 'file:///C:/dir/app.js');
+   });
+
+   it('invalid arguments:', () =>
+   {
+      assert.throws(() => fileURLToPath(1), TypeError);
+      assert.throws(() => pathToFileURL(null), TypeError);
+   });
+});
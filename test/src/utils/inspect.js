@@ -0,0 +1,97 @@
+import { assert }  from 'chai';
+
+import inspect     from '../../../src/utils/inspect.js';
+
+describe('inspect:', () =>
+{
+   it('matches JSON.stringify for plain data:', () =>
+   {
+      const value = { a: 1, b: [true, null, 'text'], c: { d: {} }, e: [] };
+
+      assert.strictEqual(inspect(value), JSON.stringify(value, null, 3));
+      assert.strictEqual(inspect(value, { compact: true }), JSON.stringify(value));
+   });
+
+   it('circular references:', () =>
+   {
+      const value = { name: 'root', children: [] };
+
+      value.children.push({ parent: value });
+      value.self = value;
+
+      assert.strictEqual(inspect(value, { compact: true }),
+       '{"name":"root","children":[{"parent":[Circular]}],"self":[Circular]}');
+
+      // Repeated references which are not circular are formatted.
+      const shared = { a: 1 };
+
+      assert.strictEqual(inspect([shared, shared], { compact: true }), '[{"a":1},{"a":1}]');
+   });
+
+   it('Map / Set:', () =>
+   {
+      assert.strictEqual(inspect(new Map([['a', 1], [2, { b: 2 }]]), { compact: true }),
+       'Map(2) {"a" => 1,2 => {"b":2}}');
+      assert.strictEqual(inspect(new Set([1, 'a'])), 'Set(2) {\n   1,\n   "a"\n}');
+      assert.strictEqual(inspect(new Map()), 'Map(0) {}');
+   });
+
+   it('exotic values:', () =>
+   {
+      const sym = Symbol('key');
+
+      const named = function named() {};
+
+      const value = { big: 10, sym: Symbol('value'), fn: named, anon: [() => 0][0], u: void 0, nan: NaN,
+       date: new Date(0), regex: /a+/gi, error: new TypeError('Bad') };
+
+      value[sym] = 1;
+
+      assert.strictEqual(inspect(value, { compact: true }), '{"big":10,"sym":Symbol(value),"fn":[Function: named],'
+       + '"anon":[Function (anonymous)],"u":undefined,"nan":NaN,"date":1970-01-01T00:00:00.000Z,"regex":/a+/gi,'
+       + '"error":[TypeError: Bad],[Symbol(key)]:1}');
+
+      if (typeof global.BigInt === 'function') { assert.strictEqual(inspect(global.BigInt(42)), '42n'); }
+
+      assert.strictEqual(inspect(-0), '-0');
+   });
+
+   it('class instances:', () =>
+   {
+      class Point
+      {
+         constructor() { this.x = 1; this.y = 2; }
+      }
+
+      assert.strictEqual(inspect(new Point(), { compact: true }), 'Point {"x":1,"y":2}');
+      assert.strictEqual(inspect(Object.create(null)), '[Object: null prototype] {}');
+      assert.strictEqual(inspect(new Uint8Array([1, 2]), { compact: true }), 'Uint8Array(2) [1,2]');
+   });
+
+   it('limits:', () =>
+   {
+      const value = { a: { b: { c: { d: 1 } } }, list: [1, 2, 3, 4], text: 'abcdef' };
+
+      assert.strictEqual(inspect(value, { compact: true, maxDepth: 1, maxArrayLength: 3, maxStringLength: 4 }),
+       '{"a":{"b":[Object]},"list":[1,2,3,... 1 more item],"text":"abcd"... 2 more characters}');
+
+      assert.strictEqual(inspect(new Set([1, 2, 3]), { compact: true, maxArrayLength: 1 }),
+       'Set(3) {1,... 2 more items}');
+   });
+
+   it('throwing getter:', () =>
+   {
+      const value = { get bad() { throw new Error('No access'); } };
+
+      assert.strictEqual(inspect(value, { compact: true }), '{"bad":[Error: No access]}');
+   });
+
+   it('stylize:', () =>
+   {
+      const stylize = (text, type) => `<${type}>${text}</${type}>`;
+
+      assert.strictEqual(inspect({ a: 'b', c: [1, true, null, void 0] }, { compact: true, stylize }),
+       '{<key>"a"</key>:<string>"b"</string>,<key>"c"</key>:[<number>1</number>,<boolean>true</boolean>,'
+       + '<null>null</null>,<null>undefined</null>]}');
+   });
+});
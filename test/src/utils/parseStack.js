@@ -0,0 +1,103 @@
+import { assert }  from 'chai';
+
+import { parseStack, parseStackFrame } from '../../../src/utils/parseStack.js';
+
+/**
+ * Creates the expected stack frame.
+ *
+ * @param {string|undefined}  fn - The function name.
+ *
+ * @param {object}            [data] - The frame fields which differ from the defaults.
+ *
+ * @returns {StackFrame} The stack frame.
+ */
+const frame = (fn, data = {}) =>
+{
+   const result = Object.assign({ file: void 0, line: void 0, column: void 0, isNative: false, isEval: false,
+    isAsync: false }, data);
+
+   result['function'] = fn;
+
+   return result;
+};
+
+describe('parseStack:', () =>
+{
+   describe('V8:', () =>
+   {
+      it('function and location:', () =>
+      {
+         assert.deepEqual(parseStackFrame('    at Foo.bar (/path/to/file.js:10:5)'),
+          frame('Foo.bar', { file: '/path/to/file.js', line: 10, column: 5 }));
+
+         assert.deepEqual(parseStackFrame('    at /path/to/file.js:10:5'),
+          frame(void 0, { file: '/path/to/file.js', line: 10, column: 5 }));
+
+         assert.deepEqual(parseStackFrame('    at new Foo (file:///my project/file.js:1:2)'),
+          frame('new Foo', { file: 'file:///my project/file.js', line: 1, column: 2 }));
+
+         assert.deepEqual(parseStackFrame('    at Object.<anonymous> (C:\\dir\\file (1).js:3:4)'),
+          frame('Object.<anonymous>', { file: 'C:\\dir\\file (1).js', line: 3, column: 4 }));
+
+         assert.deepEqual(parseStackFrame('    at Array.map (<anonymous>)'),
+          frame('Array.map', { file: '<anonymous>' }));
+      });
+
+      it('native, eval and async:', () =>
+      {
+         assert.deepEqual(parseStackFrame('    at Array.forEach (native)'),
+          frame('Array.forEach', { isNative: true }));
+
+         assert.deepEqual(parseStackFrame('    at eval (eval at run (/path/file.js:1:7), <anonymous>:1:1)'),
+          frame('eval', { file: '/path/file.js', line: 1, column: 7, isEval: true }));
+
+         assert.deepEqual(parseStackFrame('    at async load (/path/file.js:4:3)'),
+          frame('load', { file: '/path/file.js', line: 4, column: 3, isAsync: true }));
+
+         assert.deepEqual(parseStackFrame('    at async Promise.all (index 0)'),
+          frame('Promise.all', { isAsync: true }));
+      });
+   });
+
+   describe('SpiderMonkey:', () =>
+   {
+      it('frames:', () =>
+      {
+         assert.deepEqual(parseStackFrame('bar@http://host:8080/file.js:10:5'),
+          frame('bar', { file: 'http://host:8080/file.js', line: 10, column: 5 }));
+
+         assert.deepEqual(parseStackFrame('@http://host/file.js:1:1'),
+          frame(void 0, { file: 'http://host/file.js', line: 1, column: 1 }));
+
+         assert.deepEqual(parseStackFrame('async*load@http://host/file.js:4:3'),
+          frame('load', { file: 'http://host/file.js', line: 4, column: 3, isAsync: true }));
+
+         assert.deepEqual(parseStackFrame('run@http://host/file.js line 2 > eval:1:5'),
+          frame('run', { file: 'http://host/file.js', line: 2, isEval: true }));
+      });
+   });
+
+   describe('JavaScriptCore:', () =>
+   {
+      it('frames:', () =>
+      {
+         assert.deepEqual(parseStackFrame('global code@http://host/file.js:1:11'),
+          frame('global code', { file: 'http://host/file.js', line: 1, column: 11 }));
+
+         assert.deepEqual(parseStackFrame('eval code@'), frame('eval code', { isEval: true }));
+
+         assert.deepEqual(parseStackFrame('forEach@[native code]'), frame('forEach', { isNative: true }));
+      });
+   });
+
+   it('stack:', () =>
+   {
+      const frames = parseStack('Error: user@example.com\n    at a (/file.js:1:2)\n    at b (/file.js:3:4)');
+
+      assert.lengthOf(frames, 2);
+      assert.strictEqual(frames[1]['function'], 'b');
+
+      assert.isUndefined(parseStackFrame('Error: message'));
+      assert.throws(() => parseStack(null), TypeError);
+   });
+});
@@ -0,0 +1,47 @@
+import { assert }  from 'chai';
+
+import { TIME_FORMATS, formatTime, hrtime } from '../../../src/utils/timestamp.js';
+
+describe('timestamp:', () =>
+{
+   const date = new Date(Date.UTC(2017, 2, 5, 8, 4, 9, 51));
+
+   it('iso:', () =>
+   {
+      assert.strictEqual(formatTime('iso', date, 0, 0), '2017-03-05T08:04:09.051Z');
+   });
+
+   it('local:', () =>
+   {
+      const result = formatTime('local', date, 0, 0);
+
+      assert.match(result, /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.051[+-]\d\d:\d\d$/);
+
+      // The local time with offset refers to the same instant.
+      assert.strictEqual(new Date(result).getTime(), date.getTime());
+   });
+
+   it('epoch:', () =>
+   {
+      assert.strictEqual(formatTime('epoch', date, 0, 0), String(date.getTime()));
+   });
+
+   it('elapsed / delta:', () =>
+   {
+      assert.strictEqual(formatTime('elapsed', date, 1520.0431, 0), '1520.043ms');
+      assert.strictEqual(formatTime('delta', date, 0, 12.5071), '+12.507ms');
+   });
+
+   it('invalid:', () =>
+   {
+      assert.deepEqual(TIME_FORMATS, ['iso', 'local', 'epoch', 'elapsed', 'delta']);
+      assert.throws(() => formatTime('unknown', date, 0, 0), TypeError);
+   });
+
+   it('hrtime:', () =>
+   {
+      const start = hrtime();
+
+      assert.isAtLeast(hrtime(), start);
+   });
+});